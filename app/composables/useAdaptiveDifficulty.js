@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Persistent adaptive difficulty composable
+ * Rehydrates AdaptiveDifficulty from stored session history and saves progression as it changes
+ */
+
+import { ref, shallowRef, readonly, isRef, watch, onMounted, getCurrentInstance } from 'vue';
+import { AdaptiveDifficulty } from '../utils/adaptiveDifficulty.js';
+import { DIFFICULTY_STRATEGIES } from '../utils/difficultyStrategies.js';
+import { useSessionHistory } from './useSessionHistory.js';
+
+/**
+ * @typedef {import('../utils/adaptiveDifficulty.js').DifficultyLevel} DifficultyLevel
+ * @typedef {import('./useTypingMetrics').PerformanceSession} PerformanceSession
+ */
+
+/**
+ * Adaptive difficulty backed by the session history API.
+ * Loads on mount when used inside a component; call `load()` directly elsewhere.
+ * A saved strategy replaces the given one on load, and changing a strategy ref switches and saves it.
+ * Failed loads and saves are reported through `error`.
+ * @param {Object} [options]
+ * @param {string | import('vue').Ref<string>} [options.strategy='threshold'] - DIFFICULTY_STRATEGIES id
+ * @returns {Object}
+ */
+export function useAdaptiveDifficulty(options = {}) {
+  const strategy = isRef(options.strategy) ? options.strategy : ref(options.strategy ?? 'threshold');
+  const difficulty = new AdaptiveDifficulty(undefined, { strategy: DIFFICULTY_STRATEGIES[strategy.value].create() });
+  const { error, fetchSessions, fetchProgress, saveSession, saveProgress } = useSessionHistory();
+
+  /** @type {import('vue').ShallowRef<DifficultyLevel>} */
+  const currentLevel = shallowRef(difficulty.getCurrentLevel());
+  const isLoaded = ref(false);
+
+  /** @type {Promise<void> | null} Load in flight; recording waits for it so the restore cannot drop a session */
+  let loading = null;
+
+  /**
+   * Restore the saved level and the most recent sessions
+   * @returns {Promise<void>}
+   */
+  function load() {
+    loading = restore();
+    return loading;
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async function restore() {
+    const [progress, sessions] = await Promise.all([
+      fetchProgress(),
+      fetchSessions({ limit: difficulty.MAX_HISTORY })
+    ]);
+
+    if (progress?.strategy && Object.hasOwn(DIFFICULTY_STRATEGIES, progress.strategy)) {
+      difficulty.setStrategy(DIFFICULTY_STRATEGIES[progress.strategy].create());
+      strategy.value = progress.strategy;
+    }
+    difficulty.restore({
+      currentLevel: progress?.currentLevel,
+      history: sessions
+    });
+    currentLevel.value = difficulty.getCurrentLevel();
+    isLoaded.value = true;
+  }
+
+  // The difficulty already runs the loaded strategy, so only a user's choice is saved
+  watch(strategy, async (id) => {
+    if (id === difficulty.getStrategyId() || !Object.hasOwn(DIFFICULTY_STRATEGIES, id)) return;
+    difficulty.setStrategy(DIFFICULTY_STRATEGIES[id].create());
+    await saveProgress(currentLevel.value.id, id);
+  });
+
+  /**
+   * Record a completed session and persist it, once a pending load has restored the history
+   * @param {PerformanceSession} session
+   * @returns {Promise<PerformanceSession | null>} The stored session, null when saving failed, see `error`
+   */
+  async function addSession(session) {
+    await loading;
+    difficulty.addSession(session);
+    return saveSession(session);
+  }
+
+  /**
+   * Re-evaluate the level from history and persist the result
+   * @returns {Promise<DifficultyLevel>}
+   */
+  async function updateCurrentLevel() {
+    await loading;
+    const level = difficulty.updateCurrentLevel();
+    currentLevel.value = level;
+    await saveProgress(level.id, difficulty.getStrategyId());
+    return level;
+  }
+
+  /**
+   * @template {{code: string, levelId?: string}} T
+   * @param {T[]} exercises
+   * @returns {T | null} Exercise the strategy would practise next, null to keep the caller's order
+   */
+  function pickExercise(exercises) {
+    return difficulty.pickExercise(exercises);
+  }
+
+  if (getCurrentInstance()) {
+    onMounted(load);
+  }
+
+  return {
+    difficulty,
+    currentLevel: readonly(currentLevel),
+    isLoaded: readonly(isLoaded),
+    error,
+    strategy,
+    load,
+    addSession,
+    updateCurrentLevel,
+    pickExercise
+  };
+}
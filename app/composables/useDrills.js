@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Typing drill library composable
+ * Loads exercises from the `drills` content collection extracted from cookbook code blocks
+ */
+
+import { ref, computed, readonly, toValue, onMounted, getCurrentInstance } from 'vue';
+import { DIFFICULTY_LEVELS } from '../utils/adaptiveDifficulty.js';
+
+/**
+ * @typedef {import('../utils/drillExtractor.js').Drill & {id?: string}} DrillItem
+ */
+
+/**
+ * Order drills from easiest level to hardest, keeping page order within a level
+ * @param {DrillItem[]} drills
+ * @returns {DrillItem[]}
+ */
+export function sortDrills(drills) {
+  const levelIndex = (/** @type {string} */ levelId) => DIFFICULTY_LEVELS.findIndex(level => level.id === levelId);
+  return [...drills].sort((a, b) =>
+    levelIndex(a.levelId) - levelIndex(b.levelId) || String(a.id ?? '').localeCompare(String(b.id ?? ''))
+  );
+}
+
+/**
+ * Drill library composable.
+ * Loads on mount when used inside a component; call `load()` directly elsewhere.
+ * @returns {Object}
+ */
+export function useDrills() {
+  /** @type {import('vue').Ref<DrillItem[]>} */
+  const drills = ref([]);
+  const isLoaded = ref(false);
+
+  /**
+   * Fetch every drill; failures are logged and leave the library empty
+   * @returns {Promise<void>}
+   */
+  async function load() {
+    try {
+      drills.value = sortDrills(await queryCollection('drills').all());
+    } catch (error) {
+      console.warn('Failed to load typing drills:', error);
+      drills.value = [];
+    }
+    isLoaded.value = true;
+  }
+
+  /**
+   * @param {import('vue').MaybeRefOrGetter<string>} levelId - DIFFICULTY_LEVELS id
+   * @returns {import('vue').ComputedRef<DrillItem[]>} Drills at that level, or every drill if the level has none
+   */
+  function drillsForLevel(levelId) {
+    return computed(() => {
+      const atLevel = drills.value.filter(drill => drill.levelId === toValue(levelId));
+      return atLevel.length > 0 ? atLevel : drills.value;
+    });
+  }
+
+  if (getCurrentInstance()) {
+    onMounted(load);
+  }
+
+  return {
+    drills: readonly(drills),
+    isLoaded: readonly(isLoaded),
+    load,
+    drillsForLevel
+  };
+}
@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Ghost racer composable
+ * Replays the personal best session on an exercise in real time alongside the current attempt
+ */
+
+import { ref, shallowRef, computed, readonly, onUnmounted, getCurrentInstance } from 'vue';
+import { useSessionHistory } from './useSessionHistory.js';
+import { snippetId } from '../utils/codeSnippet.js';
+import { buildGhostTimeline, pickGhostSession, ghostLengthAt, raceDelta } from '../utils/ghostRace.js';
+
+/**
+ * @typedef {import('./useTypingMetrics').PerformanceSession} PerformanceSession
+ */
+
+/**
+ * @typedef {Object} GhostRaceOptions
+ * @property {() => number} typedLength - Characters the user has typed so far
+ */
+
+/** Ghost cursor refresh interval (ms) */
+const TICK_INTERVAL = 100;
+
+/** Past sessions considered when looking for the personal best */
+const HISTORY_LIMIT = 50;
+
+/**
+ * Ghost racer. Load the exercise, then start and stop alongside the typing session.
+ * @param {GhostRaceOptions} options
+ * @returns {Object}
+ */
+export function useGhostRace(options) {
+  const { fetchSessions } = useSessionHistory();
+
+  /** @type {import('vue').ShallowRef<PerformanceSession | null>} */
+  const ghostSession = shallowRef(null);
+  const isRacing = ref(false);
+  const ghostLength = ref(0);
+  const delta = ref(0);
+
+  const timeline = computed(() => (ghostSession.value ? buildGhostTimeline(ghostSession.value) : []));
+
+  /** @type {ReturnType<typeof setTimeout> | null} */
+  let timer = null;
+  let startedAt = 0;
+  let targetText = '';
+
+  function stopTimer() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+  }
+
+  function tick() {
+    const elapsed = Date.now() - startedAt;
+    ghostLength.value = ghostLengthAt(timeline.value, elapsed);
+    delta.value = raceDelta(timeline.value, options.typedLength(), elapsed);
+    timer = setTimeout(tick, TICK_INTERVAL);
+  }
+
+  /**
+   * Find the personal best for `text` in the session history
+   * @param {string} text - Exercise text
+   * @returns {Promise<PerformanceSession | null>}
+   */
+  async function load(text) {
+    targetText = text;
+    const sessions = await fetchSessions({ exerciseId: snippetId(text), limit: HISTORY_LIMIT });
+    // The exercise may have changed while the history loaded
+    if (text === targetText) {
+      ghostSession.value = pickGhostSession(sessions, text);
+    }
+    return ghostSession.value;
+  }
+
+  /**
+   * Replace the ghost when a just-finished session beats it
+   * @param {PerformanceSession} session
+   */
+  function offer(session) {
+    const candidates = ghostSession.value ? [ghostSession.value, session] : [session];
+    ghostSession.value = pickGhostSession(candidates, targetText) ?? ghostSession.value;
+  }
+
+  /**
+   * Start the ghost from the beginning; does nothing without a ghost session
+   */
+  function start() {
+    stopTimer();
+    ghostLength.value = 0;
+    delta.value = 0;
+    if (!ghostSession.value) return;
+
+    startedAt = Date.now();
+    isRacing.value = true;
+    timer = setTimeout(tick, TICK_INTERVAL);
+  }
+
+  /**
+   * Freeze the ghost where it is
+   */
+  function stop() {
+    stopTimer();
+    isRacing.value = false;
+  }
+
+  if (getCurrentInstance()) {
+    onUnmounted(stopTimer);
+  }
+
+  return {
+    ghostSession: readonly(ghostSession),
+    isRacing: readonly(isRacing),
+    ghostLength: readonly(ghostLength),
+    delta: readonly(delta),
+    load,
+    offer,
+    start,
+    stop
+  };
+}
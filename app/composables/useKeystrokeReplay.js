@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Keystroke replay playback composable
+ * Plays a recorded session back in real time (or faster) with seeking and pause-on-error
+ */
+
+import { ref, computed, watch, onUnmounted, getCurrentInstance, toValue } from 'vue';
+import {
+  REPLAY_SPEEDS,
+  buildReplayFrames,
+  replayStateAt,
+  frameCountAt,
+  findErrorFrame
+} from '../utils/keystrokeReplay.js';
+
+/**
+ * @typedef {import('./useTypingMetrics').PerformanceSession} PerformanceSession
+ */
+
+/**
+ * Replay playback state for a completed session
+ * @param {import('vue').MaybeRefOrGetter<PerformanceSession | null>} session
+ * @returns {Object}
+ */
+export function useKeystrokeReplay(session) {
+  const frames = computed(() => {
+    const value = toValue(session);
+    return value ? buildReplayFrames(value.keystrokes, value.startTime) : [];
+  });
+
+  const position = ref(0);
+  const speed = ref(REPLAY_SPEEDS[0]);
+  const pauseOnError = ref(false);
+  const isPlaying = ref(false);
+
+  /** @type {ReturnType<typeof setTimeout> | null} */
+  let timer = null;
+  let lastTick = 0;
+
+  const duration = computed(() => {
+    const list = frames.value;
+    return list.length > 0 ? list[list.length - 1].offset : 0;
+  });
+
+  const appliedFrames = computed(() => frameCountAt(frames.value, position.value));
+
+  const state = computed(() => replayStateAt(frames.value, appliedFrames.value));
+
+  function stopTimer() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+  }
+
+  function tick() {
+    const now = Date.now();
+    const from = appliedFrames.value;
+    const target = Math.min(position.value + (now - lastTick) * speed.value, duration.value);
+    lastTick = now;
+
+    if (pauseOnError.value) {
+      const errorIndex = findErrorFrame(frames.value, from, frameCountAt(frames.value, target));
+      if (errorIndex !== -1) {
+        position.value = frames.value[errorIndex].offset;
+        pause();
+        return;
+      }
+    }
+
+    position.value = target;
+
+    if (target >= duration.value) {
+      pause();
+      return;
+    }
+
+    timer = setTimeout(tick, 16);
+  }
+
+  function play() {
+    if (frames.value.length === 0) return;
+    if (position.value >= duration.value) {
+      position.value = 0;
+    }
+
+    stopTimer();
+    isPlaying.value = true;
+    lastTick = Date.now();
+    timer = setTimeout(tick, 16);
+  }
+
+  function pause() {
+    stopTimer();
+    isPlaying.value = false;
+  }
+
+  /**
+   * @param {number} offset - Milliseconds since the session started
+   */
+  function seek(offset) {
+    position.value = Math.max(0, Math.min(offset, duration.value));
+    lastTick = Date.now();
+  }
+
+  /**
+   * @param {number} value - One of REPLAY_SPEEDS
+   */
+  function setSpeed(value) {
+    if (REPLAY_SPEEDS.includes(value)) {
+      speed.value = value;
+    }
+  }
+
+  watch(frames, () => {
+    pause();
+    position.value = 0;
+  });
+
+  if (getCurrentInstance()) {
+    onUnmounted(stopTimer);
+  }
+
+  return {
+    frames,
+    duration,
+    position,
+    speed,
+    pauseOnError,
+    isPlaying,
+    text: computed(() => state.value.text),
+    correct: computed(() => state.value.correct),
+    play,
+    pause,
+    seek,
+    setSpeed
+  };
+}
@@ -0,0 +1,28 @@
+/**
+ * @fileoverview Phase goal and practice streak tracking
+ * Evaluates the recent session history against the current progression phase's goals
+ */
+
+import { computed, toValue } from 'vue';
+import { evaluateGoals } from '../utils/phaseGoals.js';
+
+/**
+ * @typedef {import('../utils/adaptiveDifficulty.js').DifficultyLevel} DifficultyLevel
+ * @typedef {import('./useRecentSessions.js').RecentSessions} RecentSessions
+ */
+
+/**
+ * Goals for the phase of the current level
+ * @param {Object} options
+ * @param {import('vue').MaybeRefOrGetter<DifficultyLevel>} options.currentLevel
+ * @param {RecentSessions} options.history
+ * @returns {Object}
+ */
+export function usePhaseGoals({ currentLevel, history }) {
+  /** @type {import('vue').ComputedRef<import('../utils/phaseGoals.js').GoalSummary>} */
+  const goals = computed(() => evaluateGoals(history.sessions.value, toValue(currentLevel).id, history.now.value));
+
+  return {
+    goals
+  };
+}
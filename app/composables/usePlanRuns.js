@@ -0,0 +1,64 @@
+/**
+ * @fileoverview Results of finished session plan runs
+ * Rebuilds each recent run's composite from its stored segment sessions whenever the history loads
+ */
+
+import { shallowRef, readonly, watch } from 'vue';
+import { getSessionPlan, rebuildCompositeSession } from '../utils/sessionPlans.js';
+import { useSessionHistory } from './useSessionHistory.js';
+
+/**
+ * @typedef {import('../utils/sessionPlans.js').CompositeSession} CompositeSession
+ * @typedef {import('../utils/sessionPlans.js').SessionPlan} SessionPlan
+ * @typedef {import('./useRecentSessions.js').RecentSessions} RecentSessions
+ * @typedef {import('./useTypingMetrics').PerformanceSession} PerformanceSession
+ */
+
+/** Runs rebuilt; each one fetches its segments with their keystroke traces */
+const RECENT_RUNS = 5;
+
+/**
+ * Runs whose last segment was recorded, most recent first
+ * @param {PerformanceSession[]} sessions - Oldest first
+ * @returns {{runId: string, plan: SessionPlan}[]}
+ */
+function finishedRuns(sessions) {
+  return sessions.flatMap((session) => {
+    const plan = session.plan && getSessionPlan(session.plan.id);
+    return plan && session.plan.segment === plan.segments.length - 1 ? [{ runId: session.plan.runId, plan }] : [];
+  }).reverse();
+}
+
+/**
+ * Recent plan run results
+ * @param {Object} options
+ * @param {RecentSessions} options.history - Tells which runs finished; reloaded runs follow it
+ * @returns {Object}
+ */
+export function usePlanRuns({ history }) {
+  const { error, fetchSessions } = useSessionHistory();
+
+  /** @type {import('vue').ShallowRef<CompositeSession[]>} Most recent first */
+  const runs = shallowRef([]);
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async function load() {
+    const finished = finishedRuns(history.sessions.value).slice(0, RECENT_RUNS);
+    const rebuilt = await Promise.all(finished.map(async ({ runId, plan }) => {
+      const segments = await fetchSessions({ planRunId: runId, limit: plan.segments.length });
+      return rebuildCompositeSession(plan, segments);
+    }));
+    // A run whose segments failed to load is left out, see `error`
+    runs.value = rebuilt.filter(run => run.segments.length > 0);
+  }
+
+  watch(history.sessions, load);
+
+  return {
+    runs: readonly(runs),
+    error,
+    load
+  };
+}
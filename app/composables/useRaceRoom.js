@@ -0,0 +1,250 @@
+/**
+ * @fileoverview Multiplayer race room composable
+ * Connects to the local /_ws/race socket, keeps the room snapshot in sync and runs the shared countdown
+ */
+
+import { ref, shallowRef, computed, readonly, onUnmounted, getCurrentInstance } from 'vue';
+
+/**
+ * @typedef {import('../../server/utils/raceRooms').RaceRoomSnapshot} RaceRoomSnapshot
+ * @typedef {import('../../server/utils/raceRooms').RaceExercise} RaceExercise
+ * @typedef {import('../../server/utils/raceRooms').RaceState} RaceState
+ */
+
+/**
+ * @typedef {Object} RaceProgress
+ * @property {number} progress - Share of the exercise typed (0-100)
+ * @property {number} wpm
+ * @property {number} accuracy
+ * @property {boolean} [finished]
+ */
+
+/**
+ * @typedef {Object} RaceRoomOptions
+ * @property {function(string): WebSocket} [createSocket] - Defaults to a WebSocket on the current host
+ */
+
+/** Countdown refresh interval (ms) */
+const TICK_INTERVAL = 100;
+
+/** Minimum time between progress updates sent to the room (ms) */
+const PROGRESS_INTERVAL = 150;
+
+/**
+ * @returns {string} Race socket URL on the Nuxt server that served the page
+ */
+function raceSocketUrl() {
+  const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+  return `${protocol}//${window.location.host}/_ws/race`;
+}
+
+/**
+ * Race room client. Create or join a room, then follow `phase` and report progress while racing.
+ * @param {RaceRoomOptions} [options]
+ * @returns {Object}
+ */
+export function useRaceRoom(options = {}) {
+  const createSocket = options.createSocket ?? (url => new WebSocket(url));
+
+  /** @type {import('vue').ShallowRef<RaceRoomSnapshot | null>} */
+  const room = shallowRef(null);
+  /** @type {import('vue').Ref<string | null>} */
+  const selfId = ref(null);
+  /** @type {import('vue').Ref<string | null>} */
+  const error = ref(null);
+  /** Local estimate of server time, refreshed during the countdown */
+  const serverNow = ref(0);
+
+  /** @type {WebSocket | null} */
+  let socket = null;
+  /** @type {string[]} Messages sent before the socket opened */
+  let pending = [];
+  /** Server time minus local time */
+  let clockOffset = 0;
+  /** @type {ReturnType<typeof setTimeout> | null} */
+  let timer = null;
+  /** @type {ReturnType<typeof setTimeout> | null} */
+  let progressTimer = null;
+  /** @type {RaceProgress | null} */
+  let queuedProgress = null;
+  let lastProgressAt = 0;
+
+  const isHost = computed(() => room.value !== null && room.value.hostId === selfId.value);
+
+  /** Room state with the countdown resolved locally, so every client flips to racing together */
+  const phase = computed(() => {
+    if (!room.value) return /** @type {RaceState | 'offline'} */ ('offline');
+    if (room.value.state === 'countdown' && serverNow.value >= room.value.startsAt) return 'racing';
+    return room.value.state;
+  });
+
+  /** Whole seconds left before the start signal */
+  const countdown = computed(() => {
+    if (phase.value !== 'countdown') return 0;
+    return Math.ceil((room.value.startsAt - serverNow.value) / 1000);
+  });
+
+  const self = computed(() => room.value?.participants.find(participant => participant.id === selfId.value) ?? null);
+
+  function stopTimer() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+  }
+
+  function tick() {
+    serverNow.value = Date.now() + clockOffset;
+    timer = phase.value === 'countdown' ? setTimeout(tick, TICK_INTERVAL) : null;
+  }
+
+  /**
+   * @param {MessageEvent} event
+   */
+  function onMessage(event) {
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch {
+      return;
+    }
+
+    if (message.type === 'joined') {
+      selfId.value = message.id;
+      error.value = null;
+    } else if (message.type === 'room') {
+      clockOffset = message.room.serverTime - Date.now();
+      room.value = message.room;
+      stopTimer();
+      tick();
+    } else if (message.type === 'error') {
+      error.value = message.message;
+    }
+  }
+
+  /**
+   * @param {object} message
+   */
+  function send(message) {
+    const data = JSON.stringify(message);
+    if (socket && socket.readyState === 1) {
+      socket.send(data);
+      return;
+    }
+
+    pending.push(data);
+    if (!socket) connect();
+  }
+
+  function connect() {
+    const current = createSocket(raceSocketUrl());
+    socket = current;
+    current.addEventListener('open', () => {
+      pending.forEach(data => current.send(data));
+      pending = [];
+    });
+    current.addEventListener('message', onMessage);
+    // A socket closed by leave() may report after a new one has opened
+    current.addEventListener('close', () => {
+      if (socket !== current) return;
+      socket = null;
+      room.value = null;
+      stopTimer();
+    });
+    current.addEventListener('error', () => {
+      error.value = 'Could not reach the race server';
+    });
+  }
+
+  /**
+   * Open a new room and become its host
+   * @param {string} name - Display name
+   */
+  function create(name) {
+    send({ type: 'join', name });
+  }
+
+  /**
+   * @param {string} code - Room code shared by the host
+   * @param {string} name - Display name
+   */
+  function join(code, name) {
+    send({ type: 'join', code, name });
+  }
+
+  /**
+   * Host only: start the countdown on a shared exercise
+   * @param {RaceExercise} exercise
+   */
+  function start(exercise) {
+    send({ type: 'start', exercise });
+  }
+
+  /**
+   * Host only: end the race for everyone still typing
+   */
+  function end() {
+    send({ type: 'end' });
+  }
+
+  function flushProgress() {
+    progressTimer = null;
+    if (!queuedProgress) return;
+    send({ type: 'progress', ...queuedProgress });
+    queuedProgress = null;
+    lastProgressAt = Date.now();
+  }
+
+  /**
+   * Report live progress. Updates are throttled; finishing is sent right away.
+   * @param {RaceProgress} progress
+   */
+  function reportProgress(progress) {
+    queuedProgress = progress;
+    const wait = PROGRESS_INTERVAL - (Date.now() - lastProgressAt);
+
+    if (progress.finished || wait <= 0) {
+      if (progressTimer) clearTimeout(progressTimer);
+      flushProgress();
+    } else if (!progressTimer) {
+      progressTimer = setTimeout(flushProgress, wait);
+    }
+  }
+
+  /**
+   * Leave the room and close the connection
+   */
+  function leave() {
+    stopTimer();
+    if (progressTimer) clearTimeout(progressTimer);
+    progressTimer = null;
+    queuedProgress = null;
+    pending = [];
+    if (socket) {
+      socket.close();
+      socket = null;
+    }
+    room.value = null;
+    selfId.value = null;
+  }
+
+  if (getCurrentInstance()) {
+    onUnmounted(leave);
+  }
+
+  return {
+    room: readonly(room),
+    selfId: readonly(selfId),
+    error: readonly(error),
+    isHost,
+    phase,
+    countdown,
+    self,
+    create,
+    join,
+    start,
+    end,
+    reportProgress,
+    leave
+  };
+}
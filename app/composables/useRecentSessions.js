@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Recent session history shared by the views derived from it
+ * Loads the stored sessions once, without keystroke traces, and keeps them current as sessions complete
+ */
+
+import { ref, shallowRef, readonly, onMounted, getCurrentInstance } from 'vue';
+import { useSessionHistory } from './useSessionHistory.js';
+
+/**
+ * @typedef {import('./useTypingMetrics').PerformanceSession} PerformanceSession
+ */
+
+/**
+ * @typedef {Object} RecentSessions
+ * @property {Readonly<import('vue').ShallowRef<PerformanceSession[]>>} sessions - Oldest first, without keystrokes
+ * @property {Readonly<import('vue').Ref<number>>} now - Time the history was last loaded or changed
+ * @property {Readonly<import('vue').Ref<boolean>>} isLoaded
+ * @property {Readonly<import('vue').Ref<string | null>>} error - Why loading failed
+ * @property {() => Promise<void>} load
+ * @property {(session: PerformanceSession | null) => Promise<void>} record
+ */
+
+/** Sessions kept; matches the server's list limit */
+const HISTORY_LIMIT = 500;
+
+/**
+ * Recent sessions for goals, reviews and charts.
+ * Loads on mount when used inside a component; call `load()` directly elsewhere.
+ * @returns {RecentSessions}
+ */
+export function useRecentSessions() {
+  const { error, fetchSessions } = useSessionHistory();
+
+  /** @type {import('vue').ShallowRef<PerformanceSession[]>} */
+  const sessions = shallowRef([]);
+  const isLoaded = ref(false);
+  // Views bucketed by day move with the clock, so it is refreshed whenever the history changes
+  const now = ref(Date.now());
+
+  /** @type {Promise<void> | null} Load in flight; recording waits for it so the fetched list cannot drop a session */
+  let loading = null;
+
+  /**
+   * @returns {Promise<void>}
+   */
+  function load() {
+    loading = fetchRecent();
+    return loading;
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async function fetchRecent() {
+    sessions.value = await fetchSessions({ limit: HISTORY_LIMIT, keystrokes: false });
+    now.value = Date.now();
+    isLoaded.value = true;
+  }
+
+  /**
+   * Add a just-completed session, once a pending load has replaced the list; persisting it is left
+   * to useAdaptiveDifficulty
+   * @param {PerformanceSession | null} session
+   * @returns {Promise<void>}
+   */
+  async function record(session) {
+    if (!session) return;
+    await loading;
+    sessions.value = [...sessions.value, { ...session, keystrokes: [] }];
+    now.value = Date.now();
+  }
+
+  if (getCurrentInstance()) {
+    onMounted(load);
+  }
+
+  return {
+    sessions: readonly(sessions),
+    now: readonly(now),
+    isLoaded: readonly(isLoaded),
+    error,
+    load,
+    record
+  };
+}
@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Daily spaced-repetition review queue
+ * Replays the recent session history into SM-2 cards and lists today's due exercises and patterns
+ */
+
+import { computed, toValue } from 'vue';
+import { buildDeck, dueQueue, duePatternCounts } from '../utils/spacedRepetition.js';
+import { snippetId } from '../utils/codeSnippet.js';
+
+/**
+ * @typedef {import('./useDrills.js').DrillItem} DrillItem
+ * @typedef {import('./useRecentSessions.js').RecentSessions} RecentSessions
+ * @typedef {import('../utils/spacedRepetition.js').ReviewCard} ReviewCard
+ */
+
+/**
+ * Today's reviews
+ * @param {Object} options
+ * @param {import('vue').MaybeRefOrGetter<DrillItem[]>} options.drills - Library the due exercises are looked up in
+ * @param {RecentSessions} options.history
+ * @returns {Object}
+ */
+export function useReviewQueue({ drills, history }) {
+  /** @type {import('vue').ComputedRef<Map<string, DrillItem>>} */
+  const library = computed(() => new Map(toValue(drills).map(drill => [snippetId(drill.code), drill])));
+  // Only library exercises can be reopened, so generated and removed ones never take a review slot
+  const deck = computed(() => buildDeck(history.sessions.value, { exerciseIds: new Set(library.value.keys()) }));
+  const queue = computed(() => dueQueue(deck.value.values(), history.now.value));
+
+  /** @type {import('vue').ComputedRef<DrillItem[]>} Due exercises, most overdue first */
+  const dueExercises = computed(() => queue.value.exercises.map(card => library.value.get(card.key)));
+
+  /** @type {import('vue').ComputedRef<ReviewCard[]>} */
+  const duePatterns = computed(() => queue.value.patterns);
+
+  /** @type {import('vue').ComputedRef<Map<string, number>>} Due patterns as error counts, for remediation drills */
+  const patternCounts = computed(() => duePatternCounts(duePatterns.value));
+
+  return {
+    deck,
+    dueExercises,
+    duePatterns,
+    patternCounts,
+    reviewCount: computed(() => dueExercises.value.length + duePatterns.value.length)
+  };
+}
@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Client access to the persisted typing session history
+ * Wraps the /api/sessions and /api/progress endpoints backed by the local SQLite database,
+ * including export and import of the whole history
+ */
+
+import { ref, readonly } from 'vue';
+
+/**
+ * @typedef {import('./useTypingMetrics').PerformanceSession} PerformanceSession
+ */
+
+/**
+ * @typedef {Object} SessionHistoryQuery
+ * @property {string} [drillType] - Only sessions of this drill type
+ * @property {string} [levelId] - Only sessions typed at this difficulty level
+ * @property {string} [exerciseId] - Only sessions of this exercise, see snippetId()
+ * @property {string} [planRunId] - Only the segments of this plan run
+ * @property {number} [limit] - Maximum number of sessions
+ * @property {boolean} [keystrokes] - Set to false to omit keystroke traces
+ */
+
+/**
+ * Session history composable
+ * @returns {Object}
+ */
+export function useSessionHistory() {
+  /**
+   * Why the last failed request failed. It stays set until that request succeeds, so an unrelated
+   * call cannot hide a lost save.
+   * @type {import('vue').Ref<string | null>}
+   */
+  const error = ref(null);
+  /** @type {string | null} */
+  let failedAction = null;
+
+  /**
+   * Run a request, reporting a failure through `error` so typing never blocks on storage
+   * @template T
+   * @param {string} action - What the request does, e.g. `save the session`
+   * @param {() => Promise<T>} request
+   * @param {T} fallback - Result when the request fails
+   * @returns {Promise<T>}
+   */
+  async function attempt(action, request, fallback) {
+    try {
+      const result = await request();
+      if (failedAction === action) {
+        error.value = null;
+        failedAction = null;
+      }
+      return result;
+    } catch (cause) {
+      error.value = `Could not ${action}: ${cause?.message ?? cause}`;
+      failedAction = action;
+      return fallback;
+    }
+  }
+
+  /**
+   * Persist a completed session
+   * @param {PerformanceSession} session
+   * @returns {Promise<PerformanceSession | null>} Null when saving failed, see `error`
+   */
+  function saveSession(session) {
+    return attempt('save the session', () => $fetch('/api/sessions', { method: 'POST', body: session }), null);
+  }
+
+  /**
+   * @param {SessionHistoryQuery} [query]
+   * @returns {Promise<PerformanceSession[]>} Empty when loading failed, see `error`
+   */
+  function fetchSessions(query = {}) {
+    return attempt('load the session history', () => $fetch('/api/sessions', { query }), []);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<PerformanceSession | null>} Null when loading failed, see `error`
+   */
+  function fetchSession(id) {
+    return attempt('load the session', () => $fetch(`/api/sessions/${encodeURIComponent(id)}`), null);
+  }
+
+  /**
+   * @returns {Promise<{currentLevel: string, strategy?: string, updatedAt: number} | null>} Null when loading failed, see `error`
+   */
+  function fetchProgress() {
+    return attempt('load your progress', () => $fetch('/api/progress'), null);
+  }
+
+  /**
+   * @param {string} currentLevel - DifficultyLevel id
+   * @param {string} [strategy] - DIFFICULTY_STRATEGIES id, the saved one is kept when omitted
+   * @returns {Promise<{currentLevel: string, strategy?: string, updatedAt: number} | null>} Null when saving failed, see `error`
+   */
+  function saveProgress(currentLevel, strategy) {
+    const body = { currentLevel, ...(strategy && { strategy }) };
+    return attempt('save your progress', () => $fetch('/api/progress', { method: 'PUT', body }), null);
+  }
+
+  /**
+   * Download link for the whole history
+   * @param {Object} [options]
+   * @param {'json' | 'csv'} [options.format='json']
+   * @param {boolean} [options.keystrokes=true] - Include keystroke traces
+   * @returns {string}
+   */
+  function exportUrl({ format = 'json', keystrokes = true } = {}) {
+    const query = new URLSearchParams({ format });
+    if (!keystrokes) query.set('keystrokes', 'false');
+    return `/api/sessions/export?${query}`;
+  }
+
+  /**
+   * Merge an exported archive into the stored history. Unlike the other calls, failures are
+   * rethrown so the caller can show the validation errors returned by the server.
+   * @param {string} text - Contents of a JSON or CSV export
+   * @param {'json' | 'csv'} format
+   * @returns {Promise<{imported: number, skipped: number}>}
+   */
+  async function importHistory(text, format) {
+    return await $fetch('/api/sessions/import', {
+      method: 'POST',
+      headers: { 'Content-Type': format === 'csv' ? 'text/csv' : 'application/json' },
+      body: text
+    });
+  }
+
+  return {
+    error: readonly(error),
+    saveSession,
+    fetchSessions,
+    fetchSession,
+    fetchProgress,
+    saveProgress,
+    exportUrl,
+    importHistory
+  };
+}
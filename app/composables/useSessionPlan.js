@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Session plan runner composable
+ * Runs the timed segments of a SessionPlan back to back with a short transition between them
+ */
+
+import { ref, shallowRef, computed, readonly, toValue } from 'vue';
+import { useSprint } from './useSprint.js';
+import {
+  getSessionPlan,
+  drillsForSegment,
+  segmentLevel,
+  summarizeSegment,
+  buildCompositeSession
+} from '../utils/sessionPlans.js';
+
+/**
+ * @typedef {import('../utils/sessionPlans.js').SessionPlan} SessionPlan
+ * @typedef {import('../utils/sessionPlans.js').PlanSegment} PlanSegment
+ * @typedef {import('../utils/sessionPlans.js').SegmentResult} SegmentResult
+ * @typedef {import('../utils/sessionPlans.js').CompositeSession} CompositeSession
+ * @typedef {import('../utils/sessionPlans.js').PlanMembership} PlanMembership
+ * @typedef {import('../utils/adaptiveDifficulty.js').DifficultyLevel} DifficultyLevel
+ * @typedef {import('./useDrills.js').DrillItem} DrillItem
+ * @typedef {import('./useTypingMetrics').PerformanceSession} PerformanceSession
+ */
+
+/**
+ * @typedef {'idle' | 'segment' | 'transition' | 'complete'} PlanPhase
+ */
+
+/**
+ * @typedef {Object} SessionPlanOptions
+ * @property {import('vue').MaybeRefOrGetter<DrillItem[]>} drills - Drill library to pick segment exercises from
+ * @property {import('vue').MaybeRefOrGetter<DifficultyLevel>} fallbackLevel - Scoring level for category-only segments
+ * @property {(segment: PlanSegment, exercises: DrillItem[], level: DifficultyLevel) => void} onSegmentStart - Start typing the segment
+ * @property {(plan: PlanMembership) => PerformanceSession | null} onSegmentEnd - End the segment's typing session,
+ *   record it with its plan membership and return it
+ * @property {(composite: CompositeSession, sessions: PerformanceSession[]) => void} [onComplete]
+ * @property {number} [transitionSeconds=5] - Pause between segments
+ */
+
+/**
+ * Session plan runner
+ * @param {SessionPlanOptions} options
+ * @returns {Object}
+ */
+export function useSessionPlan(options) {
+  const transitionSeconds = options.transitionSeconds ?? 5;
+
+  /** @type {import('vue').ShallowRef<SessionPlan | null>} */
+  const plan = shallowRef(null);
+  const segmentIndex = ref(0);
+  /** @type {import('vue').Ref<PlanPhase>} */
+  const phase = ref('idle');
+  /** @type {import('vue').Ref<SegmentResult[]>} */
+  const results = ref([]);
+  /** @type {import('vue').ShallowRef<CompositeSession | null>} */
+  const composite = shallowRef(null);
+  /** @type {PerformanceSession[]} */
+  let sessions = [];
+  let runId = '';
+
+  const segmentTimer = useSprint({ onExpire: finishSegment });
+  const transitionTimer = useSprint({ onExpire: () => startSegment(segmentIndex.value + 1) });
+
+  const currentSegment = computed(() => plan.value?.segments[segmentIndex.value] ?? null);
+  const nextSegment = computed(() => plan.value?.segments[segmentIndex.value + 1] ?? null);
+  const exercises = computed(() => (currentSegment.value ? drillsForSegment(currentSegment.value, toValue(options.drills)) : []));
+  const level = computed(() => (currentSegment.value ? segmentLevel(currentSegment.value, toValue(options.fallbackLevel)) : toValue(options.fallbackLevel)));
+
+  /**
+   * @param {number} index
+   */
+  function startSegment(index) {
+    segmentIndex.value = index;
+    phase.value = 'segment';
+    segmentTimer.start(currentSegment.value.minutes);
+    options.onSegmentStart(currentSegment.value, exercises.value, level.value);
+  }
+
+  function finishSegment() {
+    segmentTimer.stop();
+    const session = options.onSegmentEnd({
+      id: plan.value.id,
+      runId,
+      segment: segmentIndex.value,
+      exercisesCompleted: segmentTimer.exercisesCompleted.value
+    });
+    if (session) {
+      sessions.push(session);
+      results.value.push(summarizeSegment(currentSegment.value, session, level.value, segmentTimer.exercisesCompleted.value));
+    }
+
+    if (!nextSegment.value) {
+      phase.value = 'complete';
+      composite.value = buildCompositeSession(plan.value, sessions, results.value);
+      options.onComplete?.(composite.value, sessions);
+      return;
+    }
+
+    phase.value = 'transition';
+    transitionTimer.start(transitionSeconds / 60);
+  }
+
+  /**
+   * @param {SessionPlan | string} planOrId - Plan or SESSION_PLANS id
+   */
+  function start(planOrId) {
+    const selected = typeof planOrId === 'string' ? getSessionPlan(planOrId) : planOrId;
+    if (!selected || selected.segments.length === 0) return;
+
+    stop();
+    plan.value = selected;
+    results.value = [];
+    composite.value = null;
+    sessions = [];
+    runId = `plan_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+    startSegment(0);
+  }
+
+  /**
+   * Abandon the plan without recording the current segment
+   */
+  function stop() {
+    segmentTimer.stop();
+    transitionTimer.stop();
+    phase.value = 'idle';
+  }
+
+  return {
+    plan,
+    phase: readonly(phase),
+    segmentIndex: readonly(segmentIndex),
+    currentSegment,
+    nextSegment,
+    exercises,
+    level,
+    results,
+    composite,
+    isRunning: computed(() => phase.value === 'segment' || phase.value === 'transition'),
+    countdown: computed(() => (phase.value === 'transition' ? transitionTimer.countdown.value : segmentTimer.countdown.value)),
+    exercisesCompleted: segmentTimer.exercisesCompleted,
+    completeExercise: segmentTimer.completeExercise,
+    start,
+    stop,
+    finishSegment
+  };
+}
@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Timed sprint countdown composable
+ * Runs a fixed-duration typing sprint and reports when time is up
+ */
+
+import { ref, computed, readonly, onUnmounted, getCurrentInstance } from 'vue';
+
+/**
+ * @typedef {Object} SprintOptions
+ * @property {() => void} onExpire - Called once when the countdown reaches zero
+ */
+
+/** Countdown refresh interval (ms) */
+const TICK_INTERVAL = 250;
+
+/**
+ * Sprint countdown. Exercises keep streaming until `onExpire` fires.
+ * @param {SprintOptions} options
+ * @returns {Object}
+ */
+export function useSprint(options) {
+  const isRunning = ref(false);
+  const duration = ref(0);
+  const remaining = ref(0);
+  const exercisesCompleted = ref(0);
+
+  /** @type {ReturnType<typeof setTimeout> | null} */
+  let timer = null;
+  let endsAt = 0;
+
+  function stopTimer() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+  }
+
+  function tick() {
+    remaining.value = Math.max(0, endsAt - Date.now());
+
+    if (remaining.value === 0) {
+      stop();
+      options.onExpire();
+      return;
+    }
+
+    timer = setTimeout(tick, Math.min(TICK_INTERVAL, remaining.value));
+  }
+
+  /**
+   * @param {number} minutes - Sprint length, e.g. a level's sessionDuration
+   */
+  function start(minutes) {
+    stopTimer();
+    duration.value = minutes * 60000;
+    remaining.value = duration.value;
+    exercisesCompleted.value = 0;
+    endsAt = Date.now() + duration.value;
+    isRunning.value = true;
+    timer = setTimeout(tick, Math.min(TICK_INTERVAL, remaining.value));
+  }
+
+  /**
+   * Stop without calling onExpire
+   */
+  function stop() {
+    stopTimer();
+    isRunning.value = false;
+  }
+
+  function completeExercise() {
+    exercisesCompleted.value++;
+  }
+
+  if (getCurrentInstance()) {
+    onUnmounted(stopTimer);
+  }
+
+  return {
+    isRunning: readonly(isRunning),
+    duration: readonly(duration),
+    remaining: readonly(remaining),
+    exercisesCompleted: readonly(exercisesCompleted),
+    /** Countdown as m:ss */
+    countdown: computed(() => {
+      const seconds = Math.ceil(remaining.value / 1000);
+      return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }),
+    start,
+    stop,
+    completeExercise
+  };
+}
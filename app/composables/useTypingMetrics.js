@@ -1,4 +1,5 @@
 import { ref, reactive, computed, readonly } from 'vue'
+import { calculateTokenAccuracy } from '../utils/codeTokens.js'
 
 /**
  * @typedef {Object} TypingMetrics
@@ -8,9 +9,11 @@ import { ref, reactive, computed, readonly } from 'vue'
  * @property {number[]} keystrokeLatency - Individual keystroke delays
  * @property {Map<string, number>} errorPatterns - Character/pattern error frequency
  * @property {KeystrokeHeat[]} heatmap - Timing distribution per key
+ * @property {{bigrams: SequenceLatency[], trigrams: SequenceLatency[]}} slowestSequences - Slowest key sequences
  * @property {number} rythmScore - Consistency in typing rhythm
- * @property {number[]} pausePattern - Pause locations and durations
+ * @property {PauseEvent[]} pausePattern - Pause locations and durations
  * @property {number} momentum - Acceleration/deceleration trend
+ * @property {TokenAccuracy} tokenAccuracy - Accuracy by token type and Vue SFC section
  */
 
 /**
@@ -21,6 +24,15 @@ import { ref, reactive, computed, readonly } from 'vue'
  * @property {boolean} isCorrect
  * @property {number} timeDelta
  * @property {{line: number, column: number}} position
+ * @property {TokenClass} [token] - Token the expected character belongs to
+ * @property {number} [idleTime] - Paused time (ms) since the previous keystroke, excluded from WPM
+ * @property {number} [exercise] - Index of the exercise typed, in sessions that stream several; 0 when missing
+ * @property {string} [inserted] - Text the editor filled in right after this keystroke, e.g. skipped indentation
+ */
+
+/**
+ * @typedef {import('../utils/codeTokens.js').TokenClass} TokenClass
+ * @typedef {import('../utils/codeTokens.js').TokenAccuracy} TokenAccuracy
  */
 
 /**
@@ -31,6 +43,20 @@ import { ref, reactive, computed, readonly } from 'vue'
  * @property {number} errorRate
  */
 
+/**
+ * @typedef {Object} SequenceLatency
+ * @property {string} sequence - Expected characters, e.g. `=>`
+ * @property {number} averageTime - Mean time to type the sequence after its first key (ms)
+ * @property {number} count
+ */
+
+/**
+ * @typedef {Object} PauseEvent
+ * @property {{line: number, column: number}} position - Where typing resumed
+ * @property {number} duration - Length of the pause (ms)
+ * @property {number} timestamp
+ */
+
 /**
  * @typedef {Object} AccuracyMetrics
  * @property {number} raw
@@ -45,12 +71,32 @@ import { ref, reactive, computed, readonly } from 'vue'
  * @property {number} startTime
  * @property {number} [endTime]
  * @property {string} drillType
+ * @property {string | null} levelId - AdaptiveDifficulty level the session was typed at
+ * @property {string | null} [exerciseId] - Hash of the exercise text, see snippetId()
+ * @property {string | null} [language] - Language of the exercise text, for highlighting replays
  * @property {number} targetWPM
  * @property {number} finalWPM
  * @property {AccuracyMetrics} accuracy
+ * @property {number} consistency - Keystroke timing consistency at session end (0-100)
+ * @property {Record<string, number>} errorPatterns - `expected->actual` error counts at session end
+ * @property {string[]} [reviewedPatterns] - Error patterns a remediation drill gave practice on, see practicedPatterns()
+ * @property {TokenAccuracy} [tokenAccuracy] - Token-level accuracy at session end
+ * @property {number} [idleTime] - Total time (ms) the clock was paused, idle or manually
+ * @property {PauseEvent[]} [pausePattern] - Every pause longer than the pause threshold
+ * @property {boolean} [assisted] - Some text was pasted, autocompleted or auto-closed rather than typed
+ * @property {Partial<Record<import('../utils/sessionIntegrity.js').AssistKind, number>>} [assists] - Assists by kind
+ * @property {import('../utils/sessionPlans.js').PlanMembership} [plan] - Session plan run this session was a segment of
  * @property {KeystrokeEvent[]} keystrokes
  */
 
+/**
+ * @typedef {Object} TypingMetricsOptions
+ * @property {number} [idleTimeout] - Pause the clock after this long without a keystroke (ms); 0 disables
+ */
+
+/** Default idle time before the session clock pauses (ms) */
+export const DEFAULT_IDLE_TIMEOUT = 5000;
+
 // High-performance ring buffer for keystroke events
 class PerformanceRingBuffer {
   /**
@@ -106,6 +152,7 @@ class TypingCalculator {
     this.WINDOW_SIZE = 5000; // 5 second sliding window
     this.AVERAGE_WORD_LENGTH = 5; // Standard typing measurement
     this.PASTE_THRESHOLD = 10; // ms threshold for paste detection
+    this.PAUSE_THRESHOLD = 2000; // ms gap treated as a pause rather than typing latency
   }
   
   /**
@@ -119,7 +166,7 @@ class TypingCalculator {
    * Real-time WPM calculation handling edge cases:
    * - Initial typing period (< 5 seconds)
    * - Backspace corrections
-   * - Long pauses (> 2 seconds)
+   * - Idle time, which getEffectiveTimeSpan() leaves out
    * - Copy-paste detection
    * @returns {number}
    */
@@ -147,6 +194,21 @@ class TypingCalculator {
     return Math.round((words / timeSpan) * 60000); // Convert ms to minutes
   }
   
+  /**
+   * Whole-session WPM: correct characters over the time from the first to the last keystroke,
+   * leaving out idle time
+   * @param {KeystrokeEvent[]} keystrokes - Every keystroke of the session
+   * @returns {number}
+   */
+  calculateSessionWPM(keystrokes) {
+    const characters = keystrokes.filter(k => k.isCorrect && !this.isBackspace(k.key) && !this.isPasted(k)).length;
+    const timeSpan = this.getEffectiveTimeSpan([...keystrokes]);
+
+    if (timeSpan < 1000) return 0;
+
+    return Math.round((characters / this.AVERAGE_WORD_LENGTH / timeSpan) * 60000);
+  }
+
   /**
    * Accuracy with sophisticated error classification
    * @returns {AccuracyMetrics}
@@ -225,6 +287,7 @@ class TypingCalculator {
   }
   
   /**
+   * Time between the first and last event, minus the time the clock was paused in between
    * @param {KeystrokeEvent[]} events
    * @returns {number}
    */
@@ -234,8 +297,9 @@ class TypingCalculator {
     const sortedEvents = events.sort((a, b) => a.timestamp - b.timestamp);
     const start = sortedEvents[0].timestamp;
     const end = sortedEvents[sortedEvents.length - 1].timestamp;
+    const idle = sortedEvents.slice(1).reduce((sum, e) => sum + (e.idleTime || 0), 0);
     
-    return end - start;
+    return Math.max(0, end - start - idle);
   }
   
   /**
@@ -257,6 +321,126 @@ class TypingCalculator {
     return corrections;
   }
   
+  /**
+   * Recent inter-keystroke latencies, pauses excluded
+   * @param {number} [count=50]
+   * @returns {number[]}
+   */
+  getKeystrokeLatencies(count = 50) {
+    return this.buffer.getRecent(count)
+      .map(e => e.timeDelta)
+      .filter(delta => delta > 0 && delta < this.PAUSE_THRESHOLD);
+  }
+  
+  /**
+   * Per-key average latency, frequency and error rate, keyed by the expected character
+   * @returns {KeystrokeHeat[]}
+   */
+  calculateHeatmap() {
+    /** @type {Map<string, {totalTime: number, timed: number, frequency: number, errors: number}>} */
+    const stats = new Map();
+    
+    this.buffer.getRecent(500)
+      .filter(e => !this.isBackspace(e.key) && e.expected)
+      .forEach((e) => {
+        const entry = stats.get(e.expected) || { totalTime: 0, timed: 0, frequency: 0, errors: 0 };
+        entry.frequency++;
+        if (!e.isCorrect) entry.errors++;
+        if (e.timeDelta > 0 && e.timeDelta < this.PAUSE_THRESHOLD) {
+          entry.totalTime += e.timeDelta;
+          entry.timed++;
+        }
+        stats.set(e.expected, entry);
+      });
+    
+    return Array.from(stats.entries()).map(([key, entry]) => ({
+      key,
+      averageTime: entry.timed > 0 ? entry.totalTime / entry.timed : 0,
+      frequency: entry.frequency,
+      errorRate: (entry.errors / entry.frequency) * 100
+    }));
+  }
+  
+  /**
+   * Slowest runs of consecutive correct keystrokes, e.g. `=>` or `${`
+   * @param {number} length - Sequence length (2 for bigrams, 3 for trigrams)
+   * @param {number} [limit=5]
+   * @param {number} [minCount=2] - Ignore sequences seen fewer times
+   * @returns {SequenceLatency[]}
+   */
+  getSlowestSequences(length, limit = 5, minCount = 2) {
+    /** @type {Map<string, {total: number, count: number}>} */
+    const sequences = new Map();
+    /** @type {KeystrokeEvent[]} */
+    let run = [];
+    
+    this.buffer.getRecent(500).forEach((e) => {
+      // Only clean, uninterrupted typing says anything about sequence fluency
+      if (!e.isCorrect || this.isBackspace(e.key) || e.timeDelta >= this.PAUSE_THRESHOLD) {
+        run = e.isCorrect && !this.isBackspace(e.key) ? [e] : [];
+        return;
+      }
+      
+      run.push(e);
+      if (run.length < length) return;
+      
+      const window = run.slice(-length);
+      const sequence = window.map(k => k.expected).join('');
+      const time = window.slice(1).reduce((sum, k) => sum + k.timeDelta, 0);
+      const entry = sequences.get(sequence) || { total: 0, count: 0 };
+      entry.total += time;
+      entry.count++;
+      sequences.set(sequence, entry);
+    });
+    
+    return Array.from(sequences.entries())
+      .filter(([, entry]) => entry.count >= minCount)
+      .map(([sequence, entry]) => ({ sequence, averageTime: entry.total / entry.count, count: entry.count }))
+      .sort((a, b) => b.averageTime - a.averageTime)
+      .slice(0, limit);
+  }
+  
+  /**
+   * @param {KeystrokeEvent} keystroke
+   * @returns {PauseEvent | null} The gap before the keystroke, if longer than PAUSE_THRESHOLD
+   */
+  detectPause(keystroke) {
+    if (keystroke.timeDelta < this.PAUSE_THRESHOLD) return null;
+    return { position: keystroke.position, duration: keystroke.timeDelta, timestamp: keystroke.timestamp };
+  }
+  
+  /**
+   * Share of recent intervals within 50% of the median interval (0-100)
+   * @returns {number}
+   */
+  calculateRhythmScore() {
+    const latencies = this.getKeystrokeLatencies(100);
+    if (latencies.length < 5) return 0;
+    
+    const sorted = [...latencies].sort((a, b) => a - b);
+    const median = sorted[Math.floor(sorted.length / 2)];
+    const steady = latencies.filter(delta => Math.abs(delta - median) <= median * 0.5).length;
+    
+    return (steady / latencies.length) * 100;
+  }
+  
+  /**
+   * Speed change between the older and newer half of recent keystrokes, in percent.
+   * Positive when the typist is accelerating.
+   * @returns {number}
+   */
+  calculateMomentum() {
+    const latencies = this.getKeystrokeLatencies(40);
+    if (latencies.length < 10) return 0;
+    
+    const half = Math.floor(latencies.length / 2);
+    const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const older = average(latencies.slice(0, half));
+    const recent = average(latencies.slice(half));
+    
+    return Math.max(-100, Math.min(100, ((older - recent) / older) * 100));
+  }
+  
   clear() {
     this.buffer.clear();
   }
@@ -264,15 +448,18 @@ class TypingCalculator {
 
 /**
  * Main composable for typing metrics
+ * @param {TypingMetricsOptions} [options]
  * @returns {Object}
  */
-export function useTypingMetrics() {
+export function useTypingMetrics({ idleTimeout = DEFAULT_IDLE_TIMEOUT } = {}) {
   const calculator = new TypingCalculator();
   
   // Reactive state
   /** @type {import('vue').Ref<PerformanceSession | null>} */
   const currentSession = ref(null);
   const isActive = ref(false);
+  // Clock stopped after idleTimeout without typing; the next keystroke resumes it
+  const isIdle = ref(false);
   /** @type {import('vue').Ref<number>} */
   const startTime = ref(0);
   
@@ -285,59 +472,147 @@ export function useTypingMetrics() {
     keystrokeLatency: [],
     errorPatterns: new Map(),
     heatmap: [],
+    slowestSequences: { bigrams: [], trigrams: [] },
     rythmScore: 0,
     pausePattern: [],
-    momentum: 0
+    momentum: 0,
+    tokenAccuracy: calculateTokenAccuracy([])
   });
   
   // Performance optimized update function (debounced)
   /** @type {ReturnType<typeof setTimeout> | null} */
   let updateTimeout = null;
   
+  function refreshMetrics() {
+    metrics.wpm = calculator.calculateRealTimeWPM();
+    const accuracy = calculator.calculateAccuracy();
+    metrics.accuracy = accuracy.raw;
+    metrics.consistency = calculator.calculateConsistency();
+    metrics.errorPatterns = calculator.getErrorPatterns();
+    metrics.keystrokeLatency = calculator.getKeystrokeLatencies();
+    metrics.heatmap = calculator.calculateHeatmap();
+    metrics.slowestSequences = {
+      bigrams: calculator.getSlowestSequences(2),
+      trigrams: calculator.getSlowestSequences(3)
+    };
+    metrics.pausePattern = [...(currentSession.value?.pausePattern ?? [])];
+    metrics.rythmScore = calculator.calculateRhythmScore();
+    metrics.momentum = calculator.calculateMomentum();
+    metrics.tokenAccuracy = calculateTokenAccuracy(currentSession.value?.keystrokes ?? []);
+  }
+  
   function updateMetrics() {
     if (updateTimeout) clearTimeout(updateTimeout);
     
-    updateTimeout = setTimeout(() => {
-      metrics.wpm = calculator.calculateRealTimeWPM();
-      const accuracy = calculator.calculateAccuracy();
-      metrics.accuracy = accuracy.raw;
-      metrics.consistency = calculator.calculateConsistency();
-      metrics.errorPatterns = calculator.getErrorPatterns();
-    }, 100); // Update at most 10 times per second
+    updateTimeout = setTimeout(refreshMetrics, 100); // Update at most 10 times per second
+  }
+  
+  /**
+   * Apply any pending debounced update so metrics reflect every recorded keystroke
+   */
+  function flushMetrics() {
+    if (updateTimeout) {
+      clearTimeout(updateTimeout);
+      updateTimeout = null;
+    }
+    refreshMetrics();
   }
   
+  // Pause bookkeeping: when the current pause began, and paused time not yet attributed to a keystroke
+  /** @type {number | null} */
+  let pausedAt = null;
+  let pendingIdle = 0;
+  /** @type {ReturnType<typeof setTimeout> | null} */
+  let idleTimer = null;
+  // Exercise being typed in a session that streams several, recorded on each keystroke for replays
+  let exerciseIndex = 0;
+
+  function clearIdleTimer() {
+    if (idleTimer) clearTimeout(idleTimer);
+    idleTimer = null;
+  }
+
+  /**
+   * Restart the countdown to an idle pause
+   */
+  function scheduleIdle() {
+    clearIdleTimer();
+    if (idleTimeout <= 0) return;
+    idleTimer = setTimeout(() => {
+      idleTimer = null;
+      isIdle.value = true;
+      pausedAt = Date.now();
+    }, idleTimeout);
+  }
+
+  /**
+   * End the current idle or manual pause, if any
+   * @param {number} now
+   */
+  function closePause(now) {
+    if (pausedAt !== null) {
+      pendingIdle += now - pausedAt;
+      pausedAt = null;
+    }
+    isIdle.value = false;
+  }
+
+  function clearPauseState() {
+    clearIdleTimer();
+    pausedAt = null;
+    pendingIdle = 0;
+    isIdle.value = false;
+  }
+
   /**
    * @param {string} drillType
    * @param {number} [targetWPM=60]
+   * @param {string | null} [levelId=null]
+   * @param {string | null} [exerciseId=null] - Lets later sessions find earlier runs of the same text
+   * @param {string | null} [language=null] - Language of the exercise text
    */
-  function startSession(drillType, targetWPM = 60) {
+  function startSession(drillType, targetWPM = 60, levelId = null, exerciseId = null, language = null) {
     const sessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     
     currentSession.value = {
       id: sessionId,
       startTime: Date.now(),
       drillType,
+      levelId,
+      exerciseId,
+      language,
       targetWPM,
       finalWPM: 0,
       accuracy: { raw: 0, adjusted: 0, errorRate: 0, correctionRatio: 0 },
+      consistency: 0,
+      errorPatterns: {},
+      idleTime: 0,
+      pausePattern: [],
+      assisted: false,
+      assists: {},
       keystrokes: []
     };
     
     isActive.value = true;
     startTime.value = Date.now();
+    exerciseIndex = 0;
     calculator.clear();
+    clearPauseState();
+    scheduleIdle();
   }
   
   /**
    * @param {string} key
    * @param {string} expected
    * @param {{line: number, column: number}} position
+   * @param {TokenClass} [token] - Token class of the expected character, see classifyText()
    */
-  function recordKeystroke(key, expected, position) {
+  function recordKeystroke(key, expected, position, token) {
     if (!isActive.value || !currentSession.value) return;
     
     const now = Date.now();
     const timeDelta = now - startTime.value;
+    closePause(now);
     
     /** @type {KeystrokeEvent} */
     const keystroke = {
@@ -348,25 +623,77 @@ export function useTypingMetrics() {
       timeDelta,
       position
     };
+    if (token) keystroke.token = token;
+    if (exerciseIndex > 0) keystroke.exercise = exerciseIndex;
+    if (pendingIdle > 0) {
+      keystroke.idleTime = pendingIdle;
+      currentSession.value.idleTime += pendingIdle;
+      pendingIdle = 0;
+    }
     
     calculator.addKeystroke(keystroke);
     currentSession.value.keystrokes.push(keystroke);
     
+    const pause = calculator.detectPause(keystroke);
+    if (pause) currentSession.value.pausePattern.push(pause);
+    scheduleIdle();
+
     // Update metrics in real-time
     updateMetrics();
     
     startTime.value = now; // Update for next keystroke delta calculation
   }
   
+  /**
+   * Note text the editor filled in after the last keystroke, so replays show it without counting it as typed
+   * @param {string} text
+   */
+  function recordInserted(text) {
+    const keystrokes = currentSession.value?.keystrokes;
+    if (!text || !keystrokes?.length) return;
+
+    const last = keystrokes[keystrokes.length - 1];
+    last.inserted = (last.inserted ?? '') + text;
+  }
+
+  /**
+   * Move a session that streams several exercises on to the next one; replays start it from an empty text
+   */
+  function startNextExercise() {
+    if (currentSession.value) exerciseIndex++;
+  }
+
+  /**
+   * Mark the session as assisted: text entered by paste, autocomplete or the editor itself
+   * @param {import('../utils/sessionIntegrity.js').AssistKind} kind
+   */
+  function recordAssist(kind) {
+    if (!currentSession.value) return;
+
+    currentSession.value.assisted = true;
+    currentSession.value.assists[kind] = (currentSession.value.assists[kind] || 0) + 1;
+  }
+
   /**
    * @returns {PerformanceSession | null}
    */
   function endSession() {
     if (!currentSession.value) return null;
     
+    flushMetrics();
+    
+    // Time idle at the end is paused time too
+    closePause(Date.now());
+    currentSession.value.idleTime += pendingIdle;
+    clearPauseState();
+
     currentSession.value.endTime = Date.now();
-    currentSession.value.finalWPM = metrics.wpm;
+    // metrics.wpm only covers the last few seconds
+    currentSession.value.finalWPM = calculator.calculateSessionWPM(currentSession.value.keystrokes);
     currentSession.value.accuracy = calculator.calculateAccuracy();
+    currentSession.value.consistency = metrics.consistency;
+    currentSession.value.errorPatterns = Object.fromEntries(metrics.errorPatterns);
+    currentSession.value.tokenAccuracy = metrics.tokenAccuracy;
     
     isActive.value = false;
     
@@ -378,16 +705,21 @@ export function useTypingMetrics() {
   
   function pauseSession() {
     isActive.value = false;
+    clearIdleTimer();
+    if (currentSession.value && pausedAt === null) pausedAt = Date.now();
   }
   
   function resumeSession() {
     if (currentSession.value) {
       isActive.value = true;
       startTime.value = Date.now();
+      closePause(startTime.value);
+      scheduleIdle();
     }
   }
   
   function resetSession() {
+    clearPauseState();
     calculator.clear();
     currentSession.value = null;
     isActive.value = false;
@@ -397,12 +729,19 @@ export function useTypingMetrics() {
     metrics.accuracy = 0;
     metrics.consistency = 0;
     metrics.errorPatterns.clear();
+    metrics.keystrokeLatency = [];
+    metrics.heatmap = [];
+    metrics.slowestSequences = { bigrams: [], trigrams: [] };
+    metrics.pausePattern = [];
+    metrics.rythmScore = 0;
+    metrics.momentum = 0;
+    metrics.tokenAccuracy = calculateTokenAccuracy([]);
   }
   
   // Computed properties for derived metrics
   const sessionDuration = computed(() => {
     if (!currentSession.value || !isActive.value) return 0;
-    return Date.now() - currentSession.value.startTime;
+    return Date.now() - currentSession.value.startTime - currentSession.value.idleTime;
   });
   
   const progressScore = computed(() => {
@@ -421,6 +760,7 @@ export function useTypingMetrics() {
     // State
     currentSession: readonly(currentSession),
     isActive: readonly(isActive),
+    isIdle: readonly(isIdle),
     metrics: readonly(metrics),
     
     // Computed
@@ -433,6 +773,9 @@ export function useTypingMetrics() {
     pauseSession,
     resumeSession,
     resetSession,
-    recordKeystroke
+    recordKeystroke,
+    recordInserted,
+    recordAssist,
+    startNextExercise
   };
-}
\ No newline at end of file
+}
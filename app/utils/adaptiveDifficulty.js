@@ -1,3 +1,10 @@
+import { mineWeaknesses, weaknessesFromErrorPatterns, buildRemediationDrill } from './remediationDrill.js';
+import { generateSnippet } from './codeGenerator.js';
+import advanced1Corpus from '../data/patterns/advanced-1.json';
+import advanced2Corpus from '../data/patterns/advanced-2.json';
+import expert1Corpus from '../data/patterns/expert-1.json';
+import expert2Corpus from '../data/patterns/expert-2.json';
+
 /**
  * @typedef {Object} DifficultyMetrics
  * @property {number} textComplexity - Readability score (1-10)
@@ -32,12 +39,47 @@
 /**
  * @typedef {Object} PerformanceSession
  * @property {string} drillType
+ * @property {string | null} [levelId] - Level the session was typed at, falls back to drillType
+ * @property {number} [startTime]
+ * @property {number} [endTime]
+ * @property {number} [idleTime] - Time (ms) the clock was paused
  * @property {number} finalWPM
  * @property {Object} accuracy
  * @property {number} accuracy.raw
  * @property {Array} keystrokes
  */
 
+/**
+ * @typedef {Object} AdaptiveDifficultyState
+ * @property {string} currentLevel - DifficultyLevel id
+ * @property {PerformanceSession[]} history - Recent sessions, oldest first
+ */
+
+/**
+ * @typedef {Object} LevelScore
+ * @property {number} wpm - Net WPM over the session's active time
+ * @property {number} accuracy - Raw accuracy percentage
+ * @property {boolean} metWPM - Reached the level's targetWPM
+ * @property {boolean} metAccuracy - Reached the level's targetAccuracy
+ * @property {number} score - 0-100, half speed and half accuracy, each capped at its target
+ */
+
+/**
+ * Progression model behind AdaptiveDifficulty.calculateNextDifficulty()
+ * @typedef {Object} DifficultyStrategy
+ * @property {string} id
+ * @property {(difficulty: AdaptiveDifficulty) => DifficultyLevel} nextLevel - Level to practise next
+ * @property {(session: PerformanceSession) => void} [observe] - Learn from a session as it is added
+ * @property {() => void} [reset] - Forget every observed session, before the history is restored
+ * @property {(exercises: {code: string, levelId?: string}[], difficulty: AdaptiveDifficulty) => number} [pickExercise]
+ *   Index of the exercise to practise next
+ */
+
+/**
+ * @typedef {Object} AdaptiveDifficultyOptions
+ * @property {DifficultyStrategy} [strategy] - Defaults to a ThresholdStrategy
+ */
+
 /**
  * @typedef {Object} Keystroke
  * @property {string} key
@@ -122,6 +164,23 @@ export const DIFFICULTY_LEVELS = [
   }
 ];
 
+/**
+ * @typedef {Object} PatternCorpus
+ * @property {string} levelId - DifficultyLevel id
+ * @property {string} name
+ * @property {string[]} sources - Cookbook recipes the patterns are drawn from
+ * @property {string[]} patterns - Code blocks, each typed as a unit
+ */
+
+// Code corpora for the advanced and expert levels, kept as data in app/data/patterns
+/** @type {Record<string, PatternCorpus>} */
+export const PATTERN_CORPORA = Object.fromEntries(
+  [advanced1Corpus, advanced2Corpus, expert1Corpus, expert2Corpus].map(corpus => [corpus.levelId, corpus])
+);
+
+/** Lines of synthesized text allowed per point of textComplexity */
+const LINES_PER_COMPLEXITY = 3;
+
 // Progression phases aligned with the cookbook methodology
 /** @type {ProgressionPhase[]} */
 export const PROGRESSION_PHASES = [
@@ -159,6 +218,76 @@ export const PROGRESSION_PHASES = [
   }
 ];
 
+/**
+ * Progression phase a difficulty level belongs to: two levels per phase, the expert levels in the last
+ * @param {string} levelId - DifficultyLevel id
+ * @returns {ProgressionPhase | null} Null for ids that are not difficulty levels
+ */
+export function progressionPhaseForLevel(levelId) {
+  const index = DIFFICULTY_LEVELS.findIndex(l => l.id === levelId);
+  if (index === -1) return null;
+  return PROGRESSION_PHASES[Math.min(Math.floor(index / 2), PROGRESSION_PHASES.length - 1)];
+}
+
+/**
+ * Score a fixed-duration session against a level's targets.
+ * Speed is correct keystrokes over the session's active time: its duration minus idleTime,
+ * the time the clock was paused. Unlike finalWPM, it is not limited to a real-time window.
+ * @param {PerformanceSession} session - Completed session with startTime and endTime
+ * @param {DifficultyLevel} level
+ * @returns {LevelScore}
+ */
+export function scoreAgainstLevel(session, level) {
+  const minutes = ((session.endTime ?? 0) - (session.startTime ?? 0) - (session.idleTime ?? 0)) / 60000;
+  const typed = session.keystrokes.filter(k => k.isCorrect && k.key !== 'Backspace' && k.key !== 'Delete').length;
+  const wpm = minutes > 0 ? Math.round(typed / 5 / minutes) : 0;
+  const accuracy = session.accuracy.raw;
+  const speedShare = Math.min(wpm / level.targetWPM, 1);
+  const accuracyShare = Math.min(accuracy / level.targetAccuracy, 1);
+
+  return {
+    wpm,
+    accuracy,
+    metWPM: wpm >= level.targetWPM,
+    metAccuracy: accuracy >= level.targetAccuracy,
+    score: Math.round((speedShare + accuracyShare) * 50)
+  };
+}
+
+/**
+ * Default progression: advance or regress one level on fixed accuracy, WPM, consistency and trend
+ * thresholds over the recent sessions at the current level
+ * @implements {DifficultyStrategy}
+ */
+export class ThresholdStrategy {
+  id = 'threshold';
+
+  /**
+   * @param {AdaptiveDifficulty} difficulty
+   * @returns {DifficultyLevel}
+   */
+  nextLevel(difficulty) {
+    if (difficulty.history.length < difficulty.MIN_SESSIONS_FOR_ADVANCEMENT) {
+      return difficulty.currentLevel;
+    }
+
+    const recentSessions = difficulty.getRecentSessionsForLevel(difficulty.currentLevel.id);
+    if (recentSessions.length < difficulty.MIN_SESSIONS_FOR_ADVANCEMENT) {
+      return difficulty.currentLevel;
+    }
+
+    const performance = difficulty.analyzeRecentPerformance(recentSessions);
+
+    if (difficulty.shouldAdvanceLevel(performance)) {
+      return difficulty.getNextLevel() || difficulty.currentLevel;
+    } else if (difficulty.shouldRegress(performance)) {
+      return difficulty.getPreviousLevel() || difficulty.currentLevel;
+    }
+
+    return difficulty.currentLevel;
+  }
+}
+
 export class AdaptiveDifficulty {
   /** @private @readonly */
   TARGET_ACCURACY = 95;
@@ -166,57 +295,116 @@ export class AdaptiveDifficulty {
   /** @private @readonly */
   TARGET_WPM_MULTIPLIER = 0.8; // 80% of target WPM to advance
   
-  /** @private @readonly */
+  /** @package @readonly */
   MIN_SESSIONS_FOR_ADVANCEMENT = 3;
   
-  /** @private @type {PerformanceSession[]} */
+  /** @readonly */
+  MAX_HISTORY = 50;
+  
+  /** @package @type {PerformanceSession[]} */
   history = [];
   
-  /** @private @type {DifficultyLevel} */
+  /** @package @type {DifficultyLevel} */
   currentLevel;
   
+  /** @private @type {DifficultyStrategy} */
+  strategy;
+  
   /**
    * @param {string} startingLevel
+   * @param {AdaptiveDifficultyOptions} [options]
    */
-  constructor(startingLevel = 'beginner-1') {
+  constructor(startingLevel = 'beginner-1', { strategy = new ThresholdStrategy() } = {}) {
     const level = DIFFICULTY_LEVELS.find(l => l.id === startingLevel);
     this.currentLevel = level || DIFFICULTY_LEVELS[0];
+    this.strategy = strategy;
   }
   
   /**
+   * Assisted sessions are ignored: pasted or autocompleted text says nothing about typing skill
    * @param {PerformanceSession} session
    */
   addSession(session) {
+    if (session.assisted) return;
     this.history.push(session);
+    this.strategy.observe?.(session);
     
     // Keep only recent history (last 50 sessions)
-    if (this.history.length > 50) {
-      this.history = this.history.slice(-50);
+    if (this.history.length > this.MAX_HISTORY) {
+      this.history = this.history.slice(-this.MAX_HISTORY);
     }
   }
   
   /**
-   * @returns {DifficultyLevel}
+   * Serializable snapshot of the progression state
+   * @returns {AdaptiveDifficultyState}
    */
-  calculateNextDifficulty() {
-    if (this.history.length < this.MIN_SESSIONS_FOR_ADVANCEMENT) {
-      return this.currentLevel;
-    }
-    
-    const recentSessions = this.getRecentSessionsForLevel(this.currentLevel.id);
-    if (recentSessions.length < this.MIN_SESSIONS_FOR_ADVANCEMENT) {
-      return this.currentLevel;
-    }
-    
-    const performance = this.analyzeRecentPerformance(recentSessions);
-    
-    if (this.shouldAdvanceLevel(performance)) {
-      return this.getNextLevel() || this.currentLevel;
-    } else if (this.shouldRegress(performance)) {
-      return this.getPreviousLevel() || this.currentLevel;
+  toJSON() {
+    return {
+      currentLevel: this.currentLevel.id,
+      history: [...this.history]
+    };
+  }
+  
+  /**
+   * Replace the in-memory state with a previously serialized snapshot
+   * @param {Partial<AdaptiveDifficultyState>} state
+   */
+  restore(state) {
+    const level = DIFFICULTY_LEVELS.find(l => l.id === state.currentLevel);
+    if (level) {
+      this.currentLevel = level;
     }
     
-    return this.currentLevel;
+    this.history = [];
+    this.strategy.reset?.();
+    (state.history || []).forEach(session => this.addSession(session));
+  }
+  
+  /**
+   * @param {Partial<AdaptiveDifficultyState>} state
+   * @param {AdaptiveDifficultyOptions} [options]
+   * @returns {AdaptiveDifficulty}
+   */
+  static fromJSON(state, options) {
+    const difficulty = new AdaptiveDifficulty(undefined, options);
+    difficulty.restore(state);
+    return difficulty;
+  }
+  
+  /**
+   * @returns {DifficultyLevel}
+   */
+  calculateNextDifficulty() {
+    return this.strategy.nextLevel(this);
+  }
+  
+  /**
+   * @returns {string} Id of the progression strategy in use
+   */
+  getStrategyId() {
+    return this.strategy.id;
+  }
+  
+  /**
+   * Switch progression model, letting the new one learn from the sessions already in history
+   * @param {DifficultyStrategy} strategy
+   */
+  setStrategy(strategy) {
+    this.strategy = strategy;
+    strategy.reset?.();
+    this.history.forEach(session => strategy.observe?.(session));
+  }
+  
+  /**
+   * Exercise to practise next
+   * @template {{code: string, levelId?: string}} T
+   * @param {T[]} exercises
+   * @returns {T | null} Null when there are none or the strategy leaves the order to the caller
+   */
+  pickExercise(exercises) {
+    if (exercises.length === 0 || !this.strategy.pickExercise) return null;
+    return exercises[this.strategy.pickExercise(exercises, this)] ?? null;
   }
   
   /**
@@ -238,30 +426,62 @@ export class AdaptiveDifficulty {
    * @returns {ProgressionPhase | null}
    */
   getProgressionPhase() {
-    const currentIndex = DIFFICULTY_LEVELS.findIndex(l => l.id === this.currentLevel.id);
-    
-    if (currentIndex <= 1) return PROGRESSION_PHASES[0];
-    if (currentIndex <= 3) return PROGRESSION_PHASES[1];
-    if (currentIndex <= 5) return PROGRESSION_PHASES[2];
-    return PROGRESSION_PHASES[3];
+    return progressionPhaseForLevel(this.currentLevel.id);
   }
   
   /**
    * @param {DifficultyLevel} difficulty
    * @param {Map<string, number>} [weakPatterns]
+   * @param {() => number} [random=Math.random] - Picks which patterns make up the text
    * @returns {string}
    */
-  generateAdaptiveText(difficulty, weakPatterns) {
+  generateAdaptiveText(difficulty, weakPatterns, random = Math.random) {
     const patterns = this.getPatternsByDifficulty(difficulty);
     const vocabulary = this.getVocabularyByLevel(difficulty.metrics.conceptualLoad);
     
     // Incorporate user's weak patterns if provided
     if (weakPatterns && weakPatterns.size > 0) {
-      const weakPatternText = this.generateWeakPatternText(weakPatterns);
-      return this.combinePatterns(patterns, vocabulary, weakPatternText);
+      const corpus = DIFFICULTY_LEVELS.map(level => ({ code: this.getPatternsByDifficulty(level).join('\n') }));
+      const drill = buildRemediationDrill(corpus, weaknessesFromErrorPatterns(weakPatterns), { length: 200, minLineLength: 4 });
+      if (drill.text) {
+        return this.combinePatterns(patterns, vocabulary, drill.text);
+      }
     }
     
-    return this.synthesizeText(patterns, vocabulary, difficulty.metrics);
+    return this.synthesizeText(patterns, vocabulary, difficulty.metrics, random);
+  }
+  
+  /**
+   * Grammar-generated JavaScript exercise sized by the level's metrics, with identifiers from its vocabulary.
+   * The same level and seed always give the same code, so the pair identifies the drill.
+   * @param {DifficultyLevel} difficulty
+   * @param {number} seed - See randomSeed()
+   * @returns {import('./codeGenerator.js').GeneratedSnippet}
+   */
+  generateExercise(difficulty, seed) {
+    return generateSnippet({
+      seed,
+      metrics: difficulty.metrics,
+      vocabulary: this.getVocabularyByLevel(difficulty.metrics.conceptualLoad)
+    });
+  }
+
+  /**
+   * Drill built from the symbols and bigrams missed most across the session history
+   * @param {import('./remediationDrill.js').CorpusItem[]} corpus - Exercise texts to pick lines from
+   * @param {import('./remediationDrill.js').RemediationOptions} [options]
+   * @returns {import('./remediationDrill.js').RemediationDrill}
+   */
+  generateRemediationDrill(corpus, options) {
+    return buildRemediationDrill(corpus, mineWeaknesses(this.history), options);
+  }
+  
+  /**
+   * WPM trend over the recent sessions at the current level
+   * @returns {'improving' | 'declining' | 'stable'}
+   */
+  getTrend() {
+    return this.calculateTrend(this.getRecentSessionsForLevel(this.currentLevel.id));
   }
   
   /**
@@ -299,7 +519,7 @@ export class AdaptiveDifficulty {
   }
   
   /**
-   * @private
+   * @package
    * @param {PerformanceSession[]} sessions
    * @returns {Object}
    */
@@ -340,7 +560,7 @@ export class AdaptiveDifficulty {
   }
   
   /**
-   * @private
+   * @package
    * @param {Object} performance
    * @returns {boolean}
    */
@@ -354,7 +574,7 @@ export class AdaptiveDifficulty {
   }
   
   /**
-   * @private
+   * @package
    * @param {Object} performance
    * @returns {boolean}
    */
@@ -366,7 +586,7 @@ export class AdaptiveDifficulty {
   }
   
   /**
-   * @private
+   * @package
    * @returns {DifficultyLevel | null}
    */
   getNextLevel() {
@@ -375,7 +595,7 @@ export class AdaptiveDifficulty {
   }
   
   /**
-   * @private
+   * @package
    * @returns {DifficultyLevel | null}
    */
   getPreviousLevel() {
@@ -384,13 +604,13 @@ export class AdaptiveDifficulty {
   }
   
   /**
-   * @private
+   * @package
    * @param {string} levelId
    * @returns {PerformanceSession[]}
    */
   getRecentSessionsForLevel(levelId) {
     return this.history
-      .filter(s => s.drillType === levelId)
+      .filter(s => (s.levelId ?? s.drillType) === levelId)
       .slice(-10); // Last 10 sessions for this level
   }
   
@@ -465,7 +685,7 @@ export class AdaptiveDifficulty {
         ];
       
       default:
-        return ['// Advanced patterns for higher levels'];
+        return PATTERN_CORPORA[difficulty.id]?.patterns ?? [];
     }
   }
   
@@ -485,35 +705,42 @@ export class AdaptiveDifficulty {
   }
   
   /**
-   * @private
-   * @param {Map<string, number>} weakPatterns
-   * @returns {string}
-   */
-  generateWeakPatternText(weakPatterns) {
-    const sortedPatterns = Array.from(weakPatterns.entries())
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, 5);
-    
-    return sortedPatterns.map(([pattern]) => {
-      const [expected, actual] = pattern.split('->');
-      return `${expected}${expected}${expected} // Practice: avoid typing '${actual}'`;
-    }).join('\n');
-  }
-  
-  /**
+   * Random selection of up to textComplexity patterns, in random order, that fits in
+   * LINES_PER_COMPLEXITY lines per point of complexity. Multi-line blocks are separated by a blank line.
    * @private
    * @param {string[]} patterns
    * @param {string[]} vocabulary
    * @param {DifficultyMetrics} metrics
+   * @param {() => number} [random=Math.random]
    * @returns {string}
    */
-  synthesizeText(patterns, vocabulary, metrics) {
+  synthesizeText(patterns, vocabulary, metrics, random = Math.random) {
     // Combine patterns and vocabulary based on difficulty metrics
-    const complexity = Math.floor(metrics.textComplexity);
-    const selectedPatterns = patterns.slice(0, Math.max(1, complexity));
+    const complexity = Math.max(1, Math.floor(metrics.textComplexity));
+    const maxLines = complexity * LINES_PER_COMPLEXITY;
+
+    const shuffled = [...patterns];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+
+    /** @type {string[]} */
+    const selectedPatterns = [];
+    let lines = 0;
+    for (const pattern of shuffled) {
+      const patternLines = pattern.split('\n').length;
+      // The first pattern is always taken, however long
+      if (selectedPatterns.length > 0 && lines + patternLines > maxLines) continue;
+      selectedPatterns.push(pattern);
+      lines += patternLines;
+      if (selectedPatterns.length >= complexity) break;
+    }
+
     const selectedVocab = vocabulary.slice(0, Math.max(1, Math.floor(metrics.conceptualLoad / 2)));
-    
-    return [...selectedPatterns, ...selectedVocab].join('\n');
+    const separator = selectedPatterns.some(pattern => pattern.includes('\n')) ? '\n\n' : '\n';
+
+    return [selectedPatterns.join(separator), ...selectedVocab].join('\n');
   }
   
   /**
@@ -0,0 +1,386 @@
+/**
+ * @fileoverview Seeded, grammar-based JavaScript exercise generator
+ * Expands small grammars for array filters, method-chain pipelines, Express handlers and Vue
+ * `<script setup>` blocks into syntactically valid snippets. Difficulty metrics size the snippet,
+ * and the same seed always expands to the same code, so a generated drill can be shared and replayed.
+ */
+
+/**
+ * @typedef {import('./adaptiveDifficulty.js').DifficultyMetrics} DifficultyMetrics
+ */
+
+/**
+ * @typedef {'filter' | 'pipeline' | 'express' | 'vue'} SnippetKind
+ */
+
+/**
+ * @typedef {Object} GeneratorOptions
+ * @property {number} seed - Unsigned 32-bit integer
+ * @property {DifficultyMetrics} metrics - textComplexity sets the length, keyboardDensity the
+ *   share of symbol-heavy syntax, conceptualLoad the snippet kinds allowed
+ * @property {string[]} vocabulary - Identifier stems, see AdaptiveDifficulty#getVocabularyByLevel
+ * @property {SnippetKind} [kind] - Defaults to one of the kinds the conceptual load allows, picked by the seed
+ */
+
+/**
+ * @typedef {Object} GeneratedSnippet
+ * @property {string} code
+ * @property {SnippetKind} kind
+ * @property {number} seed
+ */
+
+/**
+ * @typedef {Object} GrammarContext
+ * @property {() => number} random
+ * @property {string[]} vocabulary
+ * @property {number} steps - Statements or chained calls, from textComplexity
+ * @property {number} terms - Comparisons per predicate, from textComplexity
+ * @property {number} density - Chance of picking the symbol-heavy alternative, from keyboardDensity
+ * @property {number} conceptualLoad
+ * @property {Set<string>} names - Declared identifiers, kept unique
+ */
+
+/** Snippet kinds in the order the conceptual load unlocks them */
+export const SNIPPET_KINDS = [
+  { kind: 'filter', label: 'Filter', minConceptualLoad: 1 },
+  { kind: 'pipeline', label: 'Pipeline', minConceptualLoad: 3 },
+  { kind: 'express', label: 'Express Handler', minConceptualLoad: 5 },
+  { kind: 'vue', label: 'Vue Setup', minConceptualLoad: 7 }
+];
+
+/** Conceptual load from which handlers are wrapped in try/catch */
+const ERROR_HANDLING_LOAD = 8;
+
+const NOUNS = ['task', 'order', 'user', 'invoice', 'product', 'comment', 'ticket', 'project'];
+
+/** @type {Record<string, string[]>} */
+const STRING_FIELDS = {
+  status: ['open', 'closed', 'pending'],
+  role: ['admin', 'editor', 'viewer'],
+  region: ['eu', 'us', 'apac']
+};
+
+const NUMBER_FIELDS = ['total', 'priority', 'score', 'quantity'];
+
+const PREDICATE_METHODS = ['filter', 'find', 'some', 'every'];
+
+/**
+ * Mulberry32 generator
+ * @param {number} seed
+ * @returns {() => number} Deterministic stand-in for Math.random
+ */
+export function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * @param {() => number} [random=Math.random]
+ * @returns {number} Fresh unsigned 32-bit seed
+ */
+export function randomSeed(random = Math.random) {
+  return Math.floor(random() * 4294967296) >>> 0;
+}
+
+/**
+ * @param {unknown} value - e.g. a route query value
+ * @returns {number | null} The seed, or null unless value is an unsigned 32-bit integer
+ */
+export function parseSeed(value) {
+  if (typeof value !== 'string' || !/^\d{1,10}$/.test(value)) return null;
+  const seed = Number(value);
+  return seed <= 0xffffffff ? seed : null;
+}
+
+/**
+ * Link that reopens a generated drill
+ * @param {string} levelId
+ * @param {number} seed
+ * @returns {string}
+ */
+export function generatedDrillPath(levelId, seed) {
+  return `/typing?level=${encodeURIComponent(levelId)}&seed=${seed}`;
+}
+
+/**
+ * @param {number} conceptualLoad
+ * @returns {SnippetKind[]}
+ */
+export function kindsForLoad(conceptualLoad) {
+  return SNIPPET_KINDS.filter(entry => conceptualLoad >= entry.minConceptualLoad).map(entry => /** @type {SnippetKind} */ (entry.kind));
+}
+
+/**
+ * @template T
+ * @param {GrammarContext} ctx
+ * @param {T[]} items
+ * @returns {T}
+ */
+function pick(ctx, items) {
+  return items[Math.floor(ctx.random() * items.length)];
+}
+
+/**
+ * @param {GrammarContext} ctx
+ * @returns {boolean} True with the context's symbol density
+ */
+function dense(ctx) {
+  return ctx.random() < ctx.density;
+}
+
+/**
+ * @param {GrammarContext} ctx
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function integer(ctx, min, max) {
+  return min + Math.floor(ctx.random() * (max - min + 1));
+}
+
+/**
+ * @param {string} word
+ * @returns {string}
+ */
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+/**
+ * Reserve a const name, numbering it when already taken
+ * @param {GrammarContext} ctx
+ * @param {string} name
+ * @returns {string}
+ */
+function declare(ctx, name) {
+  let unique = name;
+  for (let i = 2; ctx.names.has(unique); i++) unique = `${name}${i}`;
+  ctx.names.add(unique);
+  return unique;
+}
+
+/**
+ * Vocabulary word joined to a noun, e.g. `fetchOrders` or `validationTicket`
+ * @param {GrammarContext} ctx
+ * @param {string} noun
+ * @returns {string}
+ */
+function identifier(ctx, noun) {
+  const word = pick(ctx, ctx.vocabulary);
+  return `${word.charAt(0).toLowerCase()}${word.slice(1)}${capitalize(noun)}`;
+}
+
+/**
+ * @param {GrammarContext} ctx
+ * @returns {{field: string, test: string}} A field and the comparison applied to it
+ */
+function comparison(ctx) {
+  if (ctx.random() < 0.5) {
+    const field = pick(ctx, Object.keys(STRING_FIELDS));
+    return { field, test: `=== '${pick(ctx, STRING_FIELDS[field])}'` };
+  }
+  const field = pick(ctx, NUMBER_FIELDS);
+  return { field, test: `${pick(ctx, ['>', '>=', '<', '<='])} ${integer(ctx, 1, 100)}` };
+}
+
+/**
+ * Arrow function testing ctx.terms fields of one item, destructured when dense
+ * @param {GrammarContext} ctx
+ * @param {string} noun - Parameter name
+ * @returns {string}
+ */
+function predicate(ctx, noun) {
+  /** @type {Map<string, {field: string, test: string}>} */
+  const unique = new Map();
+  for (let i = 0; i < ctx.terms; i++) {
+    const c = comparison(ctx);
+    unique.set(`${c.field} ${c.test}`, c);
+  }
+  const comparisons = [...unique.values()];
+  const operator = dense(ctx) ? ' || ' : ' && ';
+
+  if (dense(ctx)) {
+    const fields = [...new Set(comparisons.map(c => c.field))];
+    return `({ ${fields.join(', ')} }) => ${comparisons.map(c => `${c.field} ${c.test}`).join(operator)}`;
+  }
+  return `${noun} => ${comparisons.map(c => `${noun}.${c.field} ${c.test}`).join(operator)}`;
+}
+
+/**
+ * @param {GrammarContext} ctx
+ * @param {string} noun - Parameter name
+ * @returns {string}
+ */
+function mapper(ctx, noun) {
+  const field = pick(ctx, NUMBER_FIELDS);
+  if (dense(ctx)) return `${noun} => ({ ...${noun}, ${field}: ${noun}.${field} * ${integer(ctx, 2, 10)} })`;
+  if (dense(ctx)) return `${noun} => \`\${${noun}.id}: \${${noun}.${field}}\``;
+  return `${noun} => ${noun}.${field}`;
+}
+
+/**
+ * @param {string[]} lines
+ * @param {number} depth - Levels of two-space indentation
+ * @returns {string[]}
+ */
+function indent(lines, depth) {
+  return lines.map(line => `${'  '.repeat(depth)}${line}`);
+}
+
+/**
+ * One `const` per step, each searching a collection with a predicate method
+ * @param {GrammarContext} ctx
+ * @returns {string}
+ */
+function filterGrammar(ctx) {
+  const vocabularyMethods = PREDICATE_METHODS.filter(method => ctx.vocabulary.includes(method));
+  const methods = vocabularyMethods.length > 0 ? vocabularyMethods : ['filter'];
+
+  return Array.from({ length: ctx.steps }, () => {
+    const noun = pick(ctx, NOUNS);
+    const method = pick(ctx, methods);
+    const name = declare(ctx, `${method}${capitalize(method === 'find' ? noun : `${noun}s`)}`);
+    return `const ${name} = ${noun}s.${method}(${predicate(ctx, noun)});`;
+  }).join('\n');
+}
+
+/**
+ * A filter followed by sort, filter and slice stages, ending in a map or a reduce
+ * @param {GrammarContext} ctx
+ * @returns {string}
+ */
+function pipelineGrammar(ctx) {
+  const noun = pick(ctx, NOUNS);
+  const name = declare(ctx, identifier(ctx, `${noun}s`));
+  const stages = [`.filter(${predicate(ctx, noun)})`];
+
+  for (let i = 2; i < ctx.steps; i++) {
+    const stage = pick(ctx, ['sort', 'filter', 'slice']);
+    const field = pick(ctx, NUMBER_FIELDS);
+    if (stage === 'sort') stages.push(dense(ctx) ? `.sort((a, b) => b.${field} - a.${field})` : `.sort((a, b) => a.${field} - b.${field})`);
+    if (stage === 'filter') stages.push(`.filter(${predicate(ctx, noun)})`);
+    if (stage === 'slice') stages.push(`.slice(0, ${integer(ctx, 5, 50)})`);
+  }
+
+  if (ctx.steps > 1) {
+    stages.push(ctx.random() < 0.5
+      ? `.reduce((sum, ${noun}) => sum + ${noun}.${pick(ctx, NUMBER_FIELDS)}, 0)`
+      : `.map(${mapper(ctx, noun)})`);
+  }
+
+  return [`const ${name} = ${noun}s`, ...indent(stages, 1)].join('\n') + ';';
+}
+
+/**
+ * Route handler loading, saving or deleting a record, with validation and query parsing as steps allow
+ * @param {GrammarContext} ctx
+ * @returns {string}
+ */
+function expressGrammar(ctx) {
+  const noun = pick(ctx, NOUNS);
+  const method = pick(ctx, ['get', 'post', 'put', 'delete']);
+  const path = method === 'post' ? `/api/${noun}s` : `/api/${noun}s/:id`;
+  const service = identifier(ctx, capitalize(noun));
+  const notFound = [`if (!${noun}) {`, `  return res.status(404).json({ error: '${capitalize(noun)} not found' });`, '}'];
+
+  /** @type {string[]} */
+  const body = [];
+  const extras = ctx.steps - 2;
+
+  if (extras > 0 && (method === 'post' || method === 'put')) {
+    const fields = [pick(ctx, Object.keys(STRING_FIELDS)), pick(ctx, NUMBER_FIELDS)];
+    body.push(`const { ${fields.join(', ')} } = req.body;`);
+    body.push(`if (!${fields[0]}) {`, `  return res.status(400).json({ error: '${fields[0]} is required' });`, '}');
+  } else if (extras > 0 && method === 'get') {
+    body.push(dense(ctx) ? 'const limit = Number(req.query.limit ?? 20);' : 'const limit = Number(req.query.limit) || 20;');
+  }
+  if (extras > 1) {
+    body.push(dense(ctx) ? `console.info(\`${method.toUpperCase()} \${req.originalUrl}\`);` : `console.info('${method.toUpperCase()}', req.originalUrl);`);
+  }
+
+  const args = body.some(line => line.startsWith('const limit')) ? 'req.params.id, { limit }' : 'req.params.id';
+  if (method === 'get') body.push(`const ${noun} = await ${service}(${args});`, ...notFound, `res.json(${noun});`);
+  if (method === 'post') body.push(`const ${noun} = await ${service}(req.body);`, `res.status(201).json(${noun});`);
+  if (method === 'put') body.push(`const ${noun} = await ${service}(req.params.id, req.body);`, ...notFound, `res.json(${noun});`);
+  if (method === 'delete') body.push(`await ${service}(req.params.id);`, 'res.status(204).end();');
+
+  const handler = ctx.conceptualLoad >= ERROR_HANDLING_LOAD
+    ? ['try {', ...indent(body, 1), '} catch (error) {', '  res.status(500).json({ error: error.message });', '}']
+    : body;
+
+  return [`app.${method}('${path}', async (req, res) => {`, ...indent(handler, 1), '});'].join('\n');
+}
+
+/**
+ * `<script setup>` body with Nuxt's auto-imported ref, computed, watch and onMounted
+ * @param {GrammarContext} ctx
+ * @returns {string}
+ */
+function vueGrammar(ctx) {
+  const noun = pick(ctx, NOUNS);
+  const list = declare(ctx, `${noun}s`);
+  const loader = identifier(ctx, `${noun}s`);
+  const field = pick(ctx, Object.keys(STRING_FIELDS));
+
+  const lines = [
+    `const props = defineProps({ ${field}: { type: String, default: '${pick(ctx, STRING_FIELDS[field])}' } });`,
+    `const ${list} = ref([]);`
+  ];
+
+  for (let i = 2; i < ctx.steps; i++) {
+    const name = declare(ctx, identifier(ctx, `${noun}s`));
+    lines.push(dense(ctx)
+      ? `const ${name} = computed(() => ${list}.value.filter(${predicate(ctx, noun)}));`
+      : `const ${name} = computed(() => ${list}.value.length);`);
+  }
+
+  lines.push(
+    '',
+    `watch(() => props.${field}, async (${field}) => {`,
+    `  ${list}.value = await ${loader}({ ${field} });`,
+    '});',
+    '',
+    'onMounted(async () => {',
+    `  ${list}.value = await ${loader}({ ${field}: props.${field} });`,
+    '});'
+  );
+  return lines.join('\n');
+}
+
+/** @type {Record<SnippetKind, (ctx: GrammarContext) => string>} */
+const GRAMMARS = {
+  filter: filterGrammar,
+  pipeline: pipelineGrammar,
+  express: expressGrammar,
+  vue: vueGrammar
+};
+
+/**
+ * Expand a grammar into a snippet. Identical options always give identical code.
+ * @param {GeneratorOptions} options
+ * @returns {GeneratedSnippet}
+ */
+export function generateSnippet({ seed, metrics, vocabulary, kind }) {
+  const random = seededRandom(seed);
+  const kinds = kindsForLoad(metrics.conceptualLoad);
+  const chosen = kind ?? kinds[Math.floor(random() * kinds.length)];
+
+  /** @type {GrammarContext} */
+  const ctx = {
+    random,
+    vocabulary: vocabulary.length > 0 ? vocabulary : ['load'],
+    steps: Math.min(Math.max(Math.ceil(metrics.textComplexity / 2), 1), 5),
+    terms: Math.min(1 + Math.floor(metrics.textComplexity / 4), 3),
+    density: Math.min(Math.max((metrics.keyboardDensity - 1) / 9, 0), 1),
+    conceptualLoad: metrics.conceptualLoad,
+    names: new Set()
+  };
+
+  return { code: GRAMMARS[chosen](ctx), kind: chosen, seed };
+}
@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Cookbook code snippet lookup
+ * Identifies code blocks in rendered content so any snippet can be opened as a typing drill
+ */
+
+/**
+ * @typedef {Object} CodeSnippet
+ * @property {string} id - Stable content hash, see snippetId()
+ * @property {string} code
+ * @property {string} language - Fence language as written in markdown
+ * @property {string} [filename]
+ */
+
+/** @type {Record<string, string>} */
+const MONACO_LANGUAGE_ALIASES = {
+  js: 'javascript',
+  mjs: 'javascript',
+  ts: 'typescript',
+  sh: 'shell',
+  bash: 'shell',
+  zsh: 'shell',
+  yml: 'yaml',
+  vue: 'html',
+  text: 'plaintext',
+  txt: 'plaintext'
+};
+
+/**
+ * Short, stable identifier for a snippet (FNV-1a over its code)
+ * @param {string} code
+ * @returns {string} 8 hex characters
+ */
+export function snippetId(code) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < code.length; i++) {
+    hash ^= code.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Map a markdown fence language onto a Monaco language id
+ * @param {string} [language]
+ * @returns {string}
+ */
+export function monacoLanguage(language = '') {
+  const normalized = language.toLowerCase();
+  return MONACO_LANGUAGE_ALIASES[normalized] ?? (normalized || 'plaintext');
+}
+
+/**
+ * Collect every code block in a minimark content body, in document order
+ * @param {*} node - Page body (`{ type: 'minimark', value }`) or a minimark node
+ * @returns {CodeSnippet[]}
+ */
+export function findCodeBlocks(node) {
+  /** @type {CodeSnippet[]} */
+  const blocks = [];
+
+  /** @param {*} current */
+  const visit = (current) => {
+    if (!Array.isArray(current)) return;
+    const [tag, props, ...children] = current;
+    if (tag === 'pre' && typeof props?.code === 'string') {
+      blocks.push({
+        id: snippetId(props.code),
+        code: props.code,
+        language: props.language || '',
+        ...(props.filename && { filename: props.filename })
+      });
+      return;
+    }
+    children.forEach(visit);
+  };
+
+  const roots = Array.isArray(node) ? [node] : (node?.value || []);
+  roots.forEach(visit);
+  return blocks;
+}
+
+/**
+ * @param {*} body - Page body
+ * @param {string} id - Snippet id from snippetId()
+ * @returns {CodeSnippet | null}
+ */
+export function findSnippet(body, id) {
+  return findCodeBlocks(body).find(block => block.id === id) || null;
+}
+
+/**
+ * Snippet after `id` on the page in the same language, wrapping around, for sprints that
+ * stream a recipe's code blocks
+ * @param {*} body - Page body
+ * @param {string} id - Snippet id from snippetId()
+ * @returns {CodeSnippet | null} The snippet itself when it is the only one in its language
+ */
+export function nextSnippet(body, id) {
+  const blocks = findCodeBlocks(body);
+  const index = blocks.findIndex(block => block.id === id);
+  if (index === -1) return null;
+
+  const language = monacoLanguage(blocks[index].language);
+  const following = [...blocks.slice(index + 1), ...blocks.slice(0, index + 1)];
+  return following.find(block => monacoLanguage(block.language) === language && toTypingText(block.code) !== '') ?? null;
+}
+
+/**
+ * Normalize a snippet for typing: trailing whitespace can't be seen, so it isn't expected
+ * @param {string} code
+ * @returns {string}
+ */
+export function toTypingText(code) {
+  return code.replace(/[ \t]+$/gm, '').replace(/^\n+|\n+$/g, '');
+}
@@ -0,0 +1,436 @@
+/**
+ * @fileoverview Language-aware tokenization for typing exercises
+ * Classifies every character of an exercise so keystrokes can be scored by token type,
+ * e.g. keyword vs identifier vs punctuation accuracy, or template vs script in a Vue SFC
+ */
+
+/**
+ * @typedef {'keyword' | 'identifier' | 'punctuation' | 'string' | 'number' | 'comment' | 'whitespace'} TokenType
+ */
+
+/**
+ * @typedef {'template' | 'script' | 'style'} SfcSection
+ */
+
+/**
+ * @typedef {Object} CodeToken
+ * @property {TokenType} type
+ * @property {string} text
+ * @property {number} start - Offset of the first character
+ * @property {number} end - Offset after the last character
+ * @property {SfcSection | null} section - Vue SFC block, null for other languages
+ * @property {string} context - Keywords earlier on the same line, e.g. `JOIN ... ON`
+ */
+
+/**
+ * @typedef {Object} TokenClass
+ * @property {TokenType} type
+ * @property {string} [context]
+ * @property {SfcSection} [section]
+ */
+
+/**
+ * @typedef {Object} TokenStat
+ * @property {number} correct
+ * @property {number} total
+ * @property {number} accuracy - Percentage (0-100)
+ */
+
+/**
+ * @typedef {Object} TokenWeakSpot
+ * @property {TokenType} type
+ * @property {string} context
+ * @property {number} errors
+ * @property {number} total
+ * @property {number} accuracy
+ */
+
+/**
+ * @typedef {Object} TokenAccuracy
+ * @property {Partial<Record<TokenType, TokenStat>>} byType
+ * @property {Partial<Record<SfcSection, TokenStat>>} bySection - Empty unless the exercise is a Vue SFC
+ * @property {TokenWeakSpot[]} weakSpots - Least accurate token types in context, worst first
+ */
+
+/**
+ * @typedef {Object} LanguageRules
+ * @property {Set<string>} keywords
+ * @property {boolean} [caseInsensitive] - Keywords match in any case and display in upper case
+ * @property {string} [lineComment]
+ * @property {[string, string]} [blockComment]
+ * @property {string} quotes - Characters that open a string
+ * @property {RegExp} identifier - Sticky identifier pattern
+ * @property {boolean} [markup] - Tag names after `<` or `</` count as keywords
+ */
+
+const JS_KEYWORDS = [
+  'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete',
+  'do', 'else', 'export', 'extends', 'false', 'finally', 'for', 'from', 'function', 'if', 'import', 'in',
+  'instanceof', 'let', 'new', 'null', 'of', 'return', 'static', 'super', 'switch', 'this', 'throw', 'true',
+  'try', 'typeof', 'undefined', 'var', 'void', 'while', 'with', 'yield'
+];
+
+/** @type {Record<string, LanguageRules>} */
+const LANGUAGE_RULES = {
+  javascript: {
+    keywords: new Set(JS_KEYWORDS),
+    lineComment: '//',
+    blockComment: ['/*', '*/'],
+    quotes: '\'"`',
+    identifier: /[A-Za-z_$][\w$]*/y
+  },
+  typescript: {
+    keywords: new Set([
+      ...JS_KEYWORDS, 'abstract', 'any', 'as', 'boolean', 'declare', 'enum', 'implements', 'interface', 'is',
+      'keyof', 'namespace', 'never', 'number', 'private', 'protected', 'public', 'readonly', 'string', 'type',
+      'unknown'
+    ]),
+    lineComment: '//',
+    blockComment: ['/*', '*/'],
+    quotes: '\'"`',
+    identifier: /[A-Za-z_$][\w$]*/y
+  },
+  sql: {
+    keywords: new Set([
+      'all', 'and', 'as', 'asc', 'avg', 'between', 'by', 'case', 'count', 'create', 'cross', 'delete', 'desc',
+      'distinct', 'else', 'end', 'exists', 'foreign', 'from', 'full', 'group', 'having', 'in', 'index', 'inner',
+      'insert', 'into', 'is', 'join', 'key', 'left', 'like', 'limit', 'max', 'min', 'not', 'null', 'offset', 'on',
+      'or', 'order', 'outer', 'primary', 'references', 'returning', 'right', 'select', 'set', 'sum', 'table',
+      'then', 'union', 'update', 'values', 'when', 'where', 'with'
+    ]),
+    caseInsensitive: true,
+    lineComment: '--',
+    blockComment: ['/*', '*/'],
+    quotes: '\'"',
+    identifier: /[A-Za-z_][\w]*/y
+  },
+  python: {
+    keywords: new Set([
+      'False', 'None', 'True', 'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def',
+      'del', 'elif', 'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda',
+      'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'self', 'try', 'while', 'with', 'yield'
+    ]),
+    lineComment: '#',
+    quotes: '\'"',
+    identifier: /[A-Za-z_][\w]*/y
+  },
+  bash: {
+    keywords: new Set([
+      'case', 'cd', 'do', 'done', 'echo', 'elif', 'else', 'esac', 'exit', 'export', 'fi', 'for', 'function', 'if',
+      'in', 'local', 'read', 'return', 'set', 'then', 'until', 'while'
+    ]),
+    lineComment: '#',
+    quotes: '\'"',
+    identifier: /[A-Za-z_][\w]*/y
+  },
+  json: {
+    keywords: new Set(['true', 'false', 'null']),
+    quotes: '"',
+    identifier: /[A-Za-z_][\w]*/y
+  },
+  css: {
+    keywords: new Set(['important']),
+    blockComment: ['/*', '*/'],
+    quotes: '\'"',
+    identifier: /-?[A-Za-z_][\w-]*/y
+  },
+  html: {
+    keywords: new Set(),
+    blockComment: ['<!--', '-->'],
+    quotes: '\'"',
+    identifier: /[A-Za-z_][\w-]*/y,
+    markup: true
+  },
+  text: {
+    keywords: new Set(),
+    quotes: '',
+    identifier: /[A-Za-z_][\w]*/y
+  }
+};
+
+const LANGUAGE_ALIASES = {
+  js: 'javascript',
+  ts: 'typescript',
+  py: 'python',
+  sh: 'bash',
+  shell: 'bash',
+  zsh: 'bash',
+  html: 'vue',
+  plaintext: 'text'
+};
+
+/** Languages with exercise-specific tokenization; anything else is tokenized as plain text */
+export const TOKEN_LANGUAGES = ['javascript', 'typescript', 'sql', 'python', 'bash', 'json', 'vue'];
+
+const NUMBER = /\d[\w.]*/y;
+
+/**
+ * @param {string | undefined} language - Drill or Monaco language id
+ * @returns {string} One of TOKEN_LANGUAGES or `text`
+ */
+export function normalizeTokenLanguage(language) {
+  const normalized = (language || '').toLowerCase();
+  const resolved = LANGUAGE_ALIASES[normalized] ?? normalized;
+  return TOKEN_LANGUAGES.includes(resolved) ? resolved : 'text';
+}
+
+/**
+ * @param {RegExp} pattern - Sticky pattern
+ * @param {string} code
+ * @param {number} index
+ * @returns {number} Length of the match at index, 0 if none
+ */
+function matchAt(pattern, code, index) {
+  pattern.lastIndex = index;
+  const match = pattern.exec(code);
+  return match ? match[0].length : 0;
+}
+
+/**
+ * Tokenize `code[start..end)` with one language's rules
+ * @param {string} code
+ * @param {number} start
+ * @param {number} end
+ * @param {LanguageRules} rules
+ * @param {SfcSection | null} section
+ * @param {CodeToken[]} tokens - Receives the tokens
+ */
+function scan(code, start, end, rules, section, tokens) {
+  let i = start;
+  let expectTag = false;
+
+  /**
+   * @param {TokenType} type
+   * @param {number} to
+   */
+  const push = (type, to) => {
+    tokens.push({ type, text: code.slice(i, to), start: i, end: to, section, context: '' });
+    i = to;
+  };
+
+  while (i < end) {
+    const char = code[i];
+    let j = i + 1;
+
+    if (/\s/.test(char)) {
+      while (j < end && /\s/.test(code[j])) j++;
+      push('whitespace', j);
+      continue;
+    }
+
+    if (rules.lineComment && code.startsWith(rules.lineComment, i)) {
+      const newline = code.indexOf('\n', i);
+      push('comment', newline === -1 || newline > end ? end : newline);
+      continue;
+    }
+
+    if (rules.blockComment && code.startsWith(rules.blockComment[0], i)) {
+      const close = code.indexOf(rules.blockComment[1], i + rules.blockComment[0].length);
+      push('comment', close === -1 ? end : Math.min(end, close + rules.blockComment[1].length));
+      continue;
+    }
+
+    if (rules.quotes.includes(char)) {
+      while (j < end && code[j] !== char && (code[j] !== '\n' || char === '`')) {
+        j += code[j] === '\\' ? 2 : 1;
+      }
+      push('string', Math.min(end, code[j] === char ? j + 1 : j));
+      continue;
+    }
+
+    const numberLength = /\d/.test(char) ? matchAt(NUMBER, code, i) : 0;
+    if (numberLength > 0) {
+      push('number', Math.min(end, i + numberLength));
+      continue;
+    }
+
+    const identifierLength = matchAt(rules.identifier, code, i);
+    if (identifierLength > 0) {
+      const word = code.slice(i, i + identifierLength);
+      const isKeyword = expectTag || rules.keywords.has(rules.caseInsensitive ? word.toLowerCase() : word);
+      push(isKeyword ? 'keyword' : 'identifier', Math.min(end, i + identifierLength));
+      expectTag = false;
+      continue;
+    }
+
+    expectTag = Boolean(rules.markup) && (char === '<' || (char === '/' && expectTag));
+    push('punctuation', j);
+  }
+}
+
+/**
+ * Root blocks of a Vue SFC. Blocks open and close at the start of a line.
+ * @param {string} code
+ * @returns {{section: SfcSection, start: number, contentStart: number, contentEnd: number, end: number, lang: string}[]}
+ */
+function sfcBlocks(code) {
+  const blocks = [];
+  const open = /^<(template|script|style)\b([^>]*)>/gm;
+  let match;
+
+  while ((match = open.exec(code))) {
+    const section = /** @type {SfcSection} */ (match[1]);
+    const close = new RegExp(`^</${section}>`, 'm');
+    const contentStart = match.index + match[0].length;
+    const closeMatch = close.exec(code.slice(contentStart));
+    const contentEnd = closeMatch ? contentStart + closeMatch.index : code.length;
+    const end = closeMatch ? contentEnd + closeMatch[0].length : code.length;
+    const lang = /\blang=["']?(\w+)/.exec(match[2])?.[1] ?? '';
+
+    blocks.push({ section, start: match.index, contentStart, contentEnd, end, lang });
+    open.lastIndex = end;
+  }
+
+  return blocks;
+}
+
+/**
+ * @param {string} code
+ * @param {CodeToken[]} tokens
+ */
+function scanSfc(code, tokens) {
+  const blocks = sfcBlocks(code);
+  if (blocks.length === 0) {
+    scan(code, 0, code.length, LANGUAGE_RULES.html, 'template', tokens);
+    return;
+  }
+
+  let offset = 0;
+  for (const block of blocks) {
+    scan(code, offset, block.start, LANGUAGE_RULES.html, null, tokens);
+
+    const contentRules = block.section === 'template'
+      ? LANGUAGE_RULES.html
+      : block.section === 'style'
+        ? LANGUAGE_RULES.css
+        : LANGUAGE_RULES[block.lang === 'ts' ? 'typescript' : 'javascript'];
+
+    scan(code, block.start, block.contentStart, LANGUAGE_RULES.html, block.section, tokens);
+    scan(code, block.contentStart, block.contentEnd, contentRules, block.section, tokens);
+    scan(code, block.contentEnd, block.end, LANGUAGE_RULES.html, block.section, tokens);
+    offset = block.end;
+  }
+  scan(code, offset, code.length, LANGUAGE_RULES.html, null, tokens);
+}
+
+/**
+ * Split code into tokens
+ * @param {string} code
+ * @param {string} [language] - Drill or Monaco language id
+ * @returns {CodeToken[]}
+ */
+export function tokenize(code, language) {
+  const resolved = normalizeTokenLanguage(language);
+  /** @type {CodeToken[]} */
+  const tokens = [];
+
+  if (resolved === 'vue') {
+    scanSfc(code, tokens);
+  } else {
+    scan(code, 0, code.length, LANGUAGE_RULES[resolved] ?? LANGUAGE_RULES.text, null, tokens);
+  }
+
+  // Attach the last two keywords seen earlier on the same line
+  const caseInsensitive = LANGUAGE_RULES[resolved]?.caseInsensitive;
+  /** @type {string[]} */
+  let lineKeywords = [];
+  for (const token of tokens) {
+    if (token.type === 'whitespace') {
+      if (token.text.includes('\n')) lineKeywords = [];
+      continue;
+    }
+    token.context = lineKeywords.slice(-2).join(' ... ');
+    if (token.type === 'keyword') {
+      lineKeywords.push(caseInsensitive ? token.text.toUpperCase() : token.text);
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Token class of every character in the code, for attaching to keystrokes
+ * @param {string} code
+ * @param {string} [language]
+ * @returns {TokenClass[]} One entry per character
+ */
+export function classifyText(code, language) {
+  /** @type {TokenClass[]} */
+  const classes = new Array(code.length);
+
+  for (const token of tokenize(code, language)) {
+    /** @type {TokenClass} */
+    const tokenClass = { type: token.type };
+    if (token.context) tokenClass.context = token.context;
+    if (token.section) tokenClass.section = token.section;
+    classes.fill(tokenClass, token.start, token.end);
+  }
+
+  return classes;
+}
+
+/**
+ * @param {Map<string, {correct: number, total: number}>} counts
+ * @param {string} key
+ * @param {boolean} isCorrect
+ */
+function count(counts, key, isCorrect) {
+  const entry = counts.get(key) ?? { correct: 0, total: 0 };
+  entry.total++;
+  if (isCorrect) entry.correct++;
+  counts.set(key, entry);
+}
+
+/**
+ * @param {{correct: number, total: number}} entry
+ * @returns {TokenStat}
+ */
+function toStat(entry) {
+  return { ...entry, accuracy: (entry.correct / entry.total) * 100 };
+}
+
+/**
+ * Accuracy by token type, by SFC section and for the weakest token types in context
+ * @param {{key: string, isCorrect: boolean, token?: TokenClass}[]} keystrokes
+ * @param {number} [limit=3] - Weak spots to report
+ * @returns {TokenAccuracy}
+ */
+export function calculateTokenAccuracy(keystrokes, limit = 3) {
+  const byType = new Map();
+  const bySection = new Map();
+  const byContext = new Map();
+
+  for (const keystroke of keystrokes) {
+    const token = keystroke.token;
+    if (!token || keystroke.key === 'Backspace' || keystroke.key === 'Delete') continue;
+
+    count(byType, token.type, keystroke.isCorrect);
+    if (token.section) count(bySection, token.section, keystroke.isCorrect);
+    if (token.type !== 'whitespace') count(byContext, `${token.type}|${token.context ?? ''}`, keystroke.isCorrect);
+  }
+
+  const weakSpots = Array.from(byContext.entries())
+    .filter(([, entry]) => entry.correct < entry.total)
+    .map(([key, entry]) => {
+      const [type, context] = key.split('|');
+      return { type, context, errors: entry.total - entry.correct, total: entry.total, accuracy: toStat(entry).accuracy };
+    })
+    .sort((a, b) => b.errors - a.errors || a.accuracy - b.accuracy)
+    .slice(0, limit);
+
+  return {
+    byType: Object.fromEntries(Array.from(byType, ([type, entry]) => [type, toStat(entry)])),
+    bySection: Object.fromEntries(Array.from(bySection, ([section, entry]) => [section, toStat(entry)])),
+    weakSpots
+  };
+}
+
+/**
+ * One-line summary of a weak spot, e.g. "You miss `JOIN ... ON` punctuation (3 of 8 wrong)"
+ * @param {TokenWeakSpot} spot
+ * @returns {string}
+ */
+export function describeWeakSpot(spot) {
+  const where = spot.context ? `\`${spot.context}\` ${spot.type}` : spot.type;
+  return `You miss ${where} (${spot.errors} of ${spot.total} wrong)`;
+}
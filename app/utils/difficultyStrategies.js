@@ -0,0 +1,182 @@
+/**
+ * @fileoverview Swappable progression models for AdaptiveDifficulty
+ * The threshold rules are the default; the Elo strategy rates the typist and every exercise on one
+ * scale and picks levels and exercises the typist should succeed at with a target probability
+ */
+
+import { DIFFICULTY_LEVELS, ThresholdStrategy } from './adaptiveDifficulty.js';
+import { snippetId } from './codeSnippet.js';
+
+/**
+ * @typedef {import('./adaptiveDifficulty.js').AdaptiveDifficulty} AdaptiveDifficulty
+ * @typedef {import('./adaptiveDifficulty.js').DifficultyLevel} DifficultyLevel
+ * @typedef {import('./adaptiveDifficulty.js').DifficultyStrategy} DifficultyStrategy
+ * @typedef {import('./adaptiveDifficulty.js').PerformanceSession} PerformanceSession
+ */
+
+/**
+ * @typedef {Object} EloOptions
+ * @property {number} [targetSuccess=0.7] - Success probability the next level and exercise should have
+ * @property {number} [skillK=32] - How far one session moves the typist's rating
+ * @property {number} [exerciseK=16] - How far one session moves the exercise's rating
+ */
+
+/** Rating points per point of mean DifficultyMetrics, on top of BASE_RATING */
+const RATING_PER_METRIC = 100;
+const BASE_RATING = 600;
+
+/** Accuracy points below a level's target at which a session counts as a complete failure */
+const ACCURACY_SPAN = 10;
+
+/**
+ * Prior rating of a level, from its difficulty metrics: 800 for beginner-1 up to 1600 for expert-2
+ * @param {DifficultyLevel} level
+ * @returns {number}
+ */
+export function levelRating(level) {
+  const { textComplexity, keyboardDensity, conceptualLoad, timeConstraint } = level.metrics;
+  return BASE_RATING + RATING_PER_METRIC * (textComplexity + keyboardDensity + conceptualLoad + timeConstraint) / 4;
+}
+
+/**
+ * Elo expected score
+ * @param {number} skill - Typist rating
+ * @param {number} rating - Exercise rating
+ * @returns {number} Probability of succeeding, 0-1
+ */
+export function successProbability(skill, rating) {
+  return 1 / (1 + 10 ** ((rating - skill) / 400));
+}
+
+/**
+ * Session result as an Elo score: half speed against the level's targetWPM, half accuracy, where
+ * the level's targetAccuracy scores in full and ACCURACY_SPAN points below it scores nothing
+ * @param {PerformanceSession} session
+ * @param {DifficultyLevel} level - Level the session was typed at
+ * @returns {number} 0-1
+ */
+export function sessionOutcome(session, level) {
+  const speed = Math.min(session.finalWPM / level.targetWPM, 1);
+  const accuracy = Math.min(Math.max((session.accuracy.raw - level.targetAccuracy + ACCURACY_SPAN) / ACCURACY_SPAN, 0), 1);
+  return (speed + accuracy) / 2;
+}
+
+/**
+ * Elo skill estimate. Each exercise starts at its level's rating and is re-rated from the sessions
+ * typed on it; sessions without an exercise id rate the level as a whole.
+ * @implements {DifficultyStrategy}
+ */
+export class EloStrategy {
+  id = 'elo';
+
+  /**
+   * @param {EloOptions} [options]
+   */
+  constructor({ targetSuccess = 0.7, skillK = 32, exerciseK = 16 } = {}) {
+    this.targetSuccess = targetSuccess;
+    this.skillK = skillK;
+    this.exerciseK = exerciseK;
+    this.reset();
+  }
+
+  reset() {
+    /** @type {number | null} Null until the first session */
+    this.skill = null;
+    /** @type {Map<string, number>} */
+    this.exerciseRatings = new Map();
+    /** @type {Map<string, string>} Level id of each rated exercise */
+    this.exerciseLevels = new Map();
+  }
+
+  /**
+   * Rating a typist needs to succeed at `rating` with the target probability
+   * @param {number} rating
+   * @returns {number}
+   */
+  skillFor(rating) {
+    return rating + 400 * Math.log10(this.targetSuccess / (1 - this.targetSuccess));
+  }
+
+  /**
+   * @param {string | null | undefined} exerciseId
+   * @param {DifficultyLevel} level
+   * @returns {number} Learned rating, or the level's prior
+   */
+  exerciseRating(exerciseId, level) {
+    return this.exerciseRatings.get(exerciseId ?? `level:${level.id}`) ?? levelRating(level);
+  }
+
+  /**
+   * @param {PerformanceSession} session
+   */
+  observe(session) {
+    const level = DIFFICULTY_LEVELS.find(l => l.id === (session.levelId ?? session.drillType));
+    if (!level) return;
+
+    const key = session.exerciseId ?? `level:${level.id}`;
+    const rating = this.exerciseRating(key, level);
+    // A new typist starts out exactly matched to the first level they practise
+    const skill = this.skill ?? this.skillFor(levelRating(level));
+    const surprise = sessionOutcome(session, level) - successProbability(skill, rating);
+
+    this.skill = skill + this.skillK * surprise;
+    this.exerciseRatings.set(key, rating - this.exerciseK * surprise);
+    this.exerciseLevels.set(key, level.id);
+  }
+
+  /**
+   * Rating of a level: the mean of its rated exercises, or its prior
+   * @param {DifficultyLevel} level
+   * @returns {number}
+   */
+  ratingOfLevel(level) {
+    /** @type {number[]} */
+    const rated = [];
+    for (const [key, levelId] of this.exerciseLevels) {
+      if (levelId === level.id) rated.push(this.exerciseRatings.get(key) ?? 0);
+    }
+    return rated.length > 0 ? rated.reduce((sum, r) => sum + r, 0) / rated.length : levelRating(level);
+  }
+
+  /**
+   * One level towards the level whose success probability is closest to the target
+   * @param {AdaptiveDifficulty} difficulty
+   * @returns {DifficultyLevel}
+   */
+  nextLevel(difficulty) {
+    const current = difficulty.getCurrentLevel();
+    if (this.skill === null) return current;
+
+    const distance = (/** @type {DifficultyLevel} */ level) =>
+      Math.abs(successProbability(this.skill ?? 0, this.ratingOfLevel(level)) - this.targetSuccess);
+    const best = DIFFICULTY_LEVELS.reduce((a, b) => (distance(b) < distance(a) ? b : a));
+
+    const from = DIFFICULTY_LEVELS.indexOf(current);
+    const to = DIFFICULTY_LEVELS.indexOf(best);
+    return DIFFICULTY_LEVELS[from + Math.sign(to - from)];
+  }
+
+  /**
+   * Exercise whose success probability is closest to the target
+   * @param {{code: string, levelId?: string}[]} exercises
+   * @param {AdaptiveDifficulty} difficulty
+   * @returns {number} Index into `exercises`
+   */
+  pickExercise(exercises, difficulty) {
+    const skill = this.skill ?? this.skillFor(levelRating(difficulty.getCurrentLevel()));
+    const distances = exercises.map((exercise) => {
+      const level = DIFFICULTY_LEVELS.find(l => l.id === exercise.levelId) ?? difficulty.getCurrentLevel();
+      return Math.abs(successProbability(skill, this.exerciseRating(snippetId(exercise.code), level)) - this.targetSuccess);
+    });
+    return distances.indexOf(Math.min(...distances));
+  }
+}
+
+/**
+ * Strategies selectable by id, see useAdaptiveDifficulty({ strategy })
+ * @type {Record<string, {label: string, create: () => DifficultyStrategy}>}
+ */
+export const DIFFICULTY_STRATEGIES = {
+  threshold: { label: 'Fixed thresholds', create: () => new ThresholdStrategy() },
+  elo: { label: 'Elo skill rating', create: () => new EloStrategy() }
+};
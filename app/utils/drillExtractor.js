@@ -0,0 +1,188 @@
+/**
+ * @fileoverview Typing drill extraction from cookbook markdown
+ * Turns fenced code blocks tagged with `drill` into typeable exercises, e.g.
+ *
+ *     ```javascript drill level=intermediate-2 title="Status filter"
+ *
+ * Supported attributes: `level` (DIFFICULTY_LEVELS id), `title`, `category`, `difficulty`.
+ * Drills without a known `level` are placed by analyzing their code.
+ */
+
+import { DIFFICULTY_LEVELS } from './adaptiveDifficulty.js';
+import { toTypingText } from './codeSnippet.js';
+import { assignLevel } from './textAnalysis.js';
+
+/**
+ * @typedef {Object} Drill
+ * @property {string} title
+ * @property {'easy' | 'medium' | 'hard'} difficulty
+ * @property {string} language - Fence language, `text` when none is given
+ * @property {string} category - e.g. `backend`, `frontend`
+ * @property {string} levelId - DIFFICULTY_LEVELS id
+ * @property {string} code - Text to type, trailing whitespace removed
+ * @property {string} source - Route of the page the drill was extracted from
+ */
+
+/**
+ * @typedef {Object} ExtractOptions
+ * @property {string} source - Route of the page, see pageRoute()
+ * @property {string} [category] - Default category for drills on this page
+ */
+
+export const DEFAULT_DRILL_LEVEL = 'beginner-1';
+
+/** @type {Drill['difficulty'][]} */
+export const DRILL_DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+/** @type {Record<string, Drill['difficulty']>} */
+const DIFFICULTY_BY_TIER = {
+  beginner: 'easy',
+  intermediate: 'medium',
+  advanced: 'hard',
+  expert: 'hard'
+};
+
+const FENCE_PATTERN = /^\s*(`{3,}|~{3,})\s*(.*)$/;
+const HEADING_PATTERN = /^#{2,6}\s+(.+?)\s*$/;
+const ATTRIBUTE_PATTERN = /(\w+)=(?:"([^"]*)"|(\S+))/g;
+const SEMVER_SEGMENT = /^\d+(?:\.\d+)*(?:\.x)?$/;
+
+/**
+ * Route Nuxt Content serves a page at, following its path-meta rules: `N.` ordering prefixes
+ * and `index` are dropped, segments are lowercased,
+ * e.g. `cookbook/5_architecture/1.cloud/index.md` -> `/cookbook/5_architecture/cloud`
+ * @param {string} file - Page path relative to content/
+ * @returns {string}
+ */
+export function pageRoute(file) {
+  const segments = file.replace(/\.md$/, '').split('/').map((segment) => {
+    const name = SEMVER_SEGMENT.test(segment) ? segment : segment.replace(/^\d+\./, '').replace(/^index$/, '');
+    return name.toLowerCase().replace(/\s+/g, '-');
+  });
+  return `/${segments.filter(Boolean).join('/')}`;
+}
+
+/**
+ * Parse `key=value` and `key="quoted value"` pairs from a fence info string
+ * @param {string} meta - Info string after the language
+ * @returns {Record<string, string>}
+ */
+export function parseDrillAttributes(meta) {
+  /** @type {Record<string, string>} */
+  const attributes = {};
+  for (const match of meta.matchAll(ATTRIBUTE_PATTERN)) {
+    attributes[match[1]] = match[2] ?? match[3];
+  }
+  return attributes;
+}
+
+/**
+ * Default category from a cookbook route, e.g. `/cookbook/2_backend/...` -> `backend`
+ * @param {string} source
+ * @returns {string}
+ */
+export function categoryFromSource(source) {
+  const section = source.split('/').filter(Boolean)[1] || 'general';
+  return section.replace(/^\d+[._]/, '');
+}
+
+/**
+ * Strip drill numbering and timing from a section heading,
+ * e.g. `Drill 3: Pipeline Patterns (3 minutes)` -> `Pipeline Patterns`
+ * @param {string} heading
+ * @returns {string}
+ */
+function titleFromHeading(heading) {
+  return heading
+    .replace(/^Drill\s+\d+:\s*/i, '')
+    .replace(/\s*\([^)]*\)\s*$/, '');
+}
+
+/**
+ * Extract every `drill`-tagged code block from a markdown page
+ * @param {string} markdown - Page source
+ * @param {ExtractOptions} options
+ * @returns {Drill[]} Drills in page order
+ */
+export function extractDrills(markdown, options) {
+  const category = options.category || categoryFromSource(options.source);
+  /** @type {Drill[]} */
+  const drills = [];
+  /** @type {Map<string, number>} */
+  const titleCounts = new Map();
+  let heading = '';
+  /** @type {{language: string, attributes: Record<string, string>, lines: string[]} | null} */
+  let block = null;
+  /** @type {string | null} */
+  let openFence = null;
+
+  for (const line of markdown.split('\n')) {
+    const fence = line.match(FENCE_PATTERN);
+
+    if (openFence) {
+      if (fence && line.trim() === openFence) {
+        if (block) drills.push(toDrill(block, heading, category, options.source, titleCounts));
+        block = null;
+        openFence = null;
+      } else if (block) {
+        block.lines.push(line);
+      }
+      continue;
+    }
+
+    if (fence) {
+      openFence = fence[1];
+      // Info string is `<language> drill <attributes>`; the language may be omitted
+      const tokens = fence[2].split(/\s+/).filter(Boolean);
+      const tagIndex = tokens.indexOf('drill');
+      if (tagIndex === 0 || tagIndex === 1) {
+        block = {
+          language: tagIndex === 1 ? tokens[0] : 'text',
+          attributes: parseDrillAttributes(tokens.slice(tagIndex + 1).join(' ')),
+          lines: []
+        };
+      }
+      continue;
+    }
+
+    const headingMatch = line.match(HEADING_PATTERN);
+    if (headingMatch) heading = titleFromHeading(headingMatch[1]);
+  }
+
+  return drills;
+}
+
+/**
+ * @param {{language: string, attributes: Record<string, string>, lines: string[]}} block
+ * @param {string} heading - Closest section heading above the block
+ * @param {string} category - Page default category
+ * @param {string} source
+ * @param {Map<string, number>} titleCounts - Titles used so far on the page
+ * @returns {Drill}
+ */
+function toDrill(block, heading, category, source, titleCounts) {
+  const { attributes } = block;
+  const code = toTypingText(block.lines.join('\n'));
+  const knownLevel = DIFFICULTY_LEVELS.some(level => level.id === attributes.level);
+  const knownDifficulty = DRILL_DIFFICULTIES.includes(/** @type {*} */ (attributes.difficulty));
+  // A mistyped attribute falls back like a missing one rather than failing the drills collection schema
+  if (attributes.level && !knownLevel) console.warn(`Unknown drill level "${attributes.level}" in ${source}`);
+  if (attributes.difficulty && !knownDifficulty) console.warn(`Unknown drill difficulty "${attributes.difficulty}" in ${source}`);
+
+  const levelId = knownLevel ? attributes.level : (code.trim() ? assignLevel(code).id : DEFAULT_DRILL_LEVEL);
+  const baseTitle = attributes.title || heading || 'Untitled drill';
+  const seen = (titleCounts.get(baseTitle) || 0) + 1;
+  titleCounts.set(baseTitle, seen);
+
+  return {
+    title: seen > 1 ? `${baseTitle} (${seen})` : baseTitle,
+    difficulty: knownDifficulty
+      ? /** @type {Drill['difficulty']} */ (attributes.difficulty)
+      : DIFFICULTY_BY_TIER[levelId.split('-')[0]] || 'medium',
+    language: block.language,
+    category: attributes.category || category,
+    levelId,
+    code,
+    source
+  };
+}
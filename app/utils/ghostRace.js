@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Ghost racer timeline utilities
+ * Picks the personal best session for an exercise and measures how far ahead or behind of it the user is
+ */
+
+import { buildReplayFrames, frameCountAt } from './keystrokeReplay.js';
+
+/**
+ * @typedef {import('../composables/useTypingMetrics').PerformanceSession} PerformanceSession
+ */
+
+/**
+ * @typedef {Object} GhostPoint
+ * @property {number} offset - Milliseconds since the ghost session started
+ * @property {number} length - Characters the ghost had typed at that moment
+ */
+
+/**
+ * Ghost text length after every keystroke of a recorded session
+ * @param {PerformanceSession} session
+ * @returns {GhostPoint[]}
+ */
+export function buildGhostTimeline(session) {
+  let length = 0;
+  return buildReplayFrames(session.keystrokes, session.startTime).map((frame) => {
+    length = frame.kind === 'backspace' ? Math.max(0, length - 1) : length + 1;
+    return { offset: frame.offset, length };
+  });
+}
+
+/**
+ * @param {PerformanceSession} session
+ * @param {string} targetText
+ * @returns {number | null} Time to finish `targetText` (ms), or null when the session did not end on it
+ */
+function finishTime(session, targetText) {
+  const frames = buildReplayFrames(session.keystrokes, session.startTime);
+  if (frames.length === 0) return null;
+
+  /** @type {string[]} */
+  const chars = [];
+  for (const frame of frames) {
+    if (frame.kind === 'backspace') {
+      chars.pop();
+    } else {
+      chars.push(frame.keystroke.key);
+    }
+  }
+
+  return chars.join('') === targetText ? frames[frames.length - 1].offset : null;
+}
+
+/**
+ * Fastest session that finished `targetText` exactly. Sessions that were abandoned or that
+ * streamed several exercises (sprints) never end on the target text and are skipped.
+ * Assisted sessions are not a typed run and are skipped too.
+ * @param {PerformanceSession[]} sessions
+ * @param {string} targetText
+ * @returns {PerformanceSession | null}
+ */
+export function pickGhostSession(sessions, targetText) {
+  /** @type {PerformanceSession | null} */
+  let best = null;
+  let bestTime = Infinity;
+
+  for (const session of sessions) {
+    if (session.assisted) continue;
+    const time = finishTime(session, targetText);
+    if (time !== null && time < bestTime) {
+      best = session;
+      bestTime = time;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * @param {GhostPoint[]} timeline
+ * @param {number} elapsed - Milliseconds since the race started
+ * @returns {number} Characters the ghost has typed
+ */
+export function ghostLengthAt(timeline, elapsed) {
+  const count = frameCountAt(timeline, elapsed);
+  return count === 0 ? 0 : timeline[count - 1].length;
+}
+
+/**
+ * How much sooner than the ghost the user reached their current length.
+ * Positive means ahead, negative means behind.
+ * @param {GhostPoint[]} timeline
+ * @param {number} typedLength - Characters the user has typed
+ * @param {number} elapsed - Milliseconds since the race started
+ * @returns {number} Milliseconds
+ */
+export function raceDelta(timeline, typedLength, elapsed) {
+  if (timeline.length === 0) return 0;
+  if (typedLength === 0) return Math.min(0, timeline[0].offset - elapsed);
+
+  const reached = timeline.find(point => point.length >= typedLength);
+  const ghostTime = reached ? reached.offset : timeline[timeline.length - 1].offset;
+  return ghostTime - elapsed;
+}
+
+/**
+ * @param {number} delta - See raceDelta()
+ * @returns {string} e.g. `+1.2s` or `-0.4s`
+ */
+export function formatRaceDelta(delta) {
+  const seconds = Math.abs(delta) / 1000;
+  return `${delta < 0 ? '-' : '+'}${seconds.toFixed(1)}s`;
+}
@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Input policies for typing exercises
+ * Decides how much of a typed change is accepted, shared by the textarea page and the Monaco editor
+ */
+
+/**
+ * @typedef {'forgiving' | 'strict' | 'word'} InputPolicy
+ */
+
+/**
+ * @typedef {Object} InputPolicyOptions
+ * @property {InputPolicy} [policy='forgiving']
+ * @property {boolean} [skipIndent=false] - Fill in leading whitespace after a correctly typed newline
+ */
+
+/**
+ * @typedef {Object} PolicyResult
+ * @property {string} value - Input to keep
+ * @property {number} skipped - Trailing characters of `value` filled in by the policy rather than typed
+ */
+
+/** @type {{value: InputPolicy, label: string, description: string}[]} */
+export const INPUT_POLICIES = [
+  { value: 'forgiving', label: 'Forgiving', description: 'Keep typing past errors; they stay highlighted' },
+  { value: 'strict', label: 'Strict', description: 'Fix each error before the next character is accepted' },
+  { value: 'word', label: 'Stop on word error', description: 'Fix errors before moving past the end of the word' }
+];
+
+/**
+ * Index of the first character that differs from the target
+ * @param {string} target
+ * @param {string} input
+ * @returns {number} -1 when the input is a correct prefix
+ */
+export function firstErrorIndex(target, input) {
+  for (let i = 0; i < input.length; i++) {
+    if (input[i] !== target[i]) return i;
+  }
+  return -1;
+}
+
+/**
+ * Longest input the policy accepts. Input never runs past the end of the target.
+ * @param {string} target
+ * @param {string} input
+ * @param {InputPolicy} policy
+ * @returns {number}
+ */
+export function inputLimit(target, input, policy) {
+  const errorIndex = firstErrorIndex(target, input);
+  if (errorIndex === -1 || policy === 'forgiving') return target.length;
+  if (policy === 'strict') return Math.min(target.length, errorIndex + 1);
+
+  // The erroneous word may be finished, but not the whitespace after it
+  const rest = target.slice(errorIndex).search(/\s/);
+  const wordEnd = rest === -1 ? target.length : errorIndex + rest;
+  return Math.min(target.length, Math.max(errorIndex + 1, wordEnd));
+}
+
+/**
+ * Leading whitespace to fill in after the input's final newline
+ * @param {string} target
+ * @param {string} input
+ * @returns {string}
+ */
+export function pendingIndent(target, input) {
+  if (!input.endsWith('\n') || target[input.length - 1] !== '\n') return '';
+  return target.slice(input.length).match(/^[ \t]*/)[0];
+}
+
+/**
+ * Apply an input policy to a change from `previous` to `next`
+ * @param {string} target - Exercise text
+ * @param {string} previous - Accepted input before the change
+ * @param {string} next - Input after the change
+ * @param {InputPolicyOptions} [options]
+ * @returns {PolicyResult}
+ */
+export function applyInputPolicy(target, previous, next, options = {}) {
+  const policy = options.policy || 'forgiving';
+  let value = next.slice(0, inputLimit(target, next, policy));
+
+  // Only fill in indentation as the input grows, so a newline can still be deleted
+  if (value.length <= previous.length) return { value, skipped: 0 };
+
+  const indent = options.skipIndent ? pendingIndent(target, value) : '';
+  value += indent;
+  return { value, skipped: indent.length };
+}
@@ -0,0 +1,198 @@
+/**
+ * @fileoverview Physical keyboard layouts used by the latency heatmap and text analysis
+ * Maps typed characters back to the key that produces them, and keys to the finger and
+ * position on a standard staggered ANSI keyboard
+ */
+
+/**
+ * @typedef {Object} KeyboardLayout
+ * @property {string} name
+ * @property {string[][]} rows - Unshifted key labels, top row first
+ * @property {Record<string, string>} shifted - Shifted character -> base key
+ */
+
+/** @type {KeyboardLayout} */
+export const QWERTY = {
+  name: 'QWERTY',
+  rows: [
+    ['`', '1', '2', '3', '4', '5', '6', '7', '8', '9', '0', '-', '='],
+    ['q', 'w', 'e', 'r', 't', 'y', 'u', 'i', 'o', 'p', '[', ']', '\\'],
+    ['a', 's', 'd', 'f', 'g', 'h', 'j', 'k', 'l', ';', '\''],
+    ['z', 'x', 'c', 'v', 'b', 'n', 'm', ',', '.', '/']
+  ],
+  shifted: {
+    '~': '`', '!': '1', '@': '2', '#': '3', '$': '4', '%': '5', '^': '6',
+    '&': '7', '*': '8', '(': '9', ')': '0', '_': '-', '+': '=',
+    '{': '[', '}': ']', '|': '\\', ':': ';', '"': '\'',
+    '<': ',', '>': '.', '?': '/'
+  }
+};
+
+/** @type {KeyboardLayout} */
+export const DVORAK = {
+  name: 'Dvorak',
+  rows: [
+    ['`', '1', '2', '3', '4', '5', '6', '7', '8', '9', '0', '[', ']'],
+    ['\'', ',', '.', 'p', 'y', 'f', 'g', 'c', 'r', 'l', '/', '=', '\\'],
+    ['a', 'o', 'e', 'u', 'i', 'd', 'h', 't', 'n', 's', '-'],
+    [';', 'q', 'j', 'k', 'x', 'b', 'm', 'w', 'v', 'z']
+  ],
+  shifted: {
+    '~': '`', '!': '1', '@': '2', '#': '3', '$': '4', '%': '5', '^': '6',
+    '&': '7', '*': '8', '(': '9', ')': '0', '{': '[', '}': ']',
+    '"': '\'', '<': ',', '>': '.', '?': '/', '+': '=', '|': '\\',
+    '_': '-', ':': ';'
+  }
+};
+
+/** @type {KeyboardLayout} */
+export const COLEMAK = {
+  name: 'Colemak',
+  rows: [
+    ['`', '1', '2', '3', '4', '5', '6', '7', '8', '9', '0', '-', '='],
+    ['q', 'w', 'f', 'p', 'g', 'j', 'l', 'u', 'y', ';', '[', ']', '\\'],
+    ['a', 'r', 's', 't', 'd', 'h', 'n', 'e', 'i', 'o', '\''],
+    ['z', 'x', 'c', 'v', 'b', 'k', 'm', ',', '.', '/']
+  ],
+  shifted: QWERTY.shifted
+};
+
+/** Layouts selectable by id */
+export const KEYBOARD_LAYOUTS = {
+  qwerty: QWERTY,
+  dvorak: DVORAK,
+  colemak: COLEMAK
+};
+
+/**
+ * @typedef {'left-pinky' | 'left-ring' | 'left-middle' | 'left-index' | 'right-index' | 'right-middle' | 'right-ring' | 'right-pinky' | 'thumb'} Finger
+ */
+
+/**
+ * @typedef {Object} KeyPosition
+ * @property {number} x - Key widths from the left edge of the number row
+ * @property {number} y - Rows from the number row
+ * @property {Finger} finger - Touch-typing finger for the key
+ */
+
+/** Horizontal stagger of each row on an ANSI keyboard, in key widths */
+const ROW_OFFSETS = [0, 1.5, 1.75, 2.25];
+
+/** Index of the home row in KeyboardLayout.rows */
+const HOME_ROW = 2;
+
+/** Fingers for the ten letter columns; keys further right belong to the right pinky */
+const COLUMN_FINGERS = /** @type {Finger[]} */ ([
+  'left-pinky', 'left-ring', 'left-middle', 'left-index', 'left-index',
+  'right-index', 'right-index', 'right-middle', 'right-ring', 'right-pinky'
+]);
+
+/** Home key column of each finger */
+const HOME_COLUMNS = {
+  'left-pinky': 0,
+  'left-ring': 1,
+  'left-middle': 2,
+  'left-index': 3,
+  'right-index': 6,
+  'right-middle': 7,
+  'right-ring': 8,
+  'right-pinky': 9
+};
+
+/**
+ * @param {number} row
+ * @param {number} column - Index into the layout row
+ * @returns {KeyPosition}
+ */
+function positionAt(row, column) {
+  // The number row starts one key further left than the letter columns
+  const letterColumn = row === 0 ? column - 1 : column;
+  const finger = COLUMN_FINGERS[Math.min(Math.max(letterColumn, 0), COLUMN_FINGERS.length - 1)];
+  return { x: column + ROW_OFFSETS[row], y: row, finger };
+}
+
+/**
+ * Where a base key sits and which finger types it. Space is typed by the thumb, enter and tab
+ * by the pinkies beside the home and top rows.
+ * @param {string} key - Base key label, see baseKeyFor()
+ * @param {KeyboardLayout} [layout=QWERTY]
+ * @returns {KeyPosition | null}
+ */
+export function keyPosition(key, layout = QWERTY) {
+  if (key === 'space') return { x: 6, y: 4, finger: 'thumb' };
+  if (key === 'enter') return { ...positionAt(HOME_ROW, layout.rows[HOME_ROW].length), finger: 'right-pinky' };
+  if (key === 'tab') return { ...positionAt(1, -1), finger: 'left-pinky' };
+
+  for (let row = 0; row < layout.rows.length; row++) {
+    const column = layout.rows[row].indexOf(key);
+    if (column !== -1) return positionAt(row, column);
+  }
+  return null;
+}
+
+/**
+ * Distance from a finger's home key to a key, in key widths; 0 for the thumb on space
+ * @param {KeyPosition} position
+ * @returns {number}
+ */
+export function travelFromHome(position) {
+  if (position.finger === 'thumb') return 0;
+  const home = positionAt(HOME_ROW, HOME_COLUMNS[position.finger]);
+  return Math.hypot(position.x - home.x, position.y - home.y);
+}
+
+/**
+ * Resolve the physical key that produces a character
+ * @param {string} char - Typed character
+ * @param {KeyboardLayout} [layout=QWERTY]
+ * @returns {string|null} Base key label, 'space'/'enter'/'tab', or null if the layout has no such key
+ */
+export function baseKeyFor(char, layout = QWERTY) {
+  if (char === ' ') return 'space';
+  if (char === '\n') return 'enter';
+  if (char === '\t') return 'tab';
+
+  const lower = char.toLowerCase();
+  if (layout.rows.some(row => row.includes(lower))) return lower;
+
+  return layout.shifted[char] || null;
+}
+
+/**
+ * Whether typing a character requires holding shift
+ * @param {string} char
+ * @param {KeyboardLayout} [layout=QWERTY]
+ * @returns {boolean}
+ */
+export function requiresShift(char, layout = QWERTY) {
+  return char in layout.shifted || (char !== char.toLowerCase());
+}
+
+/**
+ * Fold per-character heat (e.g. `(` and `9`) into per-key heat
+ * @param {import('../composables/useTypingMetrics').KeystrokeHeat[]} heatmap
+ * @param {KeyboardLayout} [layout=QWERTY]
+ * @returns {Map<string, import('../composables/useTypingMetrics').KeystrokeHeat>}
+ */
+export function aggregateHeatByKey(heatmap, layout = QWERTY) {
+  /** @type {Map<string, {totalTime: number, frequency: number, errors: number}>} */
+  const totals = new Map();
+
+  heatmap.forEach((heat) => {
+    const key = baseKeyFor(heat.key, layout);
+    if (!key) return;
+
+    const entry = totals.get(key) || { totalTime: 0, frequency: 0, errors: 0 };
+    entry.totalTime += heat.averageTime * heat.frequency;
+    entry.frequency += heat.frequency;
+    entry.errors += (heat.errorRate / 100) * heat.frequency;
+    totals.set(key, entry);
+  });
+
+  return new Map(Array.from(totals.entries()).map(([key, entry]) => [key, {
+    key,
+    averageTime: entry.totalTime / entry.frequency,
+    frequency: entry.frequency,
+    errorRate: (entry.errors / entry.frequency) * 100
+  }]));
+}
@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Keystroke replay timeline utilities
+ * Turns a recorded PerformanceSession keystroke trace into seekable replay frames
+ */
+
+/**
+ * @typedef {import('../composables/useTypingMetrics').KeystrokeEvent} KeystrokeEvent
+ */
+
+/**
+ * @typedef {'correct' | 'error' | 'backspace'} ReplayFrameKind
+ */
+
+/**
+ * @typedef {Object} ReplayFrame
+ * @property {number} offset - Milliseconds since the session started
+ * @property {ReplayFrameKind} kind
+ * @property {KeystrokeEvent} keystroke
+ */
+
+/**
+ * @typedef {Object} ReplayState
+ * @property {string} text - Text typed so far
+ * @property {boolean[]} correct - Correctness of each character in `text`
+ */
+
+export const REPLAY_SPEEDS = [1, 2, 4];
+
+/**
+ * @param {KeystrokeEvent} keystroke
+ * @returns {ReplayFrameKind}
+ */
+function classifyKeystroke(keystroke) {
+  if (keystroke.key === 'Backspace' || keystroke.key === 'Delete') return 'backspace';
+  return keystroke.isCorrect ? 'correct' : 'error';
+}
+
+/**
+ * Build replay frames ordered by time
+ * @param {KeystrokeEvent[]} keystrokes - Recorded keystrokes
+ * @param {number} [startTime] - Session start, defaults to the first keystroke
+ * @returns {ReplayFrame[]}
+ */
+export function buildReplayFrames(keystrokes, startTime) {
+  if (!keystrokes || keystrokes.length === 0) return [];
+
+  const sorted = [...keystrokes].sort((a, b) => a.timestamp - b.timestamp);
+  const origin = Math.min(startTime ?? sorted[0].timestamp, sorted[0].timestamp);
+
+  return sorted.map(keystroke => ({
+    offset: keystroke.timestamp - origin,
+    kind: classifyKeystroke(keystroke),
+    keystroke
+  }));
+}
+
+/**
+ * Reconstruct the typed text after applying frames up to `index` (exclusive).
+ * Drills are typed linearly, so characters append and backspaces remove the last character.
+ * Text the editor filled in after a keystroke is appended as correct, and each exercise of a
+ * multi-exercise session starts from an empty text.
+ * @param {ReplayFrame[]} frames
+ * @param {number} index - Number of frames applied
+ * @returns {ReplayState}
+ */
+export function replayStateAt(frames, index) {
+  /** @type {string[]} */
+  const chars = [];
+  /** @type {boolean[]} */
+  const correct = [];
+
+  let exercise = 0;
+
+  for (let i = 0; i < Math.min(index, frames.length); i++) {
+    const frame = frames[i];
+    const frameExercise = frame.keystroke.exercise ?? 0;
+    if (frameExercise !== exercise) {
+      exercise = frameExercise;
+      chars.length = 0;
+      correct.length = 0;
+    }
+
+    if (frame.kind === 'backspace') {
+      chars.pop();
+      correct.pop();
+    } else {
+      chars.push(frame.keystroke.key);
+      correct.push(frame.kind === 'correct');
+    }
+
+    for (const char of frame.keystroke.inserted ?? '') {
+      chars.push(char);
+      correct.push(true);
+    }
+  }
+
+  return { text: chars.join(''), correct };
+}
+
+/**
+ * Number of frames whose offset is at or before `offset`
+ * @param {ReplayFrame[]} frames
+ * @param {number} offset - Milliseconds since the session started
+ * @returns {number}
+ */
+export function frameCountAt(frames, offset) {
+  let low = 0;
+  let high = frames.length;
+
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (frames[mid].offset <= offset) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+
+  return low;
+}
+
+/**
+ * Index of the first error frame in [from, to), or -1
+ * @param {ReplayFrame[]} frames
+ * @param {number} from
+ * @param {number} to
+ * @returns {number}
+ */
+export function findErrorFrame(frames, from, to) {
+  for (let i = from; i < Math.min(to, frames.length); i++) {
+    if (frames[i].kind === 'error') return i;
+  }
+  return -1;
+}
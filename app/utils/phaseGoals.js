@@ -0,0 +1,183 @@
+/**
+ * @fileoverview Goal tracking against PROGRESSION_PHASES targets
+ * Evaluates each phase's WPM and accuracy goals on rolling averages, the time spent in the phase
+ * against its expected duration, and daily practice streaks
+ */
+
+import { PROGRESSION_PHASES, progressionPhaseForLevel } from './adaptiveDifficulty.js';
+import { dayKey } from './progressStats.js';
+import { isUnassisted } from './sessionIntegrity.js';
+
+/**
+ * @typedef {import('../composables/useTypingMetrics').PerformanceSession} PerformanceSession
+ * @typedef {import('./adaptiveDifficulty.js').ProgressionPhase} ProgressionPhase
+ */
+
+/**
+ * @typedef {Object} PhaseDuration
+ * @property {number} minDays
+ * @property {number} maxDays
+ */
+
+/**
+ * @typedef {Object} PracticeStreak
+ * @property {number} current - Consecutive days practiced up to today, or up to yesterday if not yet today
+ * @property {number} longest
+ * @property {boolean} practicedToday
+ */
+
+/**
+ * @typedef {Object} PhaseGoalProgress
+ * @property {ProgressionPhase} phase
+ * @property {number} sessions - Sessions typed at the phase's levels
+ * @property {number} wpm - Rolling average finalWPM
+ * @property {number} accuracy - Rolling average raw accuracy
+ * @property {{wpm: boolean, accuracy: boolean}} met - Which goals the rolling averages meet
+ * @property {boolean} complete - Goals were met on a full rolling window at some point
+ * @property {number | null} completedAt - Start time of the session that completed the phase
+ * @property {number | null} startedAt - Start time of the first session in the phase
+ * @property {number} daysElapsed - Calendar days since the phase started, 0 before it starts
+ * @property {number | null} daysRemaining - Days left of the expected duration, negative when overdue
+ * @property {PhaseDuration} expectedDays
+ */
+
+/**
+ * @typedef {Object} GoalSummary
+ * @property {PhaseGoalProgress} current - Phase of the current difficulty level
+ * @property {PhaseGoalProgress[]} phases - Every phase, in order
+ * @property {PracticeStreak} streak
+ */
+
+/** Sessions averaged when checking goals */
+export const ROLLING_WINDOW = 10;
+
+/** Sessions needed before a phase can complete, as for level advancement */
+export const MIN_GOAL_SESSIONS = 3;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a phase duration such as `1-2 weeks` or `3 days`
+ * @param {string} duration
+ * @returns {PhaseDuration}
+ */
+export function parseDuration(duration) {
+  const match = /^\s*(\d+)(?:\s*-\s*(\d+))?\s*(day|week)s?\s*$/i.exec(duration ?? '');
+  if (!match) return { minDays: 7, maxDays: 14 };
+
+  const unit = match[3].toLowerCase() === 'week' ? 7 : 1;
+  const min = Number(match[1]);
+  const max = match[2] ? Number(match[2]) : min;
+  return { minDays: min * unit, maxDays: max * unit };
+}
+
+/**
+ * @param {number} from - Timestamp
+ * @param {number} to - Timestamp
+ * @returns {number} Calendar days between the two local dates
+ */
+function daysBetween(from, to) {
+  const midnight = (/** @type {number} */ time) => new Date(new Date(time).toDateString()).getTime();
+  return Math.round((midnight(to) - midnight(from)) / DAY);
+}
+
+/**
+ * @param {PerformanceSession[]} sessions
+ * @param {number} [now=Date.now()]
+ * @returns {PracticeStreak}
+ */
+export function practiceStreak(sessions, now = Date.now()) {
+  const days = [...new Set(sessions.map(session => dayKey(session.startTime)))].sort();
+  if (days.length === 0) return { current: 0, longest: 0, practicedToday: false };
+
+  // Local midnight; a bare `YYYY-MM-DD` would parse as UTC
+  const dayStart = (/** @type {string} */ key) => new Date(`${key}T00:00`).getTime();
+
+  let longest = 1;
+  let run = 1;
+  for (let i = 1; i < days.length; i++) {
+    run = daysBetween(dayStart(days[i - 1]), dayStart(days[i])) === 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  }
+
+  const practicedToday = days[days.length - 1] === dayKey(now);
+  const sinceLast = daysBetween(dayStart(days[days.length - 1]), now);
+  return { current: sinceLast <= 1 ? run : 0, longest, practicedToday };
+}
+
+/**
+ * @param {PerformanceSession[]} window
+ * @returns {{wpm: number, accuracy: number}}
+ */
+function averages(window) {
+  if (window.length === 0) return { wpm: 0, accuracy: 0 };
+  return {
+    wpm: window.reduce((sum, s) => sum + s.finalWPM, 0) / window.length,
+    accuracy: window.reduce((sum, s) => sum + s.accuracy.raw, 0) / window.length
+  };
+}
+
+/**
+ * @param {ProgressionPhase} phase
+ * @param {{wpm: number, accuracy: number}} average
+ * @returns {{wpm: boolean, accuracy: boolean}}
+ */
+function goalsMet(phase, average) {
+  return { wpm: average.wpm >= phase.goals.wpm, accuracy: average.accuracy >= phase.goals.accuracy };
+}
+
+/**
+ * Progress towards one phase's goals. Assisted sessions count towards the streak but not the goals.
+ * @param {PerformanceSession[]} sessions - Any sessions; those outside the phase are ignored
+ * @param {ProgressionPhase} phase
+ * @param {number} [now=Date.now()]
+ * @returns {PhaseGoalProgress}
+ */
+export function evaluatePhaseGoals(sessions, phase, now = Date.now()) {
+  const inPhase = sessions
+    .filter(session => isUnassisted(session) && progressionPhaseForLevel(session.levelId)?.phase === phase.phase)
+    .sort((a, b) => a.startTime - b.startTime);
+
+  let completedAt = null;
+  for (let i = MIN_GOAL_SESSIONS - 1; i < inPhase.length && completedAt === null; i++) {
+    const met = goalsMet(phase, averages(inPhase.slice(Math.max(0, i + 1 - ROLLING_WINDOW), i + 1)));
+    if (met.wpm && met.accuracy) completedAt = inPhase[i].startTime;
+  }
+
+  const average = averages(inPhase.slice(-ROLLING_WINDOW));
+  const expectedDays = parseDuration(phase.duration);
+  const startedAt = inPhase[0]?.startTime ?? null;
+  const daysElapsed = startedAt === null ? 0 : daysBetween(startedAt, now) + 1;
+
+  return {
+    phase,
+    sessions: inPhase.length,
+    wpm: average.wpm,
+    accuracy: average.accuracy,
+    met: goalsMet(phase, average),
+    complete: completedAt !== null,
+    completedAt,
+    startedAt,
+    daysElapsed,
+    daysRemaining: startedAt === null ? null : expectedDays.maxDays - daysElapsed,
+    expectedDays
+  };
+}
+
+/**
+ * Goals for every phase plus the practice streak
+ * @param {PerformanceSession[]} sessions
+ * @param {string} currentLevelId - DifficultyLevel id
+ * @param {number} [now=Date.now()]
+ * @returns {GoalSummary}
+ */
+export function evaluateGoals(sessions, currentLevelId, now = Date.now()) {
+  const phases = PROGRESSION_PHASES.map(phase => evaluatePhaseGoals(sessions, phase, now));
+  const currentPhase = progressionPhaseForLevel(currentLevelId) ?? PROGRESSION_PHASES[0];
+
+  return {
+    current: phases[currentPhase.phase - 1],
+    phases,
+    streak: practiceStreak(sessions, now)
+  };
+}
@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Session history aggregates for the progress dashboard
+ * Daily averages, practice time per progression phase and level changes over time
+ */
+
+import { DIFFICULTY_LEVELS, PROGRESSION_PHASES, progressionPhaseForLevel } from './adaptiveDifficulty.js';
+
+/**
+ * @typedef {import('../composables/useTypingMetrics').PerformanceSession} PerformanceSession
+ */
+
+/**
+ * @typedef {Object} DailyStats
+ * @property {string} date - Local calendar day, `YYYY-MM-DD`
+ * @property {number} sessions
+ * @property {number} wpm - Mean finalWPM
+ * @property {number} accuracy - Mean adjusted accuracy (0-100)
+ * @property {number} consistency - Mean keystroke consistency (0-100)
+ * @property {number} minutes - Time spent typing
+ */
+
+/**
+ * @typedef {Object} PhaseTime
+ * @property {import('./adaptiveDifficulty.js').ProgressionPhase} phase
+ * @property {number} minutes
+ * @property {number} sessions
+ */
+
+/**
+ * @typedef {Object} LevelTransition
+ * @property {number} time - Start time of the first session at the new level
+ * @property {string} from - DifficultyLevel id
+ * @property {string} to - DifficultyLevel id
+ * @property {'up' | 'down'} direction
+ */
+
+/**
+ * @param {number} timestamp
+ * @returns {string} Local calendar day, `YYYY-MM-DD`
+ */
+export function dayKey(timestamp) {
+  const date = new Date(timestamp);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * @param {PerformanceSession} session
+ * @returns {number} Minutes between start and end, 0 for unfinished sessions
+ */
+function sessionMinutes(session) {
+  return session.endTime ? Math.max(0, session.endTime - session.startTime) / 60000 : 0;
+}
+
+/**
+ * @param {number[]} values
+ * @returns {number}
+ */
+function mean(values) {
+  return values.length === 0 ? 0 : values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Per-day averages, oldest day first. Days without sessions are left out.
+ * @param {PerformanceSession[]} sessions
+ * @returns {DailyStats[]}
+ */
+export function dailyStats(sessions) {
+  /** @type {Map<string, PerformanceSession[]>} */
+  const byDay = new Map();
+  for (const session of sessions) {
+    const key = dayKey(session.startTime);
+    byDay.set(key, [...(byDay.get(key) ?? []), session]);
+  }
+
+  return Array.from(byDay, ([date, daySessions]) => ({
+    date,
+    sessions: daySessions.length,
+    wpm: mean(daySessions.map(s => s.finalWPM)),
+    accuracy: mean(daySessions.map(s => s.accuracy.adjusted ?? s.accuracy.raw)),
+    consistency: mean(daySessions.map(s => s.consistency ?? 0)),
+    minutes: daySessions.reduce((sum, s) => sum + sessionMinutes(s), 0)
+  })).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Practice time in each progression phase, in phase order. Sessions without a difficulty level
+ * (cookbook practice, races) are not part of the progression and are skipped.
+ * @param {PerformanceSession[]} sessions
+ * @returns {PhaseTime[]}
+ */
+export function timePerPhase(sessions) {
+  const totals = PROGRESSION_PHASES.map(phase => ({ phase, minutes: 0, sessions: 0 }));
+
+  for (const session of sessions) {
+    const phase = progressionPhaseForLevel(session.levelId);
+    if (!phase) continue;
+    const total = totals[phase.phase - 1];
+    total.minutes += sessionMinutes(session);
+    total.sessions++;
+  }
+
+  return totals;
+}
+
+/**
+ * Level changes made by AdaptiveDifficulty, read from the level each session was typed at
+ * @param {PerformanceSession[]} sessions
+ * @returns {LevelTransition[]} Oldest first
+ */
+export function levelTransitions(sessions) {
+  const levelIndex = (/** @type {string} */ id) => DIFFICULTY_LEVELS.findIndex(level => level.id === id);
+  const leveled = sessions
+    .filter(session => levelIndex(session.levelId) !== -1)
+    .sort((a, b) => a.startTime - b.startTime);
+
+  /** @type {LevelTransition[]} */
+  const transitions = [];
+  for (let i = 1; i < leveled.length; i++) {
+    const from = leveled[i - 1].levelId;
+    const to = leveled[i].levelId;
+    if (from !== to) {
+      transitions.push({
+        time: leveled[i].startTime,
+        from,
+        to,
+        direction: levelIndex(to) > levelIndex(from) ? 'up' : 'down'
+      });
+    }
+  }
+
+  return transitions;
+}
@@ -0,0 +1,31 @@
+/**
+ * @fileoverview Multiplayer race helpers shared by the race page and its components
+ */
+
+import { firstErrorIndex } from './inputPolicy.js';
+
+/**
+ * Share of the exercise typed correctly from the start. Characters after the first
+ * uncorrected error do not count, so racing ahead with mistakes does not move the bar.
+ * @param {string} target
+ * @param {string} input
+ * @returns {number} 0-100
+ */
+export function raceProgress(target, input) {
+  if (target.length === 0) return 0;
+  const errorIndex = firstErrorIndex(target, input);
+  const correct = errorIndex === -1 ? Math.min(input.length, target.length) : errorIndex;
+  return (correct / target.length) * 100;
+}
+
+/**
+ * @param {number} ms - Time from the start signal
+ * @returns {string} e.g. `42.3s` or `1:05.2`
+ */
+export function formatRaceTime(ms) {
+  const seconds = ms / 1000;
+  if (seconds < 60) return `${seconds.toFixed(1)}s`;
+
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${(seconds - minutes * 60).toFixed(1).padStart(4, '0')}`;
+}
@@ -0,0 +1,220 @@
+/**
+ * @fileoverview Remediation drill generator
+ * Mines the symbols and bigrams a user misses most from keystroke history, then assembles
+ * a drill from real exercise lines that are dense in those sequences
+ */
+
+/**
+ * @typedef {import('../composables/useTypingMetrics').PerformanceSession} PerformanceSession
+ */
+
+/**
+ * @typedef {Object} Weakness
+ * @property {string} sequence - Expected character or character pair
+ * @property {'symbol' | 'bigram'} kind
+ * @property {number} errors
+ * @property {number} attempts
+ * @property {number} errorRate - errors / attempts (0-1)
+ * @property {number} score - Ranking weight; frequent and unreliable sequences score highest
+ */
+
+/**
+ * @typedef {Object} CorpusItem
+ * @property {string} code
+ * @property {string} [language]
+ */
+
+/**
+ * @typedef {Object} RemediationOptions
+ * @property {number} [length=300] - Target drill length in characters
+ * @property {number} [minLineLength=8] - Shorter lines are skipped
+ */
+
+/**
+ * @typedef {Object} RemediationDrill
+ * @property {string} text - Drill text, one corpus line per line
+ * @property {string} language - Most common language among the chosen lines
+ * @property {Weakness[]} targets - Weaknesses the drill was built for
+ */
+
+/** Attempts needed before a sequence's error rate is trusted */
+const MIN_ATTEMPTS = 2;
+
+/** Weight kept by a target each time a chosen line covers it, so later lines favor other targets */
+const COVERAGE_DECAY = 0.6;
+
+/**
+ * @param {string} char
+ * @returns {boolean} True for punctuation and operators
+ */
+export function isSymbol(char) {
+  return char.length === 1 && !/[\p{L}\p{N}\s]/u.test(char);
+}
+
+/**
+ * @param {Map<string, {errors: number, attempts: number}>} counts
+ * @param {string} sequence
+ * @param {boolean} isCorrect
+ */
+function count(counts, sequence, isCorrect) {
+  const entry = counts.get(sequence) ?? { errors: 0, attempts: 0 };
+  entry.attempts++;
+  if (!isCorrect) entry.errors++;
+  counts.set(sequence, entry);
+}
+
+/**
+ * @param {Map<string, {errors: number, attempts: number}>} counts
+ * @param {'symbol' | 'bigram'} kind
+ * @param {number} limit
+ * @returns {Weakness[]}
+ */
+function rank(counts, kind, limit) {
+  return Array.from(counts, ([sequence, { errors, attempts }]) => {
+    const errorRate = errors / attempts;
+    return { sequence, kind, errors, attempts, errorRate, score: errors * errorRate };
+  })
+    .filter(weakness => weakness.errors > 0 && weakness.attempts >= MIN_ATTEMPTS)
+    .sort((a, b) => b.score - a.score || b.errors - a.errors)
+    .slice(0, limit);
+}
+
+/**
+ * Worst symbols and bigrams across sessions. A bigram is counted when its first key was typed
+ * correctly right before the second, so one slip does not blame every following pair.
+ * @param {PerformanceSession[]} sessions
+ * @param {number} [limit=5] - Weaknesses of each kind
+ * @returns {Weakness[]} Symbols first, then bigrams
+ */
+export function mineWeaknesses(sessions, limit = 5) {
+  const symbols = new Map();
+  const bigrams = new Map();
+
+  for (const session of sessions) {
+    /** @type {{expected: string} | null} */
+    let previous = null;
+
+    for (const keystroke of session.keystrokes ?? []) {
+      if (keystroke.key === 'Backspace' || keystroke.key === 'Delete' || !keystroke.expected) {
+        previous = null;
+        continue;
+      }
+
+      if (isSymbol(keystroke.expected)) {
+        count(symbols, keystroke.expected, keystroke.isCorrect);
+      }
+
+      if (previous && !/\s/.test(previous.expected + keystroke.expected)) {
+        count(bigrams, previous.expected + keystroke.expected, keystroke.isCorrect);
+      }
+
+      previous = keystroke.isCorrect ? keystroke : null;
+    }
+  }
+
+  return [...rank(symbols, 'symbol', limit), ...rank(bigrams, 'bigram', limit)];
+}
+
+/**
+ * Weaknesses from aggregated `expected->actual` error counts, for when keystroke traces are unavailable
+ * @param {Map<string, number>} errorPatterns
+ * @param {number} [limit=5]
+ * @returns {Weakness[]}
+ */
+export function weaknessesFromErrorPatterns(errorPatterns, limit = 5) {
+  /** @type {Map<string, number>} */
+  const byExpected = new Map();
+  for (const [pattern, errors] of errorPatterns) {
+    const expected = pattern.split('->')[0];
+    if (expected && !/\s/.test(expected)) {
+      byExpected.set(expected, (byExpected.get(expected) ?? 0) + errors);
+    }
+  }
+
+  return Array.from(byExpected, ([sequence, errors]) => ({
+    sequence,
+    kind: /** @type {const} */ ('symbol'),
+    errors,
+    attempts: errors,
+    errorRate: 1,
+    score: errors
+  }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * @param {string} text
+ * @param {string} sequence
+ * @returns {number} Non-overlapping occurrences
+ */
+function occurrences(text, sequence) {
+  return text.split(sequence).length - 1;
+}
+
+/**
+ * Assemble a drill from corpus lines, greedily picking the line densest in the weighted targets.
+ * Lines are reused once the corpus runs out, so a small corpus still fills the requested length.
+ * @param {CorpusItem[]} corpus - Exercise texts, e.g. the drills collection
+ * @param {Weakness[]} weaknesses - See mineWeaknesses()
+ * @param {RemediationOptions} [options]
+ * @returns {RemediationDrill} Empty text when no line contains any target
+ */
+export function buildRemediationDrill(corpus, weaknesses, options = {}) {
+  const length = options.length ?? 300;
+  const minLineLength = options.minLineLength ?? 8;
+
+  /** @type {Map<string, string>} line -> language */
+  const lines = new Map();
+  for (const item of corpus) {
+    for (const raw of item.code.split('\n')) {
+      const line = raw.trim();
+      if (line.length >= minLineLength && !lines.has(line)) {
+        lines.set(line, item.language || 'text');
+      }
+    }
+  }
+
+  const weights = new Map(weaknesses.map(weakness => [weakness.sequence, weakness.score]));
+
+  /**
+   * @param {string} line
+   * @returns {number} Weighted target characters per line character
+   */
+  const density = line => weaknesses.reduce(
+    (sum, { sequence }) => sum + weights.get(sequence) * occurrences(line, sequence) * sequence.length,
+    0
+  ) / line.length;
+
+  const candidates = Array.from(lines.keys()).filter(line => density(line) > 0);
+  /** @type {string[]} */
+  const picked = [];
+  let remaining = [...candidates];
+  let total = 0;
+
+  while (candidates.length > 0 && total < length) {
+    if (remaining.length === 0) {
+      remaining = candidates.filter(line => line !== picked[picked.length - 1]);
+      if (remaining.length === 0) remaining = [...candidates];
+    }
+
+    const best = remaining.reduce((a, b) => (density(b) > density(a) ? b : a));
+    remaining = remaining.filter(line => line !== best);
+    picked.push(best);
+    total += best.length + 1;
+
+    for (const { sequence } of weaknesses) {
+      if (best.includes(sequence)) weights.set(sequence, weights.get(sequence) * COVERAGE_DECAY);
+    }
+  }
+
+  /** @type {Map<string, number>} */
+  const languages = new Map();
+  for (const line of picked) {
+    const language = lines.get(line);
+    languages.set(language, (languages.get(language) ?? 0) + 1);
+  }
+  const language = Array.from(languages).sort((a, b) => b[1] - a[1])[0]?.[0] ?? 'text';
+
+  return { text: picked.join('\n'), language, targets: weaknesses };
+}
@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Session integrity: text the typist did not type themselves
+ * Classifies paste, IntelliSense accepts, snippet expansion and auto-closed brackets, which are
+ * either blocked or recorded on the session as assists
+ */
+
+/**
+ * @typedef {'paste' | 'suggestion' | 'snippet' | 'autoClose'} AssistKind
+ * @typedef {'block' | 'flag'} IntegrityMode
+ */
+
+/** @type {{value: IntegrityMode, label: string, description: string}[]} */
+export const INTEGRITY_MODES = [
+  { value: 'block', label: 'Block assists', description: 'Paste, autocomplete and auto-closing brackets are ignored' },
+  { value: 'flag', label: 'Allow assists', description: 'Assisted text is accepted but the session is marked assisted' }
+];
+
+/** @type {Record<AssistKind, string>} */
+export const ASSIST_LABELS = {
+  paste: 'Paste',
+  suggestion: 'Autocomplete',
+  snippet: 'Snippet',
+  autoClose: 'Auto-close'
+};
+
+/** Closing character an editor inserts after each opening one */
+const AUTO_CLOSE_PAIRS = { '(': ')', '[': ']', '{': '}', '"': '"', '\'': '\'', '`': '`', '<': '>' };
+const CLOSERS = new Set(Object.values(AUTO_CLOSE_PAIRS));
+
+/** Keys that legitimately insert several whitespace characters at once */
+const WHITESPACE_KEYS = new Set(['Tab', 'Enter']);
+
+/**
+ * Classify text an editor inserted in response to one key press
+ * @param {string} text - Inserted text
+ * @param {string | null} typedKey - `KeyboardEvent.key` of the last key pressed, null if none
+ * @returns {AssistKind | null} Null for ordinary typing
+ */
+export function classifyInsertion(text, typedKey) {
+  if (text.length === 0) return null;
+
+  if (text.length === 1) {
+    // A closer the typist did not press, e.g. from auto-surround
+    return CLOSERS.has(text) && typedKey !== null && typedKey !== text && typedKey.length === 1 ? 'autoClose' : null;
+  }
+
+  if (text.length === 2 && AUTO_CLOSE_PAIRS[text[0]] === text[1] && typedKey === text[0]) return 'autoClose';
+  if (WHITESPACE_KEYS.has(typedKey ?? '') && /^\s+$/.test(text)) return null;
+  return text.includes('\n') ? 'snippet' : 'suggestion';
+}
+
+/**
+ * Assist behind a textarea `beforeinput` event, see InputEvent.inputType
+ * @param {string} inputType
+ * @returns {AssistKind | null}
+ */
+export function assistFromInputType(inputType) {
+  if (inputType === 'insertFromPaste' || inputType === 'insertFromDrop' || inputType === 'insertFromPasteAsQuotation') return 'paste';
+  if (inputType === 'insertReplacementText') return 'suggestion';
+  return null;
+}
+
+/**
+ * @param {{assisted?: boolean}} session
+ * @returns {boolean} True for sessions typed without assists
+ */
+export function isUnassisted(session) {
+  return !session.assisted;
+}
+
+/**
+ * @param {Partial<Record<AssistKind, number>>} assists
+ * @returns {string} e.g. `Paste ×2, Auto-close ×1`
+ */
+export function describeAssists(assists) {
+  return Object.entries(assists)
+    .filter(([, count]) => count > 0)
+    .map(([kind, count]) => `${ASSIST_LABELS[kind] ?? kind} ×${count}`)
+    .join(', ');
+}
@@ -0,0 +1,199 @@
+/**
+ * @fileoverview Declarative session plans
+ * A plan is a list of timed segments, each typed as a sprint over drills picked by category and/or level
+ */
+
+import { DIFFICULTY_LEVELS, scoreAgainstLevel } from './adaptiveDifficulty.js';
+
+/**
+ * @typedef {import('./drillExtractor.js').Drill} Drill
+ * @typedef {import('./adaptiveDifficulty.js').DifficultyLevel} DifficultyLevel
+ * @typedef {import('../composables/useTypingMetrics').PerformanceSession} PerformanceSession
+ */
+
+/**
+ * @typedef {Object} PlanSegment
+ * @property {string} title
+ * @property {number} minutes
+ * @property {string} [category] - Only drills from this category
+ * @property {string} [levelId] - Only drills at this level; also sets the scoring targets
+ */
+
+/**
+ * @typedef {Object} SessionPlan
+ * @property {string} id
+ * @property {string} title
+ * @property {string} [source] - Cookbook page the plan comes from
+ * @property {PlanSegment[]} segments
+ */
+
+/**
+ * Stored on each segment session so the history keeps which plan run it belonged to
+ * @typedef {Object} PlanMembership
+ * @property {string} id - SessionPlan id
+ * @property {string} runId - Shared by the segments typed in one run of the plan
+ * @property {number} segment - Index of the segment in the plan
+ * @property {number} [exercisesCompleted] - Exercises finished in the segment
+ */
+
+/**
+ * @typedef {Object} SegmentResult
+ * @property {string} title
+ * @property {string | null} levelId
+ * @property {number} minutes
+ * @property {string} sessionId
+ * @property {number} wpm - Net WPM over the segment
+ * @property {number} accuracy - Raw accuracy percentage
+ * @property {number} consistency
+ * @property {number} exercisesCompleted
+ * @property {number} score - 0-100 against the segment level's targets
+ */
+
+/**
+ * @typedef {Object} CompositeSession
+ * @property {string} planId
+ * @property {string | null} runId - See PlanMembership
+ * @property {number} startTime
+ * @property {number} endTime
+ * @property {number} wpm - Net WPM across every segment
+ * @property {number} accuracy - Raw accuracy across every segment
+ * @property {SegmentResult[]} segments
+ */
+
+/** @type {SessionPlan[]} */
+export const SESSION_PLANS = [
+  {
+    id: 'backend',
+    title: 'Backend Drill Session',
+    source: '/cookbook/2_backend/3_typing-drills',
+    segments: [
+      { title: 'Function Names', minutes: 3, category: 'backend', levelId: 'beginner-1' },
+      { title: 'Query Grammar', minutes: 4, category: 'backend', levelId: 'intermediate-1' },
+      { title: 'Endpoint Patterns', minutes: 3, category: 'backend', levelId: 'intermediate-2' }
+    ]
+  },
+  {
+    id: 'frontend',
+    title: 'Frontend Drill Session',
+    source: '/cookbook/3_frontend/3_typing-drills',
+    segments: [
+      { title: 'Composition API', minutes: 3, category: 'frontend', levelId: 'beginner-2' },
+      { title: 'Reactive and Template Patterns', minutes: 4, category: 'frontend', levelId: 'intermediate-1' },
+      { title: 'Component Patterns', minutes: 3, category: 'frontend', levelId: 'advanced-1' }
+    ]
+  }
+];
+
+/**
+ * @param {string} id
+ * @returns {SessionPlan | undefined}
+ */
+export function getSessionPlan(id) {
+  return SESSION_PLANS.find(plan => plan.id === id);
+}
+
+/**
+ * @param {SessionPlan} plan
+ * @returns {number} Total minutes
+ */
+export function planDuration(plan) {
+  return plan.segments.reduce((sum, segment) => sum + segment.minutes, 0);
+}
+
+/**
+ * Drills for a segment. Falls back to the category alone, then to every drill,
+ * so a plan still runs when the library has no drill at that exact level.
+ * @template {Pick<Drill, 'category' | 'levelId'>} T
+ * @param {PlanSegment} segment
+ * @param {T[]} drills
+ * @returns {T[]}
+ */
+export function drillsForSegment(segment, drills) {
+  const inCategory = segment.category ? drills.filter(d => d.category === segment.category) : drills;
+  const atLevel = segment.levelId ? inCategory.filter(d => d.levelId === segment.levelId) : inCategory;
+
+  if (atLevel.length > 0) return atLevel;
+  if (inCategory.length > 0) return inCategory;
+  return drills;
+}
+
+/**
+ * Level whose targets a segment is scored against
+ * @param {PlanSegment} segment
+ * @param {DifficultyLevel} fallback - Used when the segment is bound to a category only
+ * @returns {DifficultyLevel}
+ */
+export function segmentLevel(segment, fallback) {
+  return DIFFICULTY_LEVELS.find(level => level.id === segment.levelId) || fallback;
+}
+
+/**
+ * @param {PlanSegment} segment
+ * @param {PerformanceSession} session - The segment's completed session
+ * @param {DifficultyLevel} level - See segmentLevel()
+ * @param {number} exercisesCompleted
+ * @returns {SegmentResult}
+ */
+export function summarizeSegment(segment, session, level, exercisesCompleted) {
+  const score = scoreAgainstLevel(session, level);
+  return {
+    title: segment.title,
+    levelId: session.levelId ?? null,
+    minutes: segment.minutes,
+    sessionId: session.id,
+    wpm: score.wpm,
+    accuracy: score.accuracy,
+    consistency: session.consistency,
+    exercisesCompleted,
+    score: score.score
+  };
+}
+
+/**
+ * Combine the segment sessions of a plan run into one record
+ * @param {SessionPlan} plan
+ * @param {PerformanceSession[]} sessions - Segment sessions in order
+ * @param {SegmentResult[]} segments
+ * @returns {CompositeSession}
+ */
+export function buildCompositeSession(plan, sessions, segments) {
+  const isTyped = (/** @type {{key: string}} */ k) => k.key !== 'Backspace' && k.key !== 'Delete';
+  const typed = sessions.flatMap(session => session.keystrokes.filter(isTyped));
+  const correct = typed.filter(k => k.isCorrect).length;
+  // Active time only, as in the segment scores: paused time is left out
+  const minutes = sessions.reduce(
+    (sum, session) => sum + (session.endTime ?? session.startTime) - session.startTime - (session.idleTime ?? 0),
+    0
+  ) / 60000;
+
+  return {
+    planId: plan.id,
+    runId: sessions[0]?.plan?.runId ?? null,
+    startTime: sessions[0]?.startTime ?? 0,
+    endTime: sessions[sessions.length - 1]?.endTime ?? 0,
+    wpm: minutes > 0 ? Math.round(correct / 5 / minutes) : 0,
+    accuracy: typed.length > 0 ? (correct / typed.length) * 100 : 100,
+    segments
+  };
+}
+
+/**
+ * Rebuild the composite of a finished plan run from its stored segment sessions, so the result
+ * outlives the page it was typed on
+ * @param {SessionPlan} plan - Plan the run followed, see getSessionPlan()
+ * @param {PerformanceSession[]} sessions - The run's segment sessions with keystrokes, see PlanMembership
+ * @returns {CompositeSession}
+ */
+export function rebuildCompositeSession(plan, sessions) {
+  const ordered = sessions
+    .filter(session => plan.segments[session.plan?.segment])
+    .sort((a, b) => a.plan.segment - b.plan.segment);
+  const segments = ordered.map((session) => {
+    const segment = plan.segments[session.plan.segment];
+    // Segments are stored at the level they were scored against
+    const level = DIFFICULTY_LEVELS.find(l => l.id === session.levelId) ?? segmentLevel(segment, DIFFICULTY_LEVELS[0]);
+    return summarizeSegment(segment, session, level, session.plan.exercisesCompleted ?? 0);
+  });
+
+  return buildCompositeSession(plan, ordered, segments);
+}
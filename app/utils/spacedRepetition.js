@@ -0,0 +1,234 @@
+/**
+ * @fileoverview SM-2 spaced-repetition scheduling for exercises and weak patterns
+ * Cards are rebuilt by replaying the session history: every exercise typed and every
+ * `expected->actual` error pattern becomes a card with an ease and an interval, and the cards
+ * due by the end of today make up the daily review queue
+ */
+
+import { DIFFICULTY_LEVELS } from './adaptiveDifficulty.js';
+import { isUnassisted } from './sessionIntegrity.js';
+
+/**
+ * @typedef {import('../composables/useTypingMetrics').PerformanceSession} PerformanceSession
+ */
+
+/**
+ * @typedef {'exercise' | 'pattern'} CardKind
+ */
+
+/**
+ * @typedef {Object} ReviewCard
+ * @property {string} id - `exercise:<exerciseId>` or `pattern:<expected->actual>`
+ * @property {CardKind} kind
+ * @property {string} key - Exercise id (see snippetId()) or error pattern
+ * @property {number} ease - SM-2 easiness factor, never below MIN_EASE
+ * @property {number} interval - Days until the next review
+ * @property {number} repetitions - Successful reviews in a row
+ * @property {number} lastReview - Timestamp of the last review
+ * @property {number} due - Timestamp the card is due for review
+ */
+
+/**
+ * @typedef {Object} ReviewQueue
+ * @property {ReviewCard[]} exercises - Due exercise cards, most overdue first
+ * @property {ReviewCard[]} patterns - Due pattern cards, most overdue first
+ */
+
+/** Drill type of remediation drills, the sessions that review pattern cards */
+export const PATTERN_REVIEW_DRILL = 'remediation';
+
+/** Lowest SM-2 quality that counts as remembered */
+export const PASSING_QUALITY = 3;
+
+export const INITIAL_EASE = 2.5;
+export const MIN_EASE = 1.3;
+
+/** Reviews handed out per day, so a long break does not bury the typist */
+export const MAX_DAILY_REVIEWS = 20;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {CardKind} kind
+ * @param {string} key
+ * @returns {string}
+ */
+export function cardId(kind, key) {
+  return `${kind}:${key}`;
+}
+
+/**
+ * SM-2 quality of an exercise session, graded against the level it was typed at:
+ * 5 meets both targets, 4 meets accuracy only, 3 is within 5 points of the accuracy target,
+ * 2 within 10, and anything worse is 1
+ * @param {PerformanceSession} session
+ * @returns {number} 1-5
+ */
+export function sessionQuality(session) {
+  const level = DIFFICULTY_LEVELS.find(l => l.id === session.levelId) ?? DIFFICULTY_LEVELS[0];
+  const shortfall = level.targetAccuracy - session.accuracy.raw;
+
+  if (shortfall <= 0) return session.finalWPM >= level.targetWPM ? 5 : 4;
+  if (shortfall <= 5) return 3;
+  if (shortfall <= 10) return 2;
+  return 1;
+}
+
+/**
+ * SM-2 quality of a pattern review: 4 when the mistake did not recur, dropping by one per repeat
+ * @param {number} errors - Times the pattern was made in the session
+ * @returns {number} 0-4
+ */
+export function patternQuality(errors) {
+  return errors === 0 ? 4 : Math.max(PASSING_QUALITY - errors, 0);
+}
+
+/**
+ * @param {CardKind} kind
+ * @param {string} key
+ * @param {number} time - Timestamp of the first review
+ * @returns {ReviewCard}
+ */
+export function createCard(kind, key, time) {
+  return { id: cardId(kind, key), kind, key, ease: INITIAL_EASE, interval: 0, repetitions: 0, lastReview: time, due: time };
+}
+
+/**
+ * Apply one SM-2 review. A failed review restarts the card at a one-day interval.
+ * @param {ReviewCard} card
+ * @param {number} quality - 0-5
+ * @param {number} time - Timestamp of the review
+ * @returns {ReviewCard} Updated copy of the card
+ */
+export function reviewCard(card, quality, time) {
+  const ease = Math.max(MIN_EASE, card.ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+
+  let repetitions = 0;
+  let interval = 1;
+  if (quality >= PASSING_QUALITY) {
+    repetitions = card.repetitions + 1;
+    if (repetitions === 2) interval = 6;
+    if (repetitions > 2) interval = Math.round(card.interval * card.ease);
+  }
+
+  return { ...card, ease, interval, repetitions, lastReview: time, due: time + interval * DAY };
+}
+
+/**
+ * @param {PerformanceSession} session
+ * @returns {number}
+ */
+function sessionTime(session) {
+  return session.endTime ?? session.startTime;
+}
+
+/**
+ * @param {number} now
+ * @returns {number} Timestamp of the next local midnight
+ */
+function endOfDay(now) {
+  const date = new Date(now);
+  date.setHours(24, 0, 0, 0);
+  return date.getTime();
+}
+
+/**
+ * Replay sessions into cards.
+ * A card is created by the first exercise session or the first time a pattern is made. After that,
+ * a failure counts whenever it happens: a poor exercise session or a recurring pattern. A success
+ * counts only once the card is due: the exercise typed well, or a remediation drill that practiced
+ * the pattern (see practicedPatterns()) typed without repeating it. Extra practice in between leaves the schedule alone. Assisted sessions are skipped.
+ * @param {PerformanceSession[]} sessions - In any order
+ * @param {Object} [options]
+ * @param {Set<string>} [options.exerciseIds] - Exercises that can be reopened for review, see snippetId().
+ *   Others, like generated and remediation drills, get no card. Every exercise when omitted.
+ * @returns {Map<string, ReviewCard>} Cards by id
+ */
+export function buildDeck(sessions, { exerciseIds } = {}) {
+  /** @type {Map<string, ReviewCard>} */
+  const deck = new Map();
+  const ordered = sessions.filter(isUnassisted).sort((a, b) => sessionTime(a) - sessionTime(b));
+
+  /**
+   * @param {CardKind} kind
+   * @param {string} key
+   * @param {number} quality
+   * @param {number} time
+   */
+  const review = (kind, key, quality, time) => {
+    const card = deck.get(cardId(kind, key));
+    // Due later today is due: the queue hands out the whole day's reviews at once
+    if (card && card.due >= endOfDay(time) && quality >= PASSING_QUALITY) return;
+    deck.set(cardId(kind, key), reviewCard(card ?? createCard(kind, key, time), quality, time));
+  };
+
+  for (const session of ordered) {
+    const time = sessionTime(session);
+    const errorPatterns = session.errorPatterns ?? {};
+
+    const reviewable = !exerciseIds || exerciseIds.has(session.exerciseId);
+    if (session.exerciseId && session.drillType !== PATTERN_REVIEW_DRILL && reviewable) {
+      review('exercise', session.exerciseId, sessionQuality(session), time);
+    }
+
+    for (const [pattern, errors] of Object.entries(errorPatterns)) {
+      if (errors > 0) review('pattern', pattern, patternQuality(errors), time);
+    }
+
+    if (session.drillType === PATTERN_REVIEW_DRILL) {
+      for (const pattern of session.reviewedPatterns ?? []) {
+        if (deck.has(cardId('pattern', pattern)) && !errorPatterns[pattern]) {
+          review('pattern', pattern, patternQuality(0), time);
+        }
+      }
+    }
+  }
+
+  return deck;
+}
+
+/**
+ * Patterns a drill gives practice on: those whose expected characters appear in its text.
+ * Stored on remediation sessions as `reviewedPatterns`, so only these count as reviewed.
+ * @param {string} text - Drill text
+ * @param {Iterable<ReviewCard>} cards
+ * @returns {string[]} Pattern keys
+ */
+export function practicedPatterns(text, cards) {
+  return Array.from(cards)
+    .filter(card => card.kind === 'pattern')
+    .map(card => card.key)
+    .filter((pattern) => {
+      const expected = pattern.split('->')[0];
+      return expected !== '' && text.includes(expected);
+    });
+}
+
+/**
+ * Cards due by the end of today, most overdue first, capped at MAX_DAILY_REVIEWS in total
+ * @param {Iterable<ReviewCard>} cards
+ * @param {number} [now=Date.now()]
+ * @param {number} [limit=MAX_DAILY_REVIEWS]
+ * @returns {ReviewQueue}
+ */
+export function dueQueue(cards, now = Date.now(), limit = MAX_DAILY_REVIEWS) {
+  const cutoff = endOfDay(now);
+  const due = Array.from(cards)
+    .filter(card => card.due < cutoff)
+    .sort((a, b) => a.due - b.due)
+    .slice(0, limit);
+
+  return {
+    exercises: due.filter(card => card.kind === 'exercise'),
+    patterns: due.filter(card => card.kind === 'pattern')
+  };
+}
+
+/**
+ * Error counts of due pattern cards, in the shape of getErrorPatterns(), for weaknessesFromErrorPatterns()
+ * @param {ReviewCard[]} patterns
+ * @returns {Map<string, number>} Weighted towards the cards with the lowest ease
+ */
+export function duePatternCounts(patterns) {
+  return new Map(patterns.map(card => [card.key, Math.round((INITIAL_EASE + 1 - card.ease) * 10)]));
+}
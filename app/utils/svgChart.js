@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Geometry helpers for the inline SVG chart components
+ */
+
+/**
+ * @typedef {Object} ChartScale
+ * @property {number} min
+ * @property {number} max
+ * @property {number[]} ticks - Evenly spaced values from min to max
+ */
+
+/**
+ * @typedef {Object} ChartPoint
+ * @property {number} x
+ * @property {number} y
+ */
+
+/**
+ * Round a raw step up to 1, 2, 2.5 or 5 times a power of ten
+ * @param {number} step
+ * @returns {number}
+ */
+function niceStep(step) {
+  const magnitude = 10 ** Math.floor(Math.log10(step));
+  const fraction = step / magnitude;
+  const nice = [1, 2, 2.5, 5, 10].find(candidate => fraction <= candidate);
+  return nice * magnitude;
+}
+
+/**
+ * Axis range covering every value with round tick labels
+ * @param {number[]} values
+ * @param {{min?: number, max?: number, ticks?: number}} [options] - Fixed bounds, e.g. 0-100 for percentages
+ * @returns {ChartScale}
+ */
+export function niceScale(values, options = {}) {
+  const count = options.ticks ?? 4;
+  let low = options.min ?? Math.min(...values, 0);
+  let high = options.max ?? Math.max(...values, low + 1);
+  if (high <= low) high = low + 1;
+
+  const step = niceStep((high - low) / count);
+  if (options.min === undefined) low = Math.floor(low / step) * step;
+  if (options.max === undefined) high = Math.ceil(high / step) * step;
+
+  /** @type {number[]} */
+  const ticks = [];
+  for (let tick = low; tick <= high + step / 1000; tick += step) {
+    ticks.push(Math.round(tick * 1000) / 1000);
+  }
+
+  return { min: low, max: high, ticks };
+}
+
+/**
+ * @param {number} value
+ * @param {ChartScale} scale
+ * @param {number} height
+ * @returns {number} Y coordinate of `value`
+ */
+export function scaleY(value, scale, height) {
+  return height - ((value - scale.min) / (scale.max - scale.min)) * height;
+}
+
+/**
+ * Spread values evenly across the width; a single value sits in the middle
+ * @param {number[]} values
+ * @param {{width: number, height: number, scale: ChartScale}} frame
+ * @returns {ChartPoint[]}
+ */
+export function chartPoints(values, { width, height, scale }) {
+  return values.map((value, i) => ({
+    x: values.length === 1 ? width / 2 : (i / (values.length - 1)) * width,
+    y: scaleY(Math.min(Math.max(value, scale.min), scale.max), scale, height)
+  }));
+}
+
+/**
+ * @param {ChartPoint[]} points
+ * @returns {string} SVG path data
+ */
+export function linePath(points) {
+  return points.map((point, i) => `${i === 0 ? 'M' : 'L'}${point.x.toFixed(1)} ${point.y.toFixed(1)}`).join(' ');
+}
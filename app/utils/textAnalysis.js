@@ -0,0 +1,143 @@
+/**
+ * @fileoverview Exercise text analysis
+ * Measures how hard a text is to type (symbol ratio, shift frequency, finger travel on a
+ * keyboard layout, line length and nesting depth) and scores it on the 1-10 scale of
+ * DifficultyMetrics, so exercises can be placed on a level from their content
+ */
+
+import { DIFFICULTY_LEVELS } from './adaptiveDifficulty.js';
+import { QWERTY, baseKeyFor, keyPosition, requiresShift, travelFromHome } from './keyboardLayout.js';
+import { isSymbol } from './remediationDrill.js';
+
+/**
+ * @typedef {import('./keyboardLayout.js').KeyboardLayout} KeyboardLayout
+ * @typedef {import('./adaptiveDifficulty.js').DifficultyLevel} DifficultyLevel
+ */
+
+/**
+ * @typedef {Object} TextAnalysis
+ * @property {number} characters - Characters to type, indentation excluded
+ * @property {number} lines - Non-blank lines
+ * @property {number} symbolRatio - Punctuation and operators per non-whitespace character (0-1)
+ * @property {number} shiftFrequency - Shifted characters per non-whitespace character (0-1)
+ * @property {number} fingerTravel - Mean distance from the home row per key, in key widths
+ * @property {number} lineLength - Mean non-blank line length, indentation excluded
+ * @property {number} nestingDepth - Deepest bracket or indentation nesting
+ * @property {number} keyboardDensity - 1-10 score from symbols, shift and finger travel
+ * @property {number} textComplexity - 1-10 score from length, line length and nesting
+ */
+
+/**
+ * Measurement ranges mapped onto 1-10, with each measurement's share of its score.
+ * Calibrated so the cookbook drills land near the metrics of the levels they are tagged with.
+ */
+export const SCORE_RANGES = {
+  keyboardDensity: {
+    symbolRatio: { min: 0, max: 0.35, weight: 0.5 },
+    shiftFrequency: { min: 0, max: 0.2, weight: 0.3 },
+    fingerTravel: { min: 0.6, max: 1.4, weight: 0.2 }
+  },
+  textComplexity: {
+    characters: { min: 0, max: 400, weight: 0.4 },
+    lineLength: { min: 8, max: 60, weight: 0.3 },
+    nestingDepth: { min: 0, max: 5, weight: 0.3 }
+  }
+};
+
+/** Spaces per indentation level; tabs count as one level */
+const INDENT_WIDTH = 2;
+
+const OPENING = '([{';
+const CLOSING = ')]}';
+
+/**
+ * @param {string} text
+ * @returns {number} Deepest bracket nesting, ignoring unbalanced closers
+ */
+function bracketDepth(text) {
+  let depth = 0;
+  let deepest = 0;
+  for (const char of text) {
+    if (OPENING.includes(char)) deepest = Math.max(deepest, ++depth);
+    if (CLOSING.includes(char)) depth = Math.max(depth - 1, 0);
+  }
+  return deepest;
+}
+
+/**
+ * @param {string[]} lines
+ * @returns {number} Deepest indentation level
+ */
+function indentDepth(lines) {
+  return lines.reduce((deepest, line) => {
+    const indent = line.match(/^[ \t]*/)[0];
+    const levels = (indent.match(/\t/g) ?? []).length + Math.floor(indent.replace(/\t/g, '').length / INDENT_WIDTH);
+    return Math.max(deepest, levels);
+  }, 0);
+}
+
+/**
+ * Weighted 1-10 score of measurements against their ranges
+ * @param {Record<string, {min: number, max: number, weight: number}>} ranges
+ * @param {Record<string, number>} measurements
+ * @returns {number} Rounded to one decimal
+ */
+function score(ranges, measurements) {
+  const share = Object.entries(ranges).reduce((sum, [name, { min, max, weight }]) => {
+    return sum + weight * Math.min(Math.max((measurements[name] - min) / (max - min), 0), 1);
+  }, 0);
+  return Math.round((1 + 9 * share) * 10) / 10;
+}
+
+/**
+ * @param {string} text - Exercise text
+ * @param {Object} [options]
+ * @param {KeyboardLayout} [options.layout=QWERTY] - Layout finger travel is measured on
+ * @returns {TextAnalysis}
+ */
+export function analyzeText(text, { layout = QWERTY } = {}) {
+  const lines = text.split('\n').filter(line => line.trim() !== '');
+  const typed = lines.map(line => line.trim());
+  const visible = typed.join('').replace(/\s/g, '');
+
+  let travel = 0;
+  let keys = 0;
+  for (const char of typed.join('\n')) {
+    const key = baseKeyFor(char, layout);
+    const position = key && keyPosition(key, layout);
+    if (!position) continue;
+    travel += travelFromHome(position);
+    keys++;
+  }
+
+  const characters = typed.join('\n').length;
+  const measurements = {
+    characters,
+    lines: lines.length,
+    symbolRatio: visible.length > 0 ? [...visible].filter(isSymbol).length / visible.length : 0,
+    shiftFrequency: visible.length > 0 ? [...visible].filter(char => requiresShift(char, layout)).length / visible.length : 0,
+    fingerTravel: keys > 0 ? travel / keys : 0,
+    lineLength: lines.length > 0 ? typed.reduce((sum, line) => sum + line.length, 0) / lines.length : 0,
+    nestingDepth: Math.max(bracketDepth(text), indentDepth(lines))
+  };
+
+  return {
+    ...measurements,
+    keyboardDensity: score(SCORE_RANGES.keyboardDensity, measurements),
+    textComplexity: score(SCORE_RANGES.textComplexity, measurements)
+  };
+}
+
+/**
+ * Level whose hand-tuned keyboardDensity and textComplexity are closest to the text's scores
+ * @param {string | TextAnalysis} textOrAnalysis
+ * @returns {DifficultyLevel}
+ */
+export function assignLevel(textOrAnalysis) {
+  const analysis = typeof textOrAnalysis === 'string' ? analyzeText(textOrAnalysis) : textOrAnalysis;
+  const distance = (/** @type {DifficultyLevel} */ level) => Math.hypot(
+    level.metrics.keyboardDensity - analysis.keyboardDensity,
+    level.metrics.textComplexity - analysis.textComplexity
+  );
+  return DIFFICULTY_LEVELS.reduce((best, level) => (distance(level) < distance(best) ? level : best));
+}
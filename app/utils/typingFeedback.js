@@ -0,0 +1,239 @@
+/**
+ * @fileoverview Per-character typing feedback and its accessible alternatives
+ * Character states for the target text, colour palettes checked against WCAG contrast,
+ * non-colour error markers and the messages announced to screen readers
+ */
+
+/**
+ * @typedef {'correct' | 'incorrect' | 'current' | 'pending'} CharState
+ * @typedef {'standard' | 'highContrast'} PaletteName
+ */
+
+/**
+ * @typedef {Object} CharFeedback
+ * @property {string} char - Target character
+ * @property {string | null} typed - Character typed at this position, null when not reached yet
+ * @property {CharState} state
+ */
+
+/**
+ * @typedef {Object} FeedbackPalette
+ * @property {string} background - Classes of the code panel
+ * @property {Record<CharState, string>} classes - Classes of each character state
+ * @property {Record<CharState, [string, string]>} colors - sRGB foreground and background of each state's
+ *   Tailwind colours, for contrast checks
+ */
+
+/** Contrast needed by normal-size text: WCAG 2.1 AA, and AAA for high contrast */
+export const MIN_CONTRAST = { standard: 4.5, highContrast: 7 };
+
+/** @type {Record<PaletteName, FeedbackPalette>} */
+export const FEEDBACK_PALETTES = {
+  standard: {
+    background: 'bg-gray-900 text-gray-100',
+    classes: {
+      correct: 'text-green-400',
+      incorrect: 'text-red-400',
+      current: 'bg-blue-200 text-gray-900',
+      pending: ''
+    },
+    colors: {
+      correct: ['#05df72', '#101828'],
+      incorrect: ['#ff6467', '#101828'],
+      current: ['#101828', '#bedbff'],
+      pending: ['#f3f4f6', '#101828']
+    }
+  },
+  highContrast: {
+    background: 'bg-black text-white',
+    classes: {
+      correct: 'text-green-300',
+      incorrect: 'bg-red-300 text-black',
+      current: 'bg-blue-300 text-black',
+      pending: ''
+    },
+    colors: {
+      correct: ['#7bf1a8', '#000000'],
+      incorrect: ['#000000', '#ffa2a2'],
+      current: ['#000000', '#8ec5ff'],
+      pending: ['#ffffff', '#000000']
+    }
+  }
+};
+
+/** Shape and position cues that mark states without relying on colour */
+export const STATE_MARKERS = {
+  correct: '',
+  incorrect: 'underline decoration-wavy decoration-2 underline-offset-4',
+  current: 'outline outline-2 outline-offset-1',
+  pending: ''
+};
+
+/** Progress percentages announced as they are passed */
+export const PROGRESS_MILESTONES = [25, 50, 75];
+
+/**
+ * Accessible-mode shortcuts; Alt+Shift avoids both typed characters and browser shortcuts
+ * @type {{action: 'reset' | 'next' | 'focus', code: string, keys: string, label: string}[]}
+ */
+export const KEYBOARD_SHORTCUTS = [
+  { action: 'focus', code: 'KeyT', keys: 'Alt+Shift+T', label: 'Focus the typing area' },
+  { action: 'reset', code: 'KeyR', keys: 'Alt+Shift+R', label: 'Reset the exercise' },
+  { action: 'next', code: 'KeyN', keys: 'Alt+Shift+N', label: 'Next exercise, once complete' }
+];
+
+/** Names read out for characters a screen reader would skip or mispronounce */
+const CHAR_NAMES = {
+  ' ': 'space',
+  '\n': 'new line',
+  '\t': 'tab',
+  ';': 'semicolon',
+  ':': 'colon',
+  ',': 'comma',
+  '.': 'period',
+  '(': 'open paren',
+  ')': 'close paren',
+  '[': 'open bracket',
+  ']': 'close bracket',
+  '{': 'open brace',
+  '}': 'close brace',
+  '<': 'less than',
+  '>': 'greater than',
+  '=': 'equals',
+  '"': 'double quote',
+  '\'': 'single quote',
+  '`': 'backtick',
+  '-': 'dash',
+  '_': 'underscore',
+  '/': 'slash',
+  '\\': 'backslash',
+  '|': 'pipe',
+  '*': 'asterisk',
+  '&': 'ampersand',
+  '$': 'dollar',
+  '#': 'hash',
+  '!': 'exclamation mark',
+  '?': 'question mark'
+};
+
+/**
+ * Glyphs that make mistyped whitespace visible, since an underlined space or newline shows nothing
+ * @type {Record<string, string>}
+ */
+const WHITESPACE_GLYPHS = { ' ': '·', '\t': '→', '\n': '⏎\n' };
+
+/**
+ * @param {string} target
+ * @param {string} input
+ * @returns {CharFeedback[]} One entry per target character
+ */
+export function charFeedback(target, input) {
+  return [...target].map((char, index) => {
+    if (index < input.length) {
+      return { char, typed: input[index], state: input[index] === char ? 'correct' : 'incorrect' };
+    }
+    return { char, typed: null, state: index === input.length ? 'current' : 'pending' };
+  });
+}
+
+/**
+ * Text rendered for a character; mistyped whitespace gets a visible glyph in accessible mode
+ * @param {CharFeedback} feedback
+ * @param {boolean} accessible
+ * @returns {string}
+ */
+export function displayChar(feedback, accessible) {
+  if (accessible && feedback.state === 'incorrect') return WHITESPACE_GLYPHS[feedback.char] ?? feedback.char;
+  return feedback.char;
+}
+
+/**
+ * @param {boolean} accessible
+ * @returns {FeedbackPalette} High contrast in accessible mode
+ */
+export function feedbackPalette(accessible) {
+  return FEEDBACK_PALETTES[accessible ? 'highContrast' : 'standard'];
+}
+
+/**
+ * @param {CharState} state
+ * @param {boolean} accessible - High-contrast colours plus the non-colour markers
+ * @returns {string} Classes of a character span
+ */
+export function charClasses(state, accessible) {
+  const classes = feedbackPalette(accessible).classes[state];
+  return accessible && STATE_MARKERS[state] ? `${classes} ${STATE_MARKERS[state]}`.trim() : classes;
+}
+
+/**
+ * @param {string} hex - `#rrggbb`
+ * @returns {number} WCAG relative luminance
+ */
+function relativeLuminance(hex) {
+  const [r, g, b] = [1, 3, 5].map((start) => {
+    const channel = parseInt(hex.slice(start, start + 2), 16) / 255;
+    return channel <= 0.03928 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * WCAG contrast ratio between two colours
+ * @param {string} foreground - `#rrggbb`
+ * @param {string} background - `#rrggbb`
+ * @returns {number} From 1 to 21
+ */
+export function contrastRatio(foreground, background) {
+  const [light, dark] = [relativeLuminance(foreground), relativeLuminance(background)].sort((a, b) => b - a);
+  return (light + 0.05) / (dark + 0.05);
+}
+
+/**
+ * Contrast of each character state against what it is drawn on
+ * @param {PaletteName} name
+ * @returns {Record<CharState, number>}
+ */
+export function paletteContrast(name) {
+  return Object.fromEntries(Object.entries(FEEDBACK_PALETTES[name].colors)
+    .map(([state, [foreground, background]]) => [state, contrastRatio(foreground, background)]));
+}
+
+/**
+ * @param {string} char
+ * @returns {string} How a screen reader should say the character
+ */
+export function spokenChar(char) {
+  if (CHAR_NAMES[char]) return CHAR_NAMES[char];
+  if (/^[A-Z]$/.test(char)) return `capital ${char}`;
+  return char;
+}
+
+/**
+ * @param {string} expected - Target character
+ * @param {string} typed - Character typed instead
+ * @param {{line: number, column: number}} position
+ * @returns {string} e.g. `Expected semicolon, typed colon, line 1 column 30`
+ */
+export function describeMistake(expected, typed, position) {
+  return `Expected ${spokenChar(expected)}, typed ${spokenChar(typed)}, line ${position.line} column ${position.column}`;
+}
+
+/**
+ * Highest milestone passed when progress moves forward
+ * @param {number} previous - Progress percentage before the change
+ * @param {number} next - Progress percentage after the change
+ * @returns {number | null}
+ */
+export function crossedMilestone(previous, next) {
+  const crossed = PROGRESS_MILESTONES.filter(milestone => previous < milestone && next >= milestone);
+  return crossed.length > 0 ? crossed[crossed.length - 1] : null;
+}
+
+/**
+ * @param {KeyboardEvent} event
+ * @returns {'reset' | 'next' | 'focus' | null} Action of the KEYBOARD_SHORTCUTS entry pressed
+ */
+export function shortcutAction(event) {
+  if (!event.altKey || !event.shiftKey || event.ctrlKey || event.metaKey) return null;
+  return KEYBOARD_SHORTCUTS.find(shortcut => shortcut.code === event.code)?.action ?? null;
+}
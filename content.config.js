@@ -3,7 +3,11 @@
  * Configures landing page and documentation collections with validation schemas
  */
 
-import { defineContentConfig, defineCollection, z } from '@nuxt/content'
+import { readdir, readFile } from 'node:fs/promises'
+import { join } from 'node:path'
+import { defineContentConfig, defineCollection, defineCollectionSource, z } from '@nuxt/content'
+import { DRILL_DIFFICULTIES, extractDrills, pageRoute } from './app/utils/drillExtractor.js'
+import { DIFFICULTY_LEVELS } from './app/utils/adaptiveDifficulty.js'
 
 /**
  * @typedef {Object} CollectionSource
@@ -32,10 +36,18 @@ import { defineContentConfig, defineCollection, z } from '@nuxt/content'
  * @property {string} source - Source file
  */
 
+/**
+ * @typedef {Object} DrillsCollection
+ * @property {string} type - Collection type
+ * @property {Object} source - Custom source extracting tagged code blocks from the cookbook
+ * @property {Object} schema - Zod schema for validation
+ */
+
 /**
  * @typedef {Object} Collections
  * @property {LandingCollection} landing - Landing page collection
  * @property {DocsCollection} docs - Documentation collection
+ * @property {DrillsCollection} drills - Typing drills extracted from cookbook pages
  */
 
 /**
@@ -43,6 +55,37 @@ import { defineContentConfig, defineCollection, z } from '@nuxt/content'
  * @property {Collections} collections - Content collections configuration
  */
 
+/**
+ * Collection source that exposes every `drill`-tagged code block under
+ * content/cookbook as its own JSON item, keyed `<page>/<index>.json`
+ */
+const cookbookDrillSource = (() => {
+  let cookbookDir = ''
+  /** @type {Map<string, import('./app/utils/drillExtractor.js').Drill>} */
+  let drills = new Map()
+
+  return defineCollectionSource({
+    prepare: async ({ rootDir }) => {
+      cookbookDir = join(rootDir, 'content', 'cookbook')
+    },
+    getKeys: async () => {
+      const files = (await readdir(cookbookDir, { recursive: true })).filter(file => file.endsWith('.md')).sort()
+      drills = new Map()
+
+      for (const file of files) {
+        const page = file.replace(/\.md$/, '')
+        const markdown = await readFile(join(cookbookDir, file), 'utf8')
+        extractDrills(markdown, { source: pageRoute(`cookbook/${page}`) }).forEach((drill, index) => {
+          drills.set(`${page}/${String(index + 1).padStart(2, '0')}.json`, drill)
+        })
+      }
+
+      return Array.from(drills.keys())
+    },
+    getItem: async key => JSON.stringify(drills.get(key))
+  })
+})()
+
 /**
  * Nuxt Content Configuration
  * Defines content collections and their schemas
@@ -68,6 +111,19 @@ export default defineContentConfig({
           target: z.string().optional()
         })).optional()
       })
+    }),
+    drills: defineCollection({
+      type: 'data',
+      source: cookbookDrillSource,
+      schema: z.object({
+        title: z.string(),
+        difficulty: z.enum(DRILL_DIFFICULTIES),
+        language: z.string(),
+        category: z.string(),
+        levelId: z.enum(DIFFICULTY_LEVELS.map(level => level.id)),
+        code: z.string(),
+        source: z.string()
+      })
     })
   }
-})
\ No newline at end of file
+})
@@ -30,9 +30,20 @@
  * @property {boolean} autoSubfolderIndex - Auto generate subfolder index
  */
 
+/**
+ * @typedef {Object} NitroExperimentalConfig
+ * @property {boolean} websocket - Enable WebSocket handlers (race rooms)
+ */
+
 /**
  * @typedef {Object} NitroConfig
  * @property {NitroPrerenderConfig} prerender - Prerender configuration
+ * @property {NitroExperimentalConfig} experimental - Experimental Nitro features
+ */
+
+/**
+ * @typedef {Object} RuntimeConfig
+ * @property {string} sessionDatabase - SQLite file for typing session history
  */
 
 /**
@@ -93,6 +104,7 @@
  * @property {ContentConfig} content - Content configuration
  * @property {string} compatibilityDate - Compatibility date
  * @property {NitroConfig} nitro - Nitro configuration
+ * @property {RuntimeConfig} runtimeConfig - Server runtime configuration
  * @property {ESLintConfig} eslint - ESLint configuration
  * @property {IconConfig} icon - Icon configuration
  * @property {LLMSConfig} llms - LLMS configuration
@@ -192,9 +204,17 @@ export default defineNuxtConfig({
       ],
       crawlLinks: true,
       autoSubfolderIndex: false
+    },
+    experimental: {
+      websocket: true
     }
   },
 
+  runtimeConfig: {
+    // Override with NUXT_SESSION_DATABASE
+    sessionDatabase: '.data/typing-sessions.sqlite'
+  },
+
   eslint: {
     config: {
       stylistic: {
@@ -0,0 +1,12 @@
+/**
+ * @fileoverview API endpoint for the saved typing progression state
+ * Returns the AdaptiveDifficulty level to resume from
+ */
+
+/**
+ * Nitro event handler for reading progression state
+ * @returns {import('../utils/sessionStore').StoredProgress | null} Saved progress, null before the first save
+ */
+export default eventHandler(() => {
+  return useSessionStore().getProgress()
+})
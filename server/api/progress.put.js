@@ -0,0 +1,27 @@
+/**
+ * @fileoverview API endpoint for saving the typing progression state
+ * Persists the current AdaptiveDifficulty level and strategy so progression carries across days
+ */
+
+import { DIFFICULTY_LEVELS } from '../../app/utils/adaptiveDifficulty.js'
+import { DIFFICULTY_STRATEGIES } from '../../app/utils/difficultyStrategies.js'
+
+/**
+ * Nitro event handler for saving progression state
+ * @param {import('h3').H3Event} event - The H3 event object
+ * @returns {Promise<import('../utils/sessionStore').StoredProgress>} The saved progress
+ * @throws {Error} 400 error if currentLevel is not a known difficulty level or strategy is not a known strategy
+ */
+export default eventHandler(async (event) => {
+  const body = await readBody(event)
+
+  if (!DIFFICULTY_LEVELS.some(level => level.id === body?.currentLevel)) {
+    throw createError({ statusCode: 400, statusMessage: 'Unknown difficulty level' })
+  }
+
+  if (body.strategy != null && !Object.hasOwn(DIFFICULTY_STRATEGIES, body.strategy)) {
+    throw createError({ statusCode: 400, statusMessage: 'Unknown difficulty strategy' })
+  }
+
+  return useSessionStore().saveProgress({ currentLevel: body.currentLevel, strategy: body.strategy })
+})
@@ -0,0 +1,21 @@
+/**
+ * @fileoverview API endpoint for a single stored typing session
+ * Returns the full session including its keystroke trace
+ */
+
+/**
+ * Nitro event handler for reading one typing session
+ * @param {import('h3').H3Event} event - The H3 event object
+ * @returns {import('../../utils/sessionStore').StoredSession} The stored session
+ * @throws {Error} 404 error if no session has the given id
+ */
+export default eventHandler((event) => {
+  const id = getRouterParam(event, 'id')
+
+  const session = id ? useSessionStore().get(id) : null
+  if (!session) {
+    throw createError({ statusCode: 404, statusMessage: 'Session not found' })
+  }
+
+  return session
+})
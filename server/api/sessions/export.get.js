@@ -0,0 +1,33 @@
+/**
+ * @fileoverview API endpoint for exporting the whole typing session history
+ * Downloads every stored session as a JSON archive or CSV file
+ */
+
+/**
+ * Nitro event handler for exporting typing sessions
+ * Query: `format` (`json` by default, or `csv`) and `keystrokes=false` to omit traces
+ * @param {import('h3').H3Event} event - The H3 event object
+ * @returns {import('../../utils/sessionArchive').HistoryArchive | string} JSON archive or CSV text
+ * @throws {Error} 400 error for an unknown format
+ */
+export default eventHandler((event) => {
+  const query = getQuery(event)
+  const format = query.format ?? 'json'
+  if (format !== 'json' && format !== 'csv') {
+    throw createError({ statusCode: 400, statusMessage: 'Unknown export format' })
+  }
+
+  const store = useSessionStore()
+  const keystrokes = query.keystrokes !== 'false'
+  const sessions = store.all({ keystrokes })
+  const date = new Date().toISOString().slice(0, 10)
+
+  setResponseHeader(event, 'Content-Disposition', `attachment; filename="typing-history-${date}.${format}"`)
+
+  if (format === 'csv') {
+    setResponseHeader(event, 'Content-Type', 'text/csv; charset=utf-8')
+    return toHistoryCsv(sessions, { keystrokes })
+  }
+
+  return toHistoryJson(sessions, store.getProgress())
+})
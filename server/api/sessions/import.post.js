@@ -0,0 +1,31 @@
+/**
+ * @fileoverview API endpoint for importing a typing session history archive
+ * Merges sessions from a JSON archive or CSV export, skipping ids that are already stored
+ */
+
+/**
+ * Nitro event handler for importing typing sessions
+ * Send CSV with a `text/csv` content type; anything else is read as JSON
+ * @param {import('h3').H3Event} event - The H3 event object
+ * @returns {Promise<{imported: number, skipped: number}>} Counts of new and already-known sessions
+ * @throws {Error} 400 error with every validation problem if any record is invalid; nothing is imported
+ */
+export default eventHandler(async (event) => {
+  const isCsv = getRequestHeader(event, 'content-type')?.includes('text/csv')
+  const body = isCsv ? (await readRawBody(event)) ?? '' : await readBody(event)
+
+  const archive = parseHistoryArchive(body)
+  if (archive.errors.length > 0) {
+    throw createError({ statusCode: 400, statusMessage: 'Invalid history archive', data: { errors: archive.errors } })
+  }
+
+  const store = useSessionStore()
+  const { imported, skipped } = store.saveMany(archive.sessions)
+
+  // A fresh install picks up the exported level; an existing one keeps its own progression
+  if (archive.progress && !store.getProgress()) {
+    store.saveProgress(archive.progress)
+  }
+
+  return { imported, skipped: skipped + archive.duplicates }
+})
@@ -0,0 +1,24 @@
+/**
+ * @fileoverview API endpoint for listing stored typing sessions
+ * Supports filtering by drill type, difficulty level, exercise and plan run
+ */
+
+/**
+ * Nitro event handler for listing typing sessions
+ * Query: `drillType`, `levelId`, `exerciseId`, `planRunId`, `limit` (default 50) and `keystrokes=false` to omit traces
+ * @param {import('h3').H3Event} event - The H3 event object
+ * @returns {import('../../utils/sessionStore').StoredSession[]} Recent sessions, oldest first
+ */
+export default eventHandler((event) => {
+  const query = getQuery(event)
+  const limit = Number(query.limit ?? 50)
+
+  return useSessionStore().list({
+    drillType: typeof query.drillType === 'string' ? query.drillType : undefined,
+    levelId: typeof query.levelId === 'string' ? query.levelId : undefined,
+    exerciseId: typeof query.exerciseId === 'string' ? query.exerciseId : undefined,
+    planRunId: typeof query.planRunId === 'string' ? query.planRunId : undefined,
+    limit: Number.isFinite(limit) ? limit : 50,
+    keystrokes: query.keystrokes !== 'false'
+  })
+})
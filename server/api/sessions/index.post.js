@@ -0,0 +1,27 @@
+/**
+ * @fileoverview API endpoint for saving a completed typing session
+ * Persists the PerformanceSession returned by useTypingMetrics().endSession()
+ */
+
+/**
+ * Nitro event handler for storing a typing session
+ * @param {import('h3').H3Event} event - The H3 event object
+ * @returns {Promise<import('../../utils/sessionStore').StoredSession>} The stored session
+ * @throws {Error} 400 error if the body is not a valid session, 409 if the id already exists
+ */
+export default eventHandler(async (event) => {
+  const body = await readBody(event)
+
+  const errors = validateSession(body)
+  if (errors.length > 0) {
+    throw createError({ statusCode: 400, statusMessage: 'Invalid session', data: { errors } })
+  }
+
+  const store = useSessionStore()
+  if (!store.save(body)) {
+    throw createError({ statusCode: 409, statusMessage: 'Session already exists' })
+  }
+
+  setResponseStatus(event, 201)
+  return store.get(body.id)
+})
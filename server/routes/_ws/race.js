@@ -0,0 +1,23 @@
+/**
+ * @fileoverview WebSocket endpoint for local multiplayer typing races
+ * Relays race room messages between participants; see server/utils/raceRooms.js for the protocol
+ */
+
+/**
+ * Nitro WebSocket handler for race rooms
+ * Client messages: `join` {code?, name}, `start` {exercise}, `progress` {progress, wpm, accuracy, finished?}, `end`, `leave`
+ * Server messages: `joined` {id, code}, `room` {room}, `error` {message}
+ */
+export default defineWebSocketHandler({
+  message(peer, message) {
+    useRaceRooms().handle(peer, message.text())
+  },
+
+  close(peer) {
+    useRaceRooms().leave(peer)
+  },
+
+  error(peer) {
+    useRaceRooms().leave(peer)
+  }
+})
@@ -0,0 +1,369 @@
+/**
+ * @fileoverview In-memory race rooms for local multiplayer typing races
+ * Tracks participants, the shared exercise, the countdown and live progress for the /_ws/race socket
+ */
+
+/**
+ * @typedef {Object} RacePeer
+ * @property {string} id - Unique per connection
+ * @property {function(string): void} send
+ */
+
+/**
+ * @typedef {Object} RaceExercise
+ * @property {string} title
+ * @property {string} text
+ * @property {string} [language]
+ */
+
+/**
+ * @typedef {Object} RaceParticipant
+ * @property {string} id - Peer id
+ * @property {string} name
+ * @property {number} progress - Share of the exercise typed (0-100)
+ * @property {number} wpm
+ * @property {number} accuracy
+ * @property {number | null} finishedAt - Milliseconds from the start signal to finishing, null while typing
+ * @property {number | null} place - 1-based finishing place, null until the race ends
+ */
+
+/**
+ * @typedef {'lobby' | 'countdown' | 'racing' | 'finished'} RaceState
+ */
+
+/**
+ * @typedef {Object} RaceRoomSnapshot
+ * @property {string} code
+ * @property {RaceState} state
+ * @property {string} hostId - Peer allowed to pick the exercise and start the race
+ * @property {RaceExercise | null} exercise
+ * @property {number | null} startsAt - Server time the race starts at
+ * @property {number} serverTime - Server time the snapshot was taken, for clock offset
+ * @property {RaceParticipant[]} participants - In join order, or by place once finished
+ */
+
+/**
+ * @typedef {Object} RaceRoomsOptions
+ * @property {number} [countdown=3000] - Milliseconds between the start request and the start signal
+ * @property {function(): number} [now=Date.now]
+ * @property {function(): number} [random=Math.random]
+ */
+
+/** Letters that cannot be confused with each other or with digits when read aloud */
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ'
+const CODE_LENGTH = 4
+export const MAX_PARTICIPANTS = 8
+const MAX_NAME_LENGTH = 24
+const MAX_TITLE_LENGTH = 80
+const MAX_EXERCISE_LENGTH = 5000
+
+/**
+ * @param {string} code - User-entered room code
+ * @returns {string} Upper-cased code without surrounding whitespace
+ */
+export function normalizeRoomCode(code) {
+  return String(code ?? '').trim().toUpperCase()
+}
+
+/**
+ * Parse an incoming socket message
+ * @param {string} text - Raw message text
+ * @returns {{type: string, [key: string]: any} | null} Null when the message is not a JSON object with a type
+ */
+export function parseRaceMessage(text) {
+  try {
+    const message = JSON.parse(text)
+    return message && typeof message === 'object' && typeof message.type === 'string' ? message : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * @param {number} value
+ * @param {number} min
+ * @param {number} max
+ * @returns {number} 0 for anything that is not a finite number
+ */
+function clamp(value, min, max) {
+  return Number.isFinite(value) ? Math.min(Math.max(value, min), max) : 0
+}
+
+/**
+ * Race room registry. Rooms are created on first join and removed when the last participant leaves.
+ * @param {RaceRoomsOptions} [options]
+ */
+export function createRaceRooms({ countdown = 3000, now = Date.now, random = Math.random } = {}) {
+  /**
+   * @typedef {Object} RaceRoom
+   * @property {string} code
+   * @property {string} hostId
+   * @property {RaceExercise | null} exercise
+   * @property {number | null} startsAt
+   * @property {boolean} finished
+   * @property {Map<string, {peer: RacePeer, participant: RaceParticipant}>} members
+   */
+
+  /** @type {Map<string, RaceRoom>} */
+  const rooms = new Map()
+  /** @type {Map<string, string>} peer id -> room code */
+  const peerRooms = new Map()
+
+  function generateCode() {
+    let code
+    do {
+      code = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[Math.floor(random() * CODE_ALPHABET.length)]).join('')
+    } while (rooms.has(code))
+    return code
+  }
+
+  /**
+   * @param {RaceRoom} room
+   * @returns {RaceState}
+   */
+  function stateOf(room) {
+    if (room.finished) return 'finished'
+    if (room.startsAt === null) return 'lobby'
+    return now() < room.startsAt ? 'countdown' : 'racing'
+  }
+
+  /**
+   * @param {RaceRoom} room
+   * @returns {RaceRoomSnapshot}
+   */
+  function snapshot(room) {
+    const participants = Array.from(room.members.values(), ({ participant }) => ({ ...participant }))
+    if (room.finished) {
+      participants.sort((a, b) => (a.place ?? Infinity) - (b.place ?? Infinity))
+    }
+
+    return {
+      code: room.code,
+      state: stateOf(room),
+      hostId: room.hostId,
+      exercise: room.exercise,
+      startsAt: room.startsAt,
+      serverTime: now(),
+      participants
+    }
+  }
+
+  /**
+   * @param {RacePeer} peer
+   * @param {object} message
+   */
+  function send(peer, message) {
+    peer.send(JSON.stringify(message))
+  }
+
+  /**
+   * @param {RaceRoom} room
+   */
+  function broadcast(room) {
+    const message = { type: 'room', room: snapshot(room) }
+    for (const { peer } of room.members.values()) {
+      send(peer, message)
+    }
+  }
+
+  /**
+   * End the race once everyone finished, or right away when `force` is set.
+   * Finished typists rank by time; the rest by how far they got.
+   * @param {RaceRoom} room
+   * @param {boolean} [force=false]
+   */
+  function finishIfDone(room, force = false) {
+    const participants = Array.from(room.members.values(), ({ participant }) => participant)
+    if (room.finished || room.startsAt === null) return
+    if (!force && !participants.every(p => p.finishedAt !== null)) return
+
+    room.finished = true
+    participants
+      .sort((a, b) => (a.finishedAt ?? Infinity) - (b.finishedAt ?? Infinity) || b.progress - a.progress || b.wpm - a.wpm)
+      .forEach((participant, i) => {
+        participant.place = i + 1
+      })
+  }
+
+  /**
+   * @param {RacePeer} peer
+   * @returns {{room: RaceRoom, participant: RaceParticipant} | null}
+   */
+  function membership(peer) {
+    const room = rooms.get(peerRooms.get(peer.id))
+    const member = room?.members.get(peer.id)
+    return member ? { room, participant: member.participant } : null
+  }
+
+  /**
+   * Join a room by code, or create one when no code is given
+   * @param {RacePeer} peer
+   * @param {{code?: string, name?: string}} message
+   */
+  function join(peer, { code, name }) {
+    leave(peer)
+
+    const displayName = String(name ?? '').trim().slice(0, MAX_NAME_LENGTH) || 'Guest'
+    let room
+    if (code) {
+      room = rooms.get(normalizeRoomCode(code))
+      if (!room) return send(peer, { type: 'error', message: `No race room with code ${normalizeRoomCode(code)}` })
+      if (stateOf(room) !== 'lobby' && stateOf(room) !== 'finished') return send(peer, { type: 'error', message: 'That race has already started' })
+      if (room.members.size >= MAX_PARTICIPANTS) return send(peer, { type: 'error', message: 'That race room is full' })
+    } else {
+      room = { code: generateCode(), hostId: peer.id, exercise: null, startsAt: null, finished: false, members: new Map() }
+      rooms.set(room.code, room)
+    }
+
+    room.members.set(peer.id, {
+      peer,
+      participant: { id: peer.id, name: displayName, progress: 0, wpm: 0, accuracy: 0, finishedAt: null, place: null }
+    })
+    peerRooms.set(peer.id, room.code)
+
+    send(peer, { type: 'joined', id: peer.id, code: room.code })
+    broadcast(room)
+  }
+
+  /**
+   * Host starts the countdown on a shared exercise; everyone's progress resets
+   * @param {RacePeer} peer
+   * @param {{exercise?: RaceExercise}} message
+   */
+  function start(peer, { exercise }) {
+    const member = membership(peer)
+    if (!member) return
+    const { room } = member
+
+    if (room.hostId !== peer.id) return send(peer, { type: 'error', message: 'Only the host can start the race' })
+    if (stateOf(room) === 'countdown' || stateOf(room) === 'racing') return send(peer, { type: 'error', message: 'The race is already running' })
+    if (!exercise || typeof exercise.text !== 'string' || exercise.text.length === 0 || exercise.text.length > MAX_EXERCISE_LENGTH) {
+      return send(peer, { type: 'error', message: 'Pick an exercise to race on' })
+    }
+
+    room.exercise = {
+      title: (typeof exercise.title === 'string' && exercise.title.trim().slice(0, MAX_TITLE_LENGTH)) || 'Race',
+      text: exercise.text,
+      language: typeof exercise.language === 'string' ? exercise.language : undefined
+    }
+    room.startsAt = now() + countdown
+    room.finished = false
+    for (const { participant } of room.members.values()) {
+      Object.assign(participant, { progress: 0, wpm: 0, accuracy: 0, finishedAt: null, place: null })
+    }
+
+    broadcast(room)
+  }
+
+  /**
+   * Live progress from a participant's useTypingMetrics
+   * @param {RacePeer} peer
+   * @param {{progress?: number, wpm?: number, accuracy?: number, finished?: boolean}} message
+   */
+  function progress(peer, message) {
+    const member = membership(peer)
+    if (!member || stateOf(member.room) !== 'racing') return
+    const { room, participant } = member
+    if (participant.finishedAt !== null) return
+
+    participant.progress = clamp(message.progress, 0, 100)
+    participant.wpm = clamp(message.wpm, 0, 1000)
+    participant.accuracy = clamp(message.accuracy, 0, 100)
+    if (message.finished) {
+      participant.progress = 100
+      participant.finishedAt = now() - room.startsAt
+      finishIfDone(room)
+    }
+
+    broadcast(room)
+  }
+
+  /**
+   * Host ends the race early, e.g. when someone has stopped typing
+   * @param {RacePeer} peer
+   */
+  function end(peer) {
+    const member = membership(peer)
+    if (!member) return
+    const { room } = member
+
+    if (room.hostId !== peer.id) return send(peer, { type: 'error', message: 'Only the host can end the race' })
+    if (stateOf(room) !== 'racing') return
+
+    finishIfDone(room, true)
+    broadcast(room)
+  }
+
+  /**
+   * Drop a peer from its room; the next participant becomes host
+   * @param {RacePeer} peer
+   */
+  function leave(peer) {
+    const member = membership(peer)
+    peerRooms.delete(peer.id)
+    if (!member) return
+    const { room } = member
+
+    room.members.delete(peer.id)
+    if (room.members.size === 0) {
+      rooms.delete(room.code)
+      return
+    }
+    if (room.hostId === peer.id) {
+      room.hostId = room.members.keys().next().value
+    }
+
+    finishIfDone(room)
+    broadcast(room)
+  }
+
+  /**
+   * Dispatch a raw socket message
+   * @param {RacePeer} peer
+   * @param {string} text
+   */
+  function handle(peer, text) {
+    const message = parseRaceMessage(text)
+    switch (message?.type) {
+      case 'join':
+        return join(peer, message)
+      case 'start':
+        return start(peer, message)
+      case 'progress':
+        return progress(peer, message)
+      case 'end':
+        return end(peer)
+      case 'leave':
+        return leave(peer)
+      default:
+        return send(peer, { type: 'error', message: 'Unknown message' })
+    }
+  }
+
+  return {
+    handle,
+    leave,
+    /**
+     * @param {string} code
+     * @returns {RaceRoomSnapshot | null}
+     */
+    getRoom(code) {
+      const room = rooms.get(normalizeRoomCode(code))
+      return room ? snapshot(room) : null
+    }
+  }
+}
+
+/** @type {ReturnType<typeof createRaceRooms> | null} */
+let sharedRooms = null
+
+/**
+ * Shared race rooms for the WebSocket handler
+ * @returns {ReturnType<typeof createRaceRooms>}
+ */
+export function useRaceRooms() {
+  if (!sharedRooms) {
+    sharedRooms = createRaceRooms()
+  }
+  return sharedRooms
+}
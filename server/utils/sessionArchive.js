@@ -0,0 +1,270 @@
+/**
+ * @fileoverview JSON and CSV archives of the typing session history
+ * Serializes stored sessions for export and parses archives back into validated sessions for import
+ */
+
+import { DIFFICULTY_LEVELS } from '../../app/utils/adaptiveDifficulty.js'
+import { DIFFICULTY_STRATEGIES } from '../../app/utils/difficultyStrategies.js'
+import { planMembership, validateSession } from './sessionStore.js'
+
+/**
+ * @typedef {import('./sessionStore').StoredSession} StoredSession
+ * @typedef {import('./sessionStore').StoredProgress} StoredProgress
+ */
+
+/**
+ * @typedef {Object} HistoryArchive
+ * @property {string} format - Always HISTORY_FORMAT
+ * @property {number} version
+ * @property {number} exportedAt
+ * @property {StoredProgress | null} progress - AdaptiveDifficulty level and strategy at export time
+ * @property {StoredSession[]} sessions - Oldest first
+ */
+
+/**
+ * @typedef {Object} ParsedArchive
+ * @property {StoredSession[]} sessions - Valid sessions, first occurrence of each id
+ * @property {StoredProgress | null} progress - Archived level, when it is a known difficulty level, and its known strategy
+ * @property {number} duplicates - Sessions dropped because their id repeats within the archive
+ * @property {string[]} errors - Validation errors, prefixed with the record they belong to
+ */
+
+export const HISTORY_FORMAT = 'typing-history'
+export const HISTORY_VERSION = 1
+
+/** CSV header; nested values are JSON-encoded in their cell */
+export const CSV_COLUMNS = [
+  'id', 'drillType', 'levelId', 'exerciseId', 'language', 'startTime', 'endTime', 'targetWPM', 'finalWPM',
+  'accuracyRaw', 'accuracyAdjusted', 'errorRate', 'correctionRatio', 'consistency', 'errorPatterns',
+  'reviewedPatterns', 'idleTime', 'pausePattern', 'assisted', 'assists', 'planId', 'planRunId', 'planSegment', 'planExercises', 'keystrokes'
+]
+
+/** Columns that older exports, or exports without traces, may lack */
+const OPTIONAL_COLUMNS = ['language', 'reviewedPatterns', 'idleTime', 'pausePattern', 'assisted', 'assists', 'planId', 'planRunId', 'planSegment', 'planExercises', 'keystrokes']
+
+const NUMBER_COLUMNS = ['startTime', 'endTime', 'targetWPM', 'finalWPM', 'accuracyRaw', 'accuracyAdjusted', 'errorRate', 'correctionRatio', 'consistency', 'idleTime', 'planSegment', 'planExercises']
+
+/**
+ * @param {StoredSession[]} sessions
+ * @param {StoredProgress | null} progress
+ * @returns {HistoryArchive}
+ */
+export function toHistoryJson(sessions, progress) {
+  return {
+    format: HISTORY_FORMAT,
+    version: HISTORY_VERSION,
+    exportedAt: Date.now(),
+    progress,
+    sessions
+  }
+}
+
+/**
+ * @param {unknown} value
+ * @returns {string} RFC 4180 cell, quoted when needed
+ */
+function csvCell(value) {
+  if (value == null) return ''
+  const text = String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * @param {StoredSession[]} sessions
+ * @param {Object} [options]
+ * @param {boolean} [options.keystrokes=true] - Include the keystroke column
+ * @returns {string}
+ */
+export function toHistoryCsv(sessions, { keystrokes = true } = {}) {
+  const columns = keystrokes ? CSV_COLUMNS : CSV_COLUMNS.filter(column => column !== 'keystrokes')
+  const rows = sessions.map((session) => {
+    /** @type {Record<string, unknown>} */
+    const record = {
+      ...session,
+      accuracyRaw: session.accuracy.raw,
+      accuracyAdjusted: session.accuracy.adjusted,
+      errorRate: session.accuracy.errorRate,
+      correctionRatio: session.accuracy.correctionRatio,
+      errorPatterns: JSON.stringify(session.errorPatterns ?? {}),
+      reviewedPatterns: JSON.stringify(session.reviewedPatterns ?? []),
+      pausePattern: JSON.stringify(session.pausePattern ?? []),
+      assisted: Boolean(session.assisted),
+      assists: JSON.stringify(session.assists ?? {}),
+      planId: session.plan?.id,
+      planRunId: session.plan?.runId,
+      planSegment: session.plan?.segment,
+      planExercises: session.plan?.exercisesCompleted,
+      keystrokes: JSON.stringify(session.keystrokes ?? [])
+    }
+    return columns.map(column => csvCell(record[column])).join(',')
+  })
+
+  return [columns.join(','), ...rows].join('\r\n') + '\r\n'
+}
+
+/**
+ * Split CSV text into rows of cells, honouring quoted commas, quotes and line breaks
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+  /** @type {string[][]} */
+  const rows = []
+  /** @type {string[]} */
+  let row = []
+  let cell = ''
+  let quoted = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        cell += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      row.push(cell)
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      row.push(cell)
+      rows.push(row)
+      row = []
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell)
+    rows.push(row)
+  }
+
+  return rows.filter(cells => cells.some(value => value !== ''))
+}
+
+/**
+ * @param {string} value - JSON cell
+ * @returns {unknown} Parsed value, or the raw text so validation reports it
+ */
+function parseJsonCell(value) {
+  try {
+    return JSON.parse(value)
+  } catch {
+    return value
+  }
+}
+
+/**
+ * Rebuild sessions from CSV produced by toHistoryCsv()
+ * @param {string} text
+ * @returns {{records: any[], errors: string[]}}
+ */
+export function parseHistoryCsv(text) {
+  const [header = [], ...rows] = parseCsv(text)
+  const missing = CSV_COLUMNS.filter(column => !OPTIONAL_COLUMNS.includes(column) && !header.includes(column))
+  if (missing.length > 0) {
+    return { records: [], errors: [`CSV header is missing ${missing.join(', ')}`] }
+  }
+
+  const records = rows.map((cells) => {
+    /** @type {Record<string, any>} */
+    const cell = Object.fromEntries(header.map((column, i) => [column, cells[i] ?? '']))
+    for (const column of NUMBER_COLUMNS) {
+      cell[column] = cell[column] ? Number(cell[column]) : null
+    }
+
+    return {
+      id: cell.id,
+      drillType: cell.drillType,
+      levelId: cell.levelId || null,
+      exerciseId: cell.exerciseId || null,
+      language: cell.language || null,
+      startTime: cell.startTime,
+      endTime: cell.endTime,
+      targetWPM: cell.targetWPM,
+      finalWPM: cell.finalWPM,
+      accuracy: {
+        raw: cell.accuracyRaw,
+        adjusted: cell.accuracyAdjusted,
+        errorRate: cell.errorRate,
+        correctionRatio: cell.correctionRatio
+      },
+      consistency: cell.consistency ?? 0,
+      errorPatterns: cell.errorPatterns ? parseJsonCell(cell.errorPatterns) : {},
+      reviewedPatterns: cell.reviewedPatterns ? parseJsonCell(cell.reviewedPatterns) : [],
+      idleTime: cell.idleTime ?? 0,
+      pausePattern: cell.pausePattern ? parseJsonCell(cell.pausePattern) : [],
+      assisted: cell.assisted === 'true',
+      assists: cell.assists ? parseJsonCell(cell.assists) : {},
+      ...(cell.planId && { plan: planMembership(cell.planId, cell.planRunId, cell.planSegment, cell.planExercises) }),
+      keystrokes: cell.keystrokes ? parseJsonCell(cell.keystrokes) : []
+    }
+  })
+
+  return { records, errors: [] }
+}
+
+/**
+ * Validate an uploaded archive: a HistoryArchive, a bare array of sessions, or CSV text
+ * @param {unknown} input
+ * @returns {ParsedArchive}
+ */
+export function parseHistoryArchive(input) {
+  /** @type {any[]} */
+  let records
+  /** @type {StoredProgress | null} */
+  let progress = null
+
+  if (typeof input === 'string') {
+    const csv = parseHistoryCsv(input)
+    if (csv.errors.length > 0) return { sessions: [], progress, duplicates: 0, errors: csv.errors }
+    records = csv.records
+  } else if (Array.isArray(input)) {
+    records = input
+  } else if (input && typeof input === 'object' && /** @type {any} */ (input).format === HISTORY_FORMAT) {
+    const archive = /** @type {any} */ (input)
+    if (archive.version !== HISTORY_VERSION) {
+      return { sessions: [], progress, duplicates: 0, errors: [`unsupported archive version ${archive.version}`] }
+    }
+    if (!Array.isArray(archive.sessions)) {
+      return { sessions: [], progress, duplicates: 0, errors: ['sessions must be an array'] }
+    }
+    records = archive.sessions
+    if (DIFFICULTY_LEVELS.some(level => level.id === archive.progress?.currentLevel)) {
+      const strategy = archive.progress.strategy
+      progress = {
+        currentLevel: archive.progress.currentLevel,
+        ...(typeof strategy === 'string' && Object.hasOwn(DIFFICULTY_STRATEGIES, strategy) && { strategy })
+      }
+    }
+  } else {
+    return { sessions: [], progress, duplicates: 0, errors: [`expected a ${HISTORY_FORMAT} archive, a session array or CSV`] }
+  }
+
+  /** @type {string[]} */
+  const errors = []
+  /** @type {Map<string, StoredSession>} */
+  const byId = new Map()
+  let duplicates = 0
+
+  records.forEach((record, index) => {
+    const recordErrors = validateSession(record)
+    if (recordErrors.length > 0) {
+      errors.push(...recordErrors.map(error => `sessions[${index}]: ${error}`))
+    } else if (byId.has(record.id)) {
+      duplicates++
+    } else {
+      byId.set(record.id, record)
+    }
+  })
+
+  return { sessions: [...byId.values()], progress, duplicates, errors }
+}
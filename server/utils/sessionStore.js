@@ -0,0 +1,400 @@
+/**
+ * @fileoverview SQLite persistence for completed typing sessions
+ * Stores PerformanceSession records, including keystroke traces, in a local database
+ */
+
+import Database from 'better-sqlite3'
+import { mkdirSync } from 'node:fs'
+import { dirname } from 'node:path'
+
+/**
+ * @typedef {import('../../app/composables/useTypingMetrics').PerformanceSession} PerformanceSession
+ */
+
+/**
+ * @typedef {Object} StoredSession
+ * @property {string} id
+ * @property {string} drillType
+ * @property {string | null} levelId - AdaptiveDifficulty level the session was typed at
+ * @property {string | null} exerciseId - snippetId() of the exercise text, null for multi-exercise sessions
+ * @property {string | null} language - Language of the exercise text, for highlighting replays
+ * @property {number} startTime
+ * @property {number | null} endTime
+ * @property {number} targetWPM
+ * @property {number} finalWPM
+ * @property {import('../../app/composables/useTypingMetrics').AccuracyMetrics} accuracy
+ * @property {number} consistency
+ * @property {Record<string, number>} errorPatterns
+ * @property {string[]} reviewedPatterns - Error patterns a remediation drill gave practice on
+ * @property {number} idleTime - Paused time excluded from WPM (ms)
+ * @property {import('../../app/composables/useTypingMetrics').PauseEvent[]} pausePattern
+ * @property {boolean} assisted - Some text was not typed, see sessionIntegrity
+ * @property {Record<string, number>} assists - Assist counts by kind
+ * @property {import('../../app/utils/sessionPlans').PlanMembership} [plan] - Plan run the session was a segment of
+ * @property {import('../../app/composables/useTypingMetrics').KeystrokeEvent[]} [keystrokes]
+ */
+
+/**
+ * @typedef {Object} StoredProgress
+ * @property {string} currentLevel - AdaptiveDifficulty level id
+ * @property {string} [strategy] - DIFFICULTY_STRATEGIES id, kept when a save leaves it out
+ * @property {number} [updatedAt] - Timestamp of the last save
+ */
+
+/**
+ * @typedef {Object} SessionQuery
+ * @property {string} [drillType] - Only sessions of this drill type
+ * @property {string} [levelId] - Only sessions typed at this difficulty level
+ * @property {string} [exerciseId] - Only sessions of this exercise
+ * @property {string} [planRunId] - Only the segments of this plan run
+ * @property {number} [limit=50] - Maximum number of sessions, most recent first
+ * @property {boolean} [keystrokes=true] - Include keystroke traces
+ */
+
+/**
+ * @typedef {Object} SessionStore
+ * @property {function(StoredSession): boolean} save - Insert a session, false if the id already exists
+ * @property {function(SessionQuery=): StoredSession[]} list - Recent sessions in chronological order
+ * @property {function({keystrokes?: boolean}=): StoredSession[]} all - Every session in chronological order, for export
+ * @property {function(StoredSession[]): {imported: number, skipped: number}} saveMany - Insert in one transaction, skipping existing ids
+ * @property {function(string): StoredSession | null} get - Single session by id
+ * @property {function(): StoredProgress | null} getProgress - Saved progression state
+ * @property {function(StoredProgress): StoredProgress} saveProgress - Replace the progression state
+ * @property {function(): void} close - Close the database handle
+ */
+
+export const MAX_SESSION_LIST_LIMIT = 500
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS sessions (
+    id TEXT PRIMARY KEY,
+    drill_type TEXT NOT NULL,
+    level_id TEXT,
+    exercise_id TEXT,
+    language TEXT,
+    start_time INTEGER NOT NULL,
+    end_time INTEGER,
+    target_wpm REAL NOT NULL,
+    final_wpm REAL NOT NULL,
+    accuracy TEXT NOT NULL,
+    consistency REAL NOT NULL DEFAULT 0,
+    error_patterns TEXT NOT NULL DEFAULT '{}',
+    reviewed_patterns TEXT NOT NULL DEFAULT '[]',
+    idle_time REAL NOT NULL DEFAULT 0,
+    pause_pattern TEXT NOT NULL DEFAULT '[]',
+    assisted INTEGER NOT NULL DEFAULT 0,
+    assists TEXT NOT NULL DEFAULT '{}',
+    plan_id TEXT,
+    plan_run_id TEXT,
+    plan_segment INTEGER,
+    plan_exercises INTEGER,
+    keystrokes TEXT NOT NULL DEFAULT '[]'
+  );
+  CREATE INDEX IF NOT EXISTS sessions_start_time ON sessions (start_time);
+  CREATE TABLE IF NOT EXISTS progress (
+    id INTEGER PRIMARY KEY CHECK (id = 1),
+    current_level TEXT NOT NULL,
+    strategy TEXT,
+    updated_at INTEGER NOT NULL
+  );
+`
+
+/** Columns added after the first schema, migrated into older databases on open */
+const ADDED_COLUMNS = {
+  exercise_id: 'TEXT',
+  language: 'TEXT',
+  reviewed_patterns: 'TEXT NOT NULL DEFAULT \'[]\'',
+  idle_time: 'REAL NOT NULL DEFAULT 0',
+  pause_pattern: 'TEXT NOT NULL DEFAULT \'[]\'',
+  assisted: 'INTEGER NOT NULL DEFAULT 0',
+  assists: 'TEXT NOT NULL DEFAULT \'{}\'',
+  plan_id: 'TEXT',
+  plan_run_id: 'TEXT',
+  plan_segment: 'INTEGER',
+  plan_exercises: 'INTEGER'
+}
+
+/**
+ * Check that a request body has the PerformanceSession shape
+ * @param {any} input - Untrusted session payload
+ * @returns {string[]} Validation errors, empty when the session is valid
+ */
+export function validateSession(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return ['session must be an object']
+  }
+
+  /** @type {string[]} */
+  const errors = []
+  const isNumber = value => typeof value === 'number' && Number.isFinite(value)
+
+  if (typeof input.id !== 'string' || input.id.length === 0) errors.push('id must be a non-empty string')
+  if (typeof input.drillType !== 'string') errors.push('drillType must be a string')
+  if (input.levelId != null && typeof input.levelId !== 'string') errors.push('levelId must be a string')
+  if (input.exerciseId != null && typeof input.exerciseId !== 'string') errors.push('exerciseId must be a string')
+  if (input.language != null && typeof input.language !== 'string') errors.push('language must be a string')
+  if (!isNumber(input.startTime)) errors.push('startTime must be a number')
+  if (input.endTime != null && !isNumber(input.endTime)) errors.push('endTime must be a number')
+  if (!isNumber(input.targetWPM)) errors.push('targetWPM must be a number')
+  if (!isNumber(input.finalWPM)) errors.push('finalWPM must be a number')
+  if (input.consistency != null && !isNumber(input.consistency)) errors.push('consistency must be a number')
+  if (input.idleTime != null && !isNumber(input.idleTime)) errors.push('idleTime must be a number')
+
+  const accuracy = input.accuracy
+  if (!accuracy || typeof accuracy !== 'object' || !['raw', 'adjusted', 'errorRate', 'correctionRatio'].every(key => isNumber(accuracy[key]))) {
+    errors.push('accuracy must contain numeric raw, adjusted, errorRate and correctionRatio')
+  }
+
+  if (input.errorPatterns != null && (typeof input.errorPatterns !== 'object' || Array.isArray(input.errorPatterns))) {
+    errors.push('errorPatterns must be an object')
+  }
+  if (input.reviewedPatterns != null && !(Array.isArray(input.reviewedPatterns) && input.reviewedPatterns.every(p => typeof p === 'string'))) {
+    errors.push('reviewedPatterns must be an array of strings')
+  }
+
+  if (input.assisted != null && typeof input.assisted !== 'boolean') errors.push('assisted must be a boolean')
+  if (input.assists != null && (typeof input.assists !== 'object' || Array.isArray(input.assists) || !Object.values(input.assists).every(isNumber))) {
+    errors.push('assists must map assist kinds to counts')
+  }
+
+  const plan = input.plan
+  if (plan != null && (typeof plan !== 'object' || typeof plan.id !== 'string' || typeof plan.runId !== 'string' || !Number.isInteger(plan.segment) || plan.segment < 0)) {
+    errors.push('plan must have a string id and runId and a segment index')
+  } else if (plan?.exercisesCompleted != null && !(Number.isInteger(plan.exercisesCompleted) && plan.exercisesCompleted >= 0)) {
+    errors.push('plan exercisesCompleted must be a count')
+  }
+
+  if (input.pausePattern != null) {
+    if (!Array.isArray(input.pausePattern)) {
+      errors.push('pausePattern must be an array')
+    } else if (!input.pausePattern.every(p => p && isNumber(p.duration) && isNumber(p.position?.line) && isNumber(p.position?.column))) {
+      errors.push('every pause needs a numeric duration and a line and column position')
+    }
+  }
+
+  if (input.keystrokes != null) {
+    if (!Array.isArray(input.keystrokes)) {
+      errors.push('keystrokes must be an array')
+    } else if (!input.keystrokes.every(k => k && typeof k.key === 'string' && isNumber(k.timestamp) && typeof k.isCorrect === 'boolean')) {
+      errors.push('every keystroke needs a string key, numeric timestamp and boolean isCorrect')
+    }
+  }
+
+  return errors
+}
+
+/**
+ * @param {string} id
+ * @param {string} runId
+ * @param {number} segment
+ * @param {number | null} exercisesCompleted - Missing for segments stored before it was recorded
+ * @returns {import('../../app/utils/sessionPlans').PlanMembership}
+ */
+export function planMembership(id, runId, segment, exercisesCompleted) {
+  return { id, runId, segment, ...(exercisesCompleted != null && { exercisesCompleted }) }
+}
+
+/**
+ * @param {any} row - Database row
+ * @param {boolean} withKeystrokes - Decode the keystroke trace
+ * @returns {StoredSession}
+ */
+function rowToSession(row, withKeystrokes) {
+  /** @type {StoredSession} */
+  const session = {
+    id: row.id,
+    drillType: row.drill_type,
+    levelId: row.level_id,
+    exerciseId: row.exercise_id,
+    language: row.language,
+    startTime: row.start_time,
+    endTime: row.end_time,
+    targetWPM: row.target_wpm,
+    finalWPM: row.final_wpm,
+    accuracy: JSON.parse(row.accuracy),
+    consistency: row.consistency,
+    errorPatterns: JSON.parse(row.error_patterns),
+    reviewedPatterns: JSON.parse(row.reviewed_patterns),
+    idleTime: row.idle_time,
+    pausePattern: JSON.parse(row.pause_pattern),
+    assisted: row.assisted === 1,
+    assists: JSON.parse(row.assists),
+    ...(row.plan_id && { plan: planMembership(row.plan_id, row.plan_run_id, row.plan_segment, row.plan_exercises) })
+  }
+
+  if (withKeystrokes) {
+    session.keystrokes = JSON.parse(row.keystrokes)
+  }
+
+  return session
+}
+
+/**
+ * Open (and create if needed) a session database
+ * @param {string} filename - Database file, or ':memory:'
+ * @returns {SessionStore}
+ */
+export function createSessionStore(filename) {
+  if (filename !== ':memory:') {
+    mkdirSync(dirname(filename), { recursive: true })
+  }
+
+  const db = new Database(filename)
+  db.pragma('journal_mode = WAL')
+  db.exec(SCHEMA)
+
+  // Databases created before these columns were recorded
+  const columns = db.prepare('PRAGMA table_info(sessions)').all()
+  for (const [name, definition] of Object.entries(ADDED_COLUMNS)) {
+    if (!columns.some(column => column.name === name)) {
+      db.exec(`ALTER TABLE sessions ADD COLUMN ${name} ${definition}`)
+    }
+  }
+  db.exec('CREATE INDEX IF NOT EXISTS sessions_exercise_id ON sessions (exercise_id)')
+  db.exec('CREATE INDEX IF NOT EXISTS sessions_plan_run_id ON sessions (plan_run_id)')
+  if (!db.prepare('PRAGMA table_info(progress)').all().some(column => column.name === 'strategy')) {
+    db.exec('ALTER TABLE progress ADD COLUMN strategy TEXT')
+  }
+
+  const insert = db.prepare(`
+    INSERT OR IGNORE INTO sessions (
+      id, drill_type, level_id, exercise_id, language, start_time, end_time, target_wpm, final_wpm,
+      accuracy, consistency, error_patterns, reviewed_patterns, idle_time, pause_pattern, assisted, assists,
+      plan_id, plan_run_id, plan_segment, plan_exercises, keystrokes
+    ) VALUES (
+      @id, @drillType, @levelId, @exerciseId, @language, @startTime, @endTime, @targetWPM, @finalWPM,
+      @accuracy, @consistency, @errorPatterns, @reviewedPatterns, @idleTime, @pausePattern, @assisted, @assists,
+      @planId, @planRunId, @planSegment, @planExercises, @keystrokes
+    )
+  `)
+  const selectOne = db.prepare('SELECT * FROM sessions WHERE id = ?')
+  const selectAll = db.prepare('SELECT * FROM sessions ORDER BY start_time')
+  const selectProgress = db.prepare('SELECT current_level, strategy, updated_at FROM progress WHERE id = 1')
+  const upsertProgress = db.prepare(`
+    INSERT INTO progress (id, current_level, strategy, updated_at) VALUES (1, @currentLevel, @strategy, @updatedAt)
+    ON CONFLICT (id) DO UPDATE SET
+      current_level = excluded.current_level,
+      strategy = COALESCE(excluded.strategy, progress.strategy),
+      updated_at = excluded.updated_at
+  `)
+
+  /**
+   * @returns {StoredProgress | null}
+   */
+  function readProgress() {
+    const row = selectProgress.get()
+    if (!row) return null
+    return {
+      currentLevel: row.current_level,
+      ...(row.strategy && { strategy: row.strategy }),
+      updatedAt: row.updated_at
+    }
+  }
+
+  /**
+   * @param {StoredSession} session
+   * @returns {boolean} False if the id already exists
+   */
+  function insertSession(session) {
+    const result = insert.run({
+      id: session.id,
+      drillType: session.drillType,
+      levelId: session.levelId ?? null,
+      exerciseId: session.exerciseId ?? null,
+      language: session.language ?? null,
+      startTime: session.startTime,
+      endTime: session.endTime ?? null,
+      targetWPM: session.targetWPM,
+      finalWPM: session.finalWPM,
+      accuracy: JSON.stringify(session.accuracy),
+      consistency: session.consistency ?? 0,
+      errorPatterns: JSON.stringify(session.errorPatterns ?? {}),
+      reviewedPatterns: JSON.stringify(session.reviewedPatterns ?? []),
+      idleTime: session.idleTime ?? 0,
+      pausePattern: JSON.stringify(session.pausePattern ?? []),
+      assisted: session.assisted ? 1 : 0,
+      assists: JSON.stringify(session.assists ?? {}),
+      planId: session.plan?.id ?? null,
+      planRunId: session.plan?.runId ?? null,
+      planSegment: session.plan?.segment ?? null,
+      planExercises: session.plan?.exercisesCompleted ?? null,
+      keystrokes: JSON.stringify(session.keystrokes ?? [])
+    })
+    return result.changes > 0
+  }
+
+  const saveAll = db.transaction((/** @type {StoredSession[]} */ sessions) => sessions.filter(insertSession).length)
+
+  return {
+    save(session) {
+      return insertSession(session)
+    },
+
+    list({ drillType, levelId, exerciseId, planRunId, limit = 50, keystrokes = true } = {}) {
+      const conditions = []
+      const params = {}
+
+      if (drillType) {
+        conditions.push('drill_type = @drillType')
+        params.drillType = drillType
+      }
+      if (levelId) {
+        conditions.push('level_id = @levelId')
+        params.levelId = levelId
+      }
+      if (exerciseId) {
+        conditions.push('exercise_id = @exerciseId')
+        params.exerciseId = exerciseId
+      }
+      if (planRunId) {
+        conditions.push('plan_run_id = @planRunId')
+        params.planRunId = planRunId
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''
+      params.limit = Math.min(Math.max(1, Math.floor(limit)), MAX_SESSION_LIST_LIMIT)
+
+      const rows = db.prepare(`SELECT * FROM sessions ${where} ORDER BY start_time DESC LIMIT @limit`).all(params)
+      return rows.reverse().map(row => rowToSession(row, keystrokes))
+    },
+
+    all({ keystrokes = true } = {}) {
+      return selectAll.all().map(row => rowToSession(row, keystrokes))
+    },
+
+    saveMany(sessions) {
+      const imported = saveAll(sessions)
+      return { imported, skipped: sessions.length - imported }
+    },
+
+    get(id) {
+      const row = selectOne.get(id)
+      return row ? rowToSession(row, true) : null
+    },
+
+    getProgress: readProgress,
+
+    saveProgress({ currentLevel, strategy }) {
+      upsertProgress.run({ currentLevel, strategy: strategy ?? null, updatedAt: Date.now() })
+      return readProgress()
+    },
+
+    close() {
+      db.close()
+    }
+  }
+}
+
+/** @type {SessionStore | null} */
+let sharedStore = null
+
+/**
+ * Shared session store for Nitro handlers, opened on first use
+ * @returns {SessionStore}
+ */
+export function useSessionStore() {
+  if (!sharedStore) {
+    sharedStore = createSessionStore(useRuntimeConfig().sessionDatabase)
+  }
+  return sharedStore
+}
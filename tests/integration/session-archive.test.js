@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Integration tests for session history export and import
+ * Round-trips JSON and CSV archives through an in-memory session store
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { createSessionStore } from '../../server/utils/sessionStore.js'
+import {
+  toHistoryJson,
+  toHistoryCsv,
+  parseCsv,
+  parseHistoryArchive,
+  HISTORY_FORMAT
+} from '../../server/utils/sessionArchive.js'
+import { makeStoredSession } from '../utils/session-fixtures.js'
+
+describe('History archives', () => {
+  /** @type {ReturnType<typeof createSessionStore>} */
+  let store
+
+  beforeEach(() => {
+    store = createSessionStore(':memory:')
+    store.save(makeStoredSession())
+    store.save(makeStoredSession({ id: 'session_2', startTime: 2000, levelId: null, exerciseId: null, plan: { id: 'backend', runId: 'plan_1', segment: 0 } }))
+    store.saveProgress({ currentLevel: 'beginner-2', strategy: 'elo' })
+  })
+
+  afterEach(() => {
+    store.close()
+  })
+
+  it('round-trips a JSON archive with progress', () => {
+    const archive = JSON.parse(JSON.stringify(toHistoryJson(store.all(), store.getProgress())))
+    const parsed = parseHistoryArchive(archive)
+
+    expect(archive.format).toBe(HISTORY_FORMAT)
+    expect(parsed.errors).toEqual([])
+    expect(parsed.sessions).toEqual(store.all())
+    expect(parsed.progress).toEqual({ currentLevel: 'beginner-2', strategy: 'elo' })
+  })
+
+  it('round-trips CSV, quoting commas, quotes and line breaks', () => {
+    const csv = toHistoryCsv(store.all())
+    const parsed = parseHistoryArchive(csv)
+
+    expect(parseCsv('a,"b ""c""",d\r\n1,"x,\ny",3\r\n')).toEqual([['a', 'b "c"', 'd'], ['1', 'x,\ny', '3']])
+    expect(parsed.errors).toEqual([])
+    expect(parsed.sessions).toEqual(store.all())
+  })
+
+  it('leaves keystroke traces out of CSV on request', () => {
+    const csv = toHistoryCsv(store.all(), { keystrokes: false })
+
+    expect(csv.split('\r\n')[0]).not.toContain('keystrokes')
+    expect(parseHistoryArchive(csv).sessions[0].keystrokes).toEqual([])
+  })
+
+  it('reports every invalid record and drops repeated ids', () => {
+    const parsed = parseHistoryArchive([
+      makeStoredSession(),
+      makeStoredSession(),
+      makeStoredSession({ id: '', finalWPM: 'fast' })
+    ])
+
+    expect(parsed.duplicates).toBe(1)
+    expect(parsed.errors).toEqual([
+      'sessions[2]: id must be a non-empty string',
+      'sessions[2]: finalWPM must be a number'
+    ])
+  })
+
+  it('rejects unknown shapes, versions and CSV headers', () => {
+    expect(parseHistoryArchive({ sessions: [] }).errors).toHaveLength(1)
+    expect(parseHistoryArchive({ format: HISTORY_FORMAT, version: 99, sessions: [] }).errors[0]).toContain('version')
+    expect(parseHistoryArchive('id,drillType\r\nx,y\r\n').errors[0]).toContain('missing')
+    expect(parseHistoryArchive({ format: HISTORY_FORMAT, version: 1, progress: { currentLevel: 'wizard' }, sessions: [] }).progress).toBeNull()
+    expect(parseHistoryArchive({ format: HISTORY_FORMAT, version: 1, progress: { currentLevel: 'beginner-1', strategy: 'dice' }, sessions: [] }).progress)
+      .toEqual({ currentLevel: 'beginner-1' })
+  })
+
+  it('merges an import into another store without duplicating ids', () => {
+    const other = createSessionStore(':memory:')
+    other.save(makeStoredSession({ finalWPM: 10 }))
+
+    const { sessions } = parseHistoryArchive(toHistoryCsv(store.all()))
+    expect(other.saveMany(sessions)).toEqual({ imported: 1, skipped: 1 })
+    expect(other.all().map(s => [s.id, s.finalWPM])).toEqual([['session_1', 10], ['session_2', 42.5]])
+    other.close()
+  })
+})
@@ -0,0 +1,235 @@
+/**
+ * @fileoverview Integration tests for the SQLite typing session store
+ * Exercises persistence, filtering and validation against an in-memory database
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { mkdtempSync, rmSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import Database from 'better-sqlite3'
+import { createSessionStore, validateSession } from '../../server/utils/sessionStore.js'
+import {
+  SESSION_PLANS,
+  segmentLevel,
+  summarizeSegment,
+  buildCompositeSession,
+  rebuildCompositeSession
+} from '../../app/utils/sessionPlans.js'
+import { DIFFICULTY_LEVELS } from '../../app/utils/adaptiveDifficulty.js'
+import { makeStoredSession, scoredKeystrokes, accuracyOf } from '../utils/session-fixtures.js'
+
+describe('Session store', () => {
+  /** @type {ReturnType<typeof createSessionStore>} */
+  let store
+
+  beforeEach(() => {
+    store = createSessionStore(':memory:')
+  })
+
+  afterEach(() => {
+    store.close()
+  })
+
+  it('round-trips a session including keystrokes, drill type and level', () => {
+    const session = makeStoredSession()
+
+    expect(store.save(session)).toBe(true)
+    expect(store.get('session_1')).toEqual(session)
+  })
+
+  it('refuses to overwrite an existing session id', () => {
+    store.save(makeStoredSession())
+
+    expect(store.save(makeStoredSession({ finalWPM: 99 }))).toBe(false)
+    expect(store.get('session_1').finalWPM).toBe(42.5)
+  })
+
+  it('lists the most recent sessions in chronological order', () => {
+    store.save(makeStoredSession({ id: 'a', startTime: 3000 }))
+    store.save(makeStoredSession({ id: 'b', startTime: 1000 }))
+    store.save(makeStoredSession({ id: 'c', startTime: 2000 }))
+
+    expect(store.list().map(s => s.id)).toEqual(['b', 'c', 'a'])
+    expect(store.list({ limit: 2 }).map(s => s.id)).toEqual(['c', 'a'])
+  })
+
+  it('filters by drill type and level and can omit keystrokes', () => {
+    store.save(makeStoredSession({ id: 'a', levelId: 'beginner-1' }))
+    store.save(makeStoredSession({ id: 'b', levelId: 'beginner-2', drillType: 'vue' }))
+
+    expect(store.list({ levelId: 'beginner-2' }).map(s => s.id)).toEqual(['b'])
+    expect(store.list({ drillType: 'javascript' }).map(s => s.id)).toEqual(['a'])
+    expect(store.list({ keystrokes: false })[0]).not.toHaveProperty('keystrokes')
+  })
+
+  it('filters by exercise', () => {
+    store.save(makeStoredSession({ id: 'a' }))
+    store.save(makeStoredSession({ id: 'b', exerciseId: 'ffff0000' }))
+    store.save(makeStoredSession({ id: 'c', exerciseId: null }))
+
+    expect(store.list({ exerciseId: 'ffff0000' }).map(s => s.id)).toEqual(['b'])
+    expect(store.get('c').exerciseId).toBeNull()
+  })
+
+  it('keeps the plan run and segment of plan sessions', () => {
+    const plan = { id: 'backend', runId: 'plan_1', segment: 2 }
+    const counted = { ...plan, segment: 1, exercisesCompleted: 3 }
+    store.save(makeStoredSession({ id: 'a', plan }))
+    store.save(makeStoredSession({ id: 'b' }))
+    store.save(makeStoredSession({ id: 'c', startTime: 2000, plan: counted }))
+
+    expect(store.get('a').plan).toEqual(plan)
+    expect(store.list({ keystrokes: false }).map(s => s.plan)).toEqual([plan, undefined, counted])
+    expect(store.list({ planRunId: 'plan_1' }).map(s => s.id)).toEqual(['a', 'c'])
+  })
+
+  it('rebuilds a plan run\'s composite from its stored segments', () => {
+    const plan = SESSION_PLANS[0]
+    const sessions = plan.segments.map((segment, i) => {
+      const startTime = i * 300000
+      return makeStoredSession({
+        id: `segment_${i}`,
+        levelId: segment.levelId,
+        startTime,
+        endTime: startTime + segment.minutes * 60000,
+        accuracy: accuracyOf(90),
+        keystrokes: scoredKeystrokes(100 * (i + 1), 10, { start: startTime, minutes: segment.minutes }),
+        plan: { id: plan.id, runId: 'plan_1', segment: i, exercisesCompleted: i + 1 }
+      })
+    })
+    // The record useSessionPlan builds in memory when the run completes
+    const results = plan.segments.map((segment, i) => summarizeSegment(segment, sessions[i], segmentLevel(segment, DIFFICULTY_LEVELS[0]), i + 1))
+    const composite = buildCompositeSession(plan, sessions, results)
+
+    store.saveMany([...sessions].reverse())
+    store.save(makeStoredSession({ id: 'other', startTime: 150000 }))
+
+    expect(rebuildCompositeSession(plan, store.list({ planRunId: 'plan_1' }))).toEqual(composite)
+    expect(composite).toMatchObject({ runId: 'plan_1', segments: [{ exercisesCompleted: 1 }, { exercisesCompleted: 2 }, { exercisesCompleted: 3 }] })
+  })
+
+  it('exports every session and merges imports without overwriting existing ids', () => {
+    store.save(makeStoredSession({ id: 'a', finalWPM: 42 }))
+
+    const result = store.saveMany([
+      makeStoredSession({ id: 'a', finalWPM: 99 }),
+      makeStoredSession({ id: 'b', startTime: 500 })
+    ])
+
+    expect(result).toEqual({ imported: 1, skipped: 1 })
+    expect(store.all().map(s => s.id)).toEqual(['b', 'a'])
+    expect(store.get('a').finalWPM).toBe(42)
+    expect(store.all({ keystrokes: false })[0]).not.toHaveProperty('keystrokes')
+  })
+
+  it('returns null for unknown ids', () => {
+    expect(store.get('missing')).toBeNull()
+  })
+})
+
+describe('Session store migration', () => {
+  it('adds the exercise, language, pause and strategy columns to databases created without them', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'sessions-'))
+    const filename = join(dir, 'sessions.db')
+    try {
+      const legacy = new Database(filename)
+      legacy.exec(`CREATE TABLE sessions (
+        id TEXT PRIMARY KEY, drill_type TEXT NOT NULL, level_id TEXT, start_time INTEGER NOT NULL,
+        end_time INTEGER, target_wpm REAL NOT NULL, final_wpm REAL NOT NULL, accuracy TEXT NOT NULL,
+        consistency REAL NOT NULL DEFAULT 0, error_patterns TEXT NOT NULL DEFAULT '{}',
+        keystrokes TEXT NOT NULL DEFAULT '[]'
+      )`)
+      legacy.prepare(`INSERT INTO sessions (id, drill_type, start_time, target_wpm, final_wpm, accuracy)
+        VALUES ('old', 'javascript', 1, 60, 40, '{}')`).run()
+      legacy.exec(`CREATE TABLE progress (
+        id INTEGER PRIMARY KEY CHECK (id = 1), current_level TEXT NOT NULL, updated_at INTEGER NOT NULL
+      )`)
+      legacy.exec('INSERT INTO progress VALUES (1, \'beginner-2\', 1)')
+      legacy.close()
+
+      const store = createSessionStore(filename)
+      store.save(makeStoredSession({ id: 'new' }))
+
+      expect(store.get('old').exerciseId).toBeNull()
+      expect(store.get('old').language).toBeNull()
+      expect(store.get('new').language).toBe('javascript')
+      expect(store.get('old')).toMatchObject({ reviewedPatterns: [], idleTime: 0, pausePattern: [], assisted: false, assists: {} })
+      expect(store.get('old')).not.toHaveProperty('plan')
+      expect(store.list({ exerciseId: '1a2b3c4d' }).map(s => s.id)).toEqual(['new'])
+      expect(store.getProgress()).toEqual({ currentLevel: 'beginner-2', updatedAt: 1 })
+      expect(store.saveProgress({ currentLevel: 'beginner-2', strategy: 'elo' }).strategy).toBe('elo')
+      store.close()
+    } finally {
+      rmSync(dir, { recursive: true, force: true })
+    }
+  })
+})
+
+describe('validateSession', () => {
+  it('accepts a completed session', () => {
+    expect(validateSession(makeStoredSession())).toEqual([])
+  })
+
+  it('reports missing and malformed fields', () => {
+    const errors = validateSession({
+      id: '',
+      drillType: 1,
+      exerciseId: 7,
+      language: ['javascript'],
+      accuracy: { raw: 1 },
+      reviewedPatterns: [1],
+      idleTime: 'long',
+      pausePattern: [{ duration: 100 }],
+      assisted: 'yes',
+      assists: { paste: 'twice' },
+      plan: { id: 'backend', segment: -1 },
+      keystrokes: [{}]
+    })
+
+    expect(errors).toContain('id must be a non-empty string')
+    expect(errors).toContain('drillType must be a string')
+    expect(errors).toContain('exerciseId must be a string')
+    expect(errors).toContain('language must be a string')
+    expect(errors).toContain('startTime must be a number')
+    expect(errors).toContain('accuracy must contain numeric raw, adjusted, errorRate and correctionRatio')
+    expect(errors).toContain('reviewedPatterns must be an array of strings')
+    expect(errors).toContain('idleTime must be a number')
+    expect(errors).toContain('assisted must be a boolean')
+    expect(errors).toContain('assists must map assist kinds to counts')
+    expect(errors).toContain('plan must have a string id and runId and a segment index')
+    expect(errors).toContain('every pause needs a numeric duration and a line and column position')
+    expect(errors).toContain('every keystroke needs a string key, numeric timestamp and boolean isCorrect')
+
+    const plan = { id: 'backend', runId: 'plan_1', segment: 0, exercisesCompleted: 1.5 }
+    expect(validateSession(makeStoredSession({ plan }))).toEqual(['plan exercisesCompleted must be a count'])
+  })
+
+  it('rejects non-object payloads', () => {
+    expect(validateSession(null)).toEqual(['session must be an object'])
+    expect(validateSession([])).toEqual(['session must be an object'])
+  })
+})
+
+describe('Progress state', () => {
+  it('stores a single current level and overwrites it on save', () => {
+    const store = createSessionStore(':memory:')
+
+    expect(store.getProgress()).toBeNull()
+    store.saveProgress({ currentLevel: 'beginner-1' })
+    store.saveProgress({ currentLevel: 'beginner-2' })
+
+    expect(store.getProgress()).toMatchObject({ currentLevel: 'beginner-2', updatedAt: expect.any(Number) })
+    store.close()
+  })
+
+  it('keeps the saved strategy when a save leaves it out', () => {
+    const store = createSessionStore(':memory:')
+
+    expect(store.saveProgress({ currentLevel: 'beginner-1', strategy: 'elo' })).toMatchObject({ currentLevel: 'beginner-1', strategy: 'elo' })
+    store.saveProgress({ currentLevel: 'beginner-2' })
+
+    expect(store.getProgress()).toMatchObject({ currentLevel: 'beginner-2', strategy: 'elo' })
+    store.close()
+  })
+})
@@ -0,0 +1,414 @@
+/**
+ * @fileoverview Integration tests for the textarea typing page
+ * Verifies the page records every keystroke through useTypingMetrics
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { mount, flushPromises } from '@vue/test-utils'
+import { nextTick } from 'vue'
+import TypingPage from '../../app/pages/typing.vue'
+import TokenAccuracyPanel from '../../app/components/TokenAccuracyPanel.vue'
+import PhaseGoalsHeader from '../../app/components/PhaseGoalsHeader.vue'
+import TargetCodeDisplay from '../../app/components/TargetCodeDisplay.vue'
+import { snippetId } from '../../app/utils/codeSnippet.js'
+import { DIFFICULTY_LEVELS } from '../../app/utils/adaptiveDifficulty.js'
+
+const drills = [
+  {
+    id: 'drills/2_backend/3_typing-drills/01.json',
+    title: 'Greeting',
+    difficulty: 'easy',
+    language: 'javascript',
+    category: 'backend',
+    levelId: 'beginner-1',
+    code: 'const message = "Hello World";\nfunction greet(name) {\n  return `Hello, ${name}!`;\n}',
+    source: '/cookbook/2_backend/3_typing-drills'
+  },
+  {
+    id: 'drills/2_backend/3_typing-drills/02.json',
+    title: 'Doubled',
+    difficulty: 'medium',
+    language: 'javascript',
+    category: 'backend',
+    levelId: 'intermediate-1',
+    code: 'const doubled = numbers.map(n => n * 2);',
+    source: '/cookbook/2_backend/3_typing-drills'
+  }
+]
+
+const stubs = {
+  UButton: { template: '<button @click="$emit(\'click\')"><slot /></button>' },
+  UCard: { template: '<div class="card"><slot name="header" /><slot /><slot name="footer" /></div>' },
+  UModal: {
+    template: '<div v-if="modelValue" class="modal"><slot /></div>',
+    props: ['modelValue']
+  },
+  InputPolicyControls: { template: '<div />' },
+  TokenAccuracyPanel,
+  PhaseGoalsHeader,
+  TargetCodeDisplay
+}
+
+/**
+ * Replace the textarea value and dispatch an input event from its own window
+ * @param {import('@vue/test-utils').VueWrapper} wrapper - Mounted page
+ * @param {string} value - New textarea value
+ */
+async function setInput(wrapper, value) {
+  const textarea = wrapper.element.querySelector('textarea')
+  textarea.value = value
+  textarea.dispatchEvent(new textarea.ownerDocument.defaultView.Event('input'))
+  await nextTick()
+}
+
+/**
+ * Type text one character at a time through the textarea
+ * @param {import('@vue/test-utils').VueWrapper} wrapper - Mounted page
+ * @param {string} text - Text to type
+ */
+async function typeText(wrapper, text) {
+  for (const char of text) {
+    await setInput(wrapper, wrapper.vm.userInput + char)
+  }
+}
+
+describe('Typing page metrics', () => {
+  /** @type {import('@vue/test-utils').VueWrapper | null} */
+  let wrapper = null
+
+  beforeEach(() => {
+    vi.stubGlobal('queryCollection', () => ({ all: async () => drills }))
+    vi.stubGlobal('useRoute', () => ({ query: {} }))
+  })
+
+  afterEach(() => {
+    wrapper?.unmount()
+    wrapper = null
+    vi.unstubAllGlobals()
+  })
+
+  it('records typed characters and backspaces as keystrokes', async () => {
+    wrapper = mount(TypingPage, { global: { stubs } })
+    await flushPromises()
+
+    await typeText(wrapper, 'cx')
+    await setInput(wrapper, 'c')
+
+    const keys = wrapper.vm.currentSession.keystrokes.map(k => k.key)
+    expect(keys).toEqual(['c', 'x', 'Backspace'])
+    expect(wrapper.vm.currentSession.keystrokes[1].expected).toBe('o')
+    expect(wrapper.vm.errors).toBe(1)
+  })
+
+  it('tags keystrokes with the token they were typed in', async () => {
+    wrapper = mount(TypingPage, { global: { stubs } })
+    await flushPromises()
+
+    await typeText(wrapper, 'const m')
+
+    const tokens = wrapper.vm.currentSession.keystrokes.map(k => k.token.type)
+    expect(tokens).toEqual(['keyword', 'keyword', 'keyword', 'keyword', 'keyword', 'whitespace', 'identifier'])
+  })
+
+  it('stores the exercise language as a Monaco language id', async () => {
+    vi.stubGlobal('queryCollection', () => ({ all: async () => [{ ...drills[0], language: 'ts' }] }))
+    wrapper = mount(TypingPage, { global: { stubs } })
+    await flushPromises()
+
+    await typeText(wrapper, 'c')
+
+    expect(wrapper.vm.currentSession.language).toBe('typescript')
+  })
+
+  it('reports keystroke positions as line and column in the target text', async () => {
+    wrapper = mount(TypingPage, { global: { stubs } })
+    await flushPromises()
+
+    const firstLine = wrapper.vm.targetText.split('\n')[0]
+    await typeText(wrapper, `${firstLine}\nf`)
+
+    const last = wrapper.vm.currentSession.keystrokes.at(-1)
+    expect(last.position).toEqual({ line: 2, column: 1 })
+    expect(last.isCorrect).toBe(true)
+  })
+
+  it('shows the completed PerformanceSession in the completion modal', async () => {
+    wrapper = mount(TypingPage, { global: { stubs } })
+    await flushPromises()
+
+    await typeText(wrapper, wrapper.vm.targetText)
+    await nextTick()
+
+    expect(wrapper.vm.showModal).toBe(true)
+    expect(wrapper.vm.lastSession.keystrokes).toHaveLength(wrapper.vm.targetText.length)
+    expect(wrapper.vm.lastSession.accuracy.raw).toBe(100)
+    expect(wrapper.vm.lastSession).toHaveProperty('consistency')
+    expect(wrapper.vm.lastSession.errorPatterns).toEqual({})
+    expect(wrapper.element.querySelector('.modal').textContent).toContain('Adjusted Accuracy')
+    expect(wrapper.vm.lastSession.tokenAccuracy.byType.keyword.accuracy).toBe(100)
+    expect(wrapper.element.querySelector('.modal').textContent).toContain('Punctuation')
+  })
+
+  it('links to the replay once the session is saved and hides it when saving fails', async () => {
+    /** @type {(session: Object) => void} */
+    let resolveSave = () => {}
+    vi.stubGlobal('$fetch', vi.fn((url, options) => {
+      if (options?.method === 'POST' && url === '/api/sessions') {
+        return new Promise((resolve) => {
+          resolveSave = resolve
+        })
+      }
+      return Promise.resolve(url === '/api/sessions' ? [] : null)
+    }))
+    wrapper = mount(TypingPage, { global: { stubs } })
+    await flushPromises()
+    const replay = () => [...wrapper.element.querySelectorAll('.modal button')].find(button => button.textContent.trim() === 'Replay')
+
+    await typeText(wrapper, wrapper.vm.targetText)
+    await nextTick()
+    expect(replay().hasAttribute('disabled')).toBe(true)
+    expect(replay().hasAttribute('to')).toBe(false)
+
+    resolveSave({ ...wrapper.vm.lastSession })
+    await flushPromises()
+    expect(replay().hasAttribute('disabled')).toBe(false)
+    expect(replay().getAttribute('to')).toBe(`/replay/${wrapper.vm.lastSession.id}`)
+
+    vi.stubGlobal('$fetch', vi.fn(async () => {
+      throw new Error('offline')
+    }))
+    wrapper.vm.nextExercise()
+    await flushPromises()
+    await typeText(wrapper, wrapper.vm.targetText)
+    await flushPromises()
+    expect(wrapper.vm.showModal).toBe(true)
+    expect(replay()).toBeUndefined()
+  })
+
+  it('counts a completed exercise towards the phase goals in the header', async () => {
+    wrapper = mount(TypingPage, { global: { stubs } })
+    await flushPromises()
+
+    expect(wrapper.text()).toContain('0-day streak')
+
+    await typeText(wrapper, wrapper.vm.targetText)
+    await nextTick()
+
+    expect(wrapper.vm.phaseGoals.current.sessions).toBe(1)
+    expect(wrapper.text()).toContain('1-day streak')
+  })
+
+  it('blocks paste by default and marks the session assisted when assists are allowed', async () => {
+    wrapper = mount(TypingPage, { global: { stubs } })
+    await flushPromises()
+
+    const textarea = wrapper.element.querySelector('textarea')
+    const paste = () => {
+      const event = new textarea.ownerDocument.defaultView.InputEvent('beforeinput', { inputType: 'insertFromPaste', cancelable: true })
+      textarea.dispatchEvent(event)
+      return event.defaultPrevented
+    }
+
+    expect(paste()).toBe(true)
+
+    wrapper.vm.integrity = 'flag'
+    expect(paste()).toBe(false)
+    await setInput(wrapper, 'const m')
+
+    expect(wrapper.vm.currentSession.assisted).toBe(true)
+    expect(wrapper.vm.currentSession.assists).toEqual({ paste: 1 })
+    expect(wrapper.vm.currentSession.keystrokes).toEqual([])
+  })
+
+  it('renders the target as text and speaks mistakes, milestones and shortcuts in accessible mode', async () => {
+    wrapper = mount(TypingPage, { global: { stubs } })
+    await flushPromises()
+
+    const code = wrapper.element.querySelector('pre code')
+    expect(code.textContent).toBe(wrapper.vm.targetText)
+    expect(code.children).toHaveLength(wrapper.vm.targetText.length)
+
+    wrapper.vm.accessibleMode = true
+    await typeText(wrapper, 'cx')
+    await nextTick()
+
+    const incorrect = code.querySelector('[data-state="incorrect"]')
+    expect(incorrect.className).toContain('underline')
+    expect(wrapper.vm.announcement).toBe('Expected o, typed x, line 1 column 2')
+
+    await setInput(wrapper, wrapper.vm.targetText.slice(0, Math.ceil(wrapper.vm.targetText.length * 0.3)))
+    await nextTick()
+    expect(wrapper.vm.announcement).toBe('25% complete')
+
+    const view = wrapper.element.ownerDocument.defaultView
+    view.dispatchEvent(new view.KeyboardEvent('keydown', { altKey: true, shiftKey: true, code: 'KeyR' }))
+    await nextTick()
+    await nextTick()
+    expect(wrapper.vm.userInput).toBe('')
+    expect(wrapper.vm.announcement).toBe('Exercise reset')
+
+    const textarea = wrapper.element.querySelector('textarea')
+    const press = (key) => {
+      const event = new view.KeyboardEvent('keydown', { key, cancelable: true })
+      textarea.dispatchEvent(event)
+      return event.defaultPrevented
+    }
+    expect(press('Tab')).toBe(true)
+    press('Escape')
+    expect(press('Tab')).toBe(false)
+  })
+
+  it('loads exercises for the current level from the drills collection', async () => {
+    wrapper = mount(TypingPage, { global: { stubs } })
+    await flushPromises()
+
+    expect(wrapper.vm.currentExercise.title).toBe('Greeting')
+    expect(wrapper.vm.targetText).toBe(drills[0].code)
+    expect(wrapper.element.textContent).toContain('Greeting')
+  })
+
+  it('streams exercises in a timed sprint and scores it when time runs out', async () => {
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'Date'] })
+    drills[1].levelId = 'beginner-1'
+    try {
+      wrapper = mount(TypingPage, { global: { stubs } })
+      await flushPromises()
+
+      wrapper.vm.startSprint()
+      await nextTick()
+      const first = wrapper.vm.targetText
+      await typeText(wrapper, first)
+
+      expect(wrapper.vm.isActive).toBe(true)
+      expect(wrapper.vm.showModal).toBe(false)
+      expect(wrapper.vm.targetText).not.toBe(first)
+      expect(wrapper.vm.userInput).toBe('')
+
+      vi.advanceTimersByTime(3 * 60000)
+      await nextTick()
+
+      expect(wrapper.vm.showModal).toBe(true)
+      // The idle wait for the clock to run out is not counted against the speed
+      expect(wrapper.vm.sprintScore).toMatchObject({ metAccuracy: true, metWPM: true })
+      expect(wrapper.vm.lastSession.keystrokes).toHaveLength(first.length)
+      expect(wrapper.element.querySelector('.modal').textContent).toContain('1 exercises')
+      expect(wrapper.element.querySelector('textarea').disabled).toBe(true)
+    } finally {
+      drills[1].levelId = 'intermediate-1'
+      vi.useRealTimers()
+    }
+  })
+
+  it('does not accept characters beyond the target text', async () => {
+    wrapper = mount(TypingPage, { global: { stubs } })
+    await flushPromises()
+
+    const target = wrapper.vm.targetText
+    await typeText(wrapper, target)
+    await nextTick()
+    await setInput(wrapper, `${target}x`)
+
+    expect(wrapper.vm.userInput).toBe(target)
+    expect(wrapper.vm.isActive).toBe(false)
+    expect(wrapper.vm.lastSession.keystrokes).toHaveLength(target.length)
+  })
+
+  it('blocks the next character after an error in strict mode', async () => {
+    wrapper = mount(TypingPage, { global: { stubs } })
+    await flushPromises()
+
+    wrapper.vm.inputPolicy = 'strict'
+    await typeText(wrapper, 'cxy')
+    expect(wrapper.vm.userInput).toBe('cx')
+
+    await setInput(wrapper, 'c')
+    await typeText(wrapper, 'on')
+    expect(wrapper.vm.userInput).toBe('con')
+    expect(wrapper.vm.currentSession.keystrokes.map(k => k.key)).toEqual(['c', 'x', 'Backspace', 'o', 'n'])
+  })
+
+  it('fills in indentation after a newline without recording it', async () => {
+    wrapper = mount(TypingPage, { global: { stubs } })
+    await flushPromises()
+
+    wrapper.vm.skipIndent = true
+    const lines = wrapper.vm.targetText.split('\n')
+    const typed = `${lines[0]}\n${lines[1]}\n`
+    await typeText(wrapper, typed)
+
+    expect(wrapper.vm.userInput).toBe(`${typed}  `)
+    expect(wrapper.vm.currentSession.keystrokes).toHaveLength(typed.length)
+
+    await typeText(wrapper, 'r')
+    expect(wrapper.vm.currentSession.keystrokes.at(-1)).toMatchObject({ key: 'r', isCorrect: true })
+  })
+
+  it('replaces the exercise with a remediation drill built from history', async () => {
+    wrapper = mount(TypingPage, { global: { stubs } })
+    await flushPromises()
+
+    wrapper.vm.startRemediation()
+    expect(wrapper.vm.remediationNotice).not.toBe('')
+    expect(wrapper.vm.currentExercise.title).toBe('Greeting')
+
+    // Miss '>' in the arrow twice
+    const missedArrow = {
+      keystrokes: ['=', '>'].map((expected, i) => ({ key: i === 1 ? '.' : expected, expected, isCorrect: i === 0 }))
+    }
+    wrapper.vm.difficulty.addSession(missedArrow)
+    wrapper.vm.difficulty.addSession(missedArrow)
+    wrapper.vm.startRemediation()
+    await nextTick()
+
+    expect(wrapper.vm.remediationNotice).toBe('')
+    expect(wrapper.vm.currentExercise.category).toBe('remediation')
+    expect(new Set(wrapper.vm.targetText.split('\n'))).toEqual(new Set(['const doubled = numbers.map(n => n * 2);']))
+    expect(wrapper.vm.targetText.length).toBeGreaterThanOrEqual(wrapper.vm.remediationLength - 1)
+  })
+
+  it('opens with the exercises and weak patterns due for review today', async () => {
+    const yesterday = Date.now() - 24 * 60 * 60 * 1000
+    const reviewed = {
+      id: 'old',
+      drillType: 'backend',
+      levelId: 'beginner-1',
+      exerciseId: snippetId(drills[1].code),
+      startTime: yesterday - 60000,
+      endTime: yesterday,
+      targetWPM: 35,
+      finalWPM: 40,
+      accuracy: { raw: 98, adjusted: 98, errorRate: 2, correctionRatio: 0 },
+      errorPatterns: { '>->.': 2 }
+    }
+    vi.stubGlobal('$fetch', vi.fn(async url => (url === '/api/sessions' ? [reviewed] : null)))
+
+    wrapper = mount(TypingPage, { global: { stubs } })
+    await flushPromises()
+
+    expect(wrapper.vm.currentExercise.title).toBe('Doubled')
+    expect(wrapper.text()).toContain('Today\'s reviews: 1 exercises · 1 weak patterns')
+
+    await typeText(wrapper, wrapper.vm.targetText)
+    await nextTick()
+    expect(wrapper.vm.dueExercises).toEqual([])
+
+    wrapper.vm.startPatternReview()
+    expect(wrapper.vm.currentExercise.category).toBe('remediation')
+    expect(wrapper.vm.targetText).toContain('=>')
+  })
+  it('opens a shared generated drill from the level and seed in the URL', async () => {
+    vi.stubGlobal('useRoute', () => ({ query: { level: 'intermediate-2', seed: '42' } }))
+    wrapper = mount(TypingPage, { global: { stubs } })
+    await flushPromises()
+    await nextTick()
+
+    const shared = wrapper.vm.targetText
+    expect(wrapper.vm.currentExercise).toMatchObject({ category: 'generated', levelId: 'intermediate-2', seed: 42 })
+    expect(wrapper.text()).toContain('Share or replay this drill: /typing?level=intermediate-2&seed=42')
+
+    wrapper.vm.startGenerated()
+    expect(wrapper.vm.targetText).not.toBe(shared)
+    wrapper.vm.startGenerated(42, DIFFICULTY_LEVELS.find(level => level.id === 'intermediate-2'))
+    expect(wrapper.vm.targetText).toBe(shared)
+  })
+})
@@ -229,7 +229,7 @@ When('I click the {string} button', async (buttonText) => {
  * @then the characters I type correctly should be highlighted in green
  */
 Then('the characters I type correctly should be highlighted in green', () => {
-  const correctChars = wrapper.findAll('.text-green-600')
+  const correctChars = wrapper.findAll('[data-state="correct"]')
   expect(correctChars.length).toBeGreaterThan(0)
 })
 
@@ -238,7 +238,7 @@ Then('the characters I type correctly should be highlighted in green', () => {
  * @then the characters I type incorrectly should be highlighted in red
  */
 Then('the characters I type incorrectly should be highlighted in red', () => {
-  const incorrectChars = wrapper.findAll('.text-red-600')
+  const incorrectChars = wrapper.findAll('[data-state="incorrect"]')
   expect(incorrectChars.length).toBeGreaterThan(0)
 })
 
@@ -247,7 +247,7 @@ Then('the characters I type incorrectly should be highlighted in red', () => {
  * @then the current character position should be highlighted
  */
 Then('the current character position should be highlighted', () => {
-  const currentChar = wrapper.find('.bg-blue-200, .bg-blue-800')
+  const currentChar = wrapper.find('[data-state="current"]')
   expect(currentChar.exists()).toBe(true)
 })
 
@@ -374,7 +374,7 @@ Then('no performance degradation should occur', () => {
  * @then the highlighting should update correctly
  */
 Then('the highlighting should update correctly', () => {
-  const highlightedChars = wrapper.findAll('.text-green-600, .text-red-600, .bg-blue-200, .bg-blue-800')
+  const highlightedChars = wrapper.findAll('[data-state="correct"], [data-state="incorrect"], [data-state="current"]')
   expect(highlightedChars.length).toBeGreaterThan(0)
 })
 
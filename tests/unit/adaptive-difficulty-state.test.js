@@ -0,0 +1,144 @@
+/**
+ * @fileoverview Unit tests for AdaptiveDifficulty serialization and the persistent composable
+ * Verifies level and history survive a save/restore round trip
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { ref, nextTick } from 'vue'
+import { AdaptiveDifficulty } from '../../app/utils/adaptiveDifficulty.js'
+import { useAdaptiveDifficulty } from '../../app/composables/useAdaptiveDifficulty.js'
+import { makeSession } from '../utils/session-fixtures.js'
+
+describe('AdaptiveDifficulty serialization', () => {
+  it('round-trips current level and history through JSON', () => {
+    const original = new AdaptiveDifficulty('intermediate-1')
+    original.addSession(makeSession({ finalWPM: 40, levelId: 'intermediate-1' }))
+
+    const restored = AdaptiveDifficulty.fromJSON(JSON.parse(JSON.stringify(original)))
+
+    expect(restored.getCurrentLevel().id).toBe('intermediate-1')
+    expect(restored.toJSON()).toEqual(original.toJSON())
+  })
+
+  it('ignores unknown levels and caps restored history', () => {
+    const history = Array.from({ length: 60 }, (_, i) => makeSession({ finalWPM: i }))
+    const restored = AdaptiveDifficulty.fromJSON({ currentLevel: 'nope', history })
+
+    expect(restored.getCurrentLevel().id).toBe('beginner-1')
+    expect(restored.toJSON().history).toHaveLength(restored.MAX_HISTORY)
+    expect(restored.toJSON().history[0].finalWPM).toBe(10)
+  })
+
+  it('advances using sessions tagged with levelId rather than drillType', () => {
+    const difficulty = AdaptiveDifficulty.fromJSON({
+      currentLevel: 'beginner-1',
+      history: [30, 30, 30, 40, 40, 40].map(wpm => makeSession({ finalWPM: wpm }))
+    })
+
+    expect(difficulty.updateCurrentLevel().id).toBe('beginner-2')
+  })
+})
+
+describe('useAdaptiveDifficulty', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('loads saved level and history, then saves sessions and level changes', async () => {
+    const fetchMock = vi.fn(async (url, options = {}) => {
+      if (url === '/api/progress' && !options.method) return { currentLevel: 'beginner-1', updatedAt: 1 }
+      if (url === '/api/sessions' && !options.method) return [30, 30, 30, 40, 40].map(wpm => makeSession({ finalWPM: wpm }))
+      return options.body
+    })
+    vi.stubGlobal('$fetch', fetchMock)
+
+    const { load, addSession, updateCurrentLevel, currentLevel, isLoaded } = useAdaptiveDifficulty()
+    await load()
+
+    expect(isLoaded.value).toBe(true)
+    expect(currentLevel.value.id).toBe('beginner-1')
+
+    const session = makeSession({ finalWPM: 40 })
+    await addSession(session)
+    expect(fetchMock).toHaveBeenCalledWith('/api/sessions', { method: 'POST', body: session })
+
+    const level = await updateCurrentLevel()
+    expect(level.id).toBe('beginner-2')
+    expect(fetchMock).toHaveBeenCalledWith('/api/progress', { method: 'PUT', body: { currentLevel: 'beginner-2', strategy: 'threshold' } })
+  })
+
+  it('keeps a session recorded while the history is still loading', async () => {
+    /** @type {(sessions: Object[]) => void} */
+    let resolveSessions
+    const fetchMock = vi.fn(async (url, options = {}) => {
+      if (url === '/api/progress' && !options.method) return { currentLevel: 'beginner-1', updatedAt: 1 }
+      if (url === '/api/sessions' && !options.method) {
+        return new Promise((resolve) => {
+          resolveSessions = resolve
+        })
+      }
+      return options.body
+    })
+    vi.stubGlobal('$fetch', fetchMock)
+
+    const { load, addSession, updateCurrentLevel, difficulty } = useAdaptiveDifficulty()
+    const loading = load()
+    const saving = addSession(makeSession({ id: 'early', finalWPM: 40 }))
+    const updating = updateCurrentLevel()
+
+    resolveSessions([30, 30, 30, 40, 40].map((wpm, i) => makeSession({ id: `s${i}`, finalWPM: wpm })))
+    await loading
+    await saving
+
+    expect(difficulty.toJSON().history.map(s => s.id)).toEqual(['s0', 's1', 's2', 's3', 's4', 'early'])
+    expect((await updating).id).toBe('beginner-2')
+  })
+
+  it('reports a failed save through error until a later save succeeds', async () => {
+    let failSaves = true
+    vi.stubGlobal('$fetch', vi.fn(async (url, options = {}) => {
+      if (url === '/api/progress' && !options.method) return { currentLevel: 'beginner-1', updatedAt: 1 }
+      if (url === '/api/sessions' && !options.method) return []
+      if (failSaves && options.method === 'POST') throw new Error('disk full')
+      return options.body
+    }))
+
+    const { load, addSession, updateCurrentLevel, error } = useAdaptiveDifficulty()
+    await load()
+    expect(error.value).toBeNull()
+
+    expect(await addSession(makeSession())).toBeNull()
+    expect(error.value).toBe('Could not save the session: disk full')
+
+    await updateCurrentLevel()
+    expect(error.value).toBe('Could not save the session: disk full')
+
+    failSaves = false
+    await addSession(makeSession({ id: 'session_2' }))
+    expect(error.value).toBeNull()
+  })
+
+  it('switches to the saved strategy on load and saves a newly chosen one', async () => {
+    const fetchMock = vi.fn(async (url, options = {}) => {
+      if (url === '/api/progress' && !options.method) return { currentLevel: 'beginner-2', strategy: 'elo', updatedAt: 1 }
+      if (url === '/api/sessions' && !options.method) return []
+      return options.body
+    })
+    vi.stubGlobal('$fetch', fetchMock)
+
+    const strategy = ref('threshold')
+    const { load, difficulty } = useAdaptiveDifficulty({ strategy })
+    await load()
+    await nextTick()
+
+    expect(strategy.value).toBe('elo')
+    expect(difficulty.getStrategyId()).toBe('elo')
+    expect(fetchMock).not.toHaveBeenCalledWith('/api/progress', expect.objectContaining({ method: 'PUT' }))
+
+    strategy.value = 'threshold'
+    await nextTick()
+
+    expect(difficulty.getStrategyId()).toBe('threshold')
+    expect(fetchMock).toHaveBeenCalledWith('/api/progress', { method: 'PUT', body: { currentLevel: 'beginner-2', strategy: 'threshold' } })
+  })
+})
@@ -0,0 +1,108 @@
+/**
+ * @fileoverview Unit tests for the seeded code exercise generator
+ * Verifies snippets parse as JavaScript, follow the difficulty metrics and replay from their seed
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  generateSnippet,
+  generatedDrillPath,
+  kindsForLoad,
+  parseSeed,
+  randomSeed,
+  seededRandom
+} from '../../app/utils/codeGenerator.js'
+import { AdaptiveDifficulty, DIFFICULTY_LEVELS } from '../../app/utils/adaptiveDifficulty.js'
+
+const SEEDS = Array.from({ length: 40 }, (_, i) => i * 7919)
+
+/**
+ * Parse without running; `<script setup>` bodies rely on auto-imports, so no imports appear
+ * @param {string} code
+ */
+function parse(code) {
+  return new Function(code)
+}
+
+/**
+ * @param {string} code
+ * @returns {number} Punctuation and operator characters per character
+ */
+function symbolRatio(code) {
+  return (code.match(/[^\w\s]/g) ?? []).length / code.replace(/\s/g, '').length
+}
+
+describe('seeded randomness', () => {
+  it('repeats the same sequence for the same seed', () => {
+    const a = seededRandom(123)
+    const b = seededRandom(123)
+    const values = Array.from({ length: 5 }, () => a())
+
+    expect(values).toEqual(Array.from({ length: 5 }, () => b()))
+    expect(values.every(value => value >= 0 && value < 1)).toBe(true)
+    expect(seededRandom(124)()).not.toBe(values[0])
+  })
+
+  it('round-trips seeds through share links', () => {
+    const seed = randomSeed(() => 0.5)
+    expect(seed).toBe(2147483648)
+    expect(generatedDrillPath('expert-1', seed)).toBe('/typing?level=expert-1&seed=2147483648')
+    expect(parseSeed(String(seed))).toBe(seed)
+    expect(parseSeed('4294967296')).toBeNull()
+    expect(parseSeed('-1')).toBeNull()
+    expect(parseSeed(undefined)).toBeNull()
+  })
+})
+
+describe('generated snippets', () => {
+  const difficulty = new AdaptiveDifficulty()
+
+  it('parses as JavaScript at every level', () => {
+    for (const level of DIFFICULTY_LEVELS) {
+      for (const seed of SEEDS) {
+        const { code } = difficulty.generateExercise(level, seed)
+        expect(() => parse(code), code).not.toThrow()
+      }
+    }
+  })
+
+  it('replays exactly from the level and seed', () => {
+    const level = DIFFICULTY_LEVELS[5]
+    expect(difficulty.generateExercise(level, 99)).toEqual(difficulty.generateExercise(level, 99))
+    expect(new Set(SEEDS.map(seed => difficulty.generateExercise(level, seed).code)).size).toBeGreaterThan(30)
+  })
+
+  it('unlocks pipelines, Express handlers and Vue setup blocks with conceptual load', () => {
+    expect(kindsForLoad(1)).toEqual(['filter'])
+    expect(kindsForLoad(10)).toEqual(['filter', 'pipeline', 'express', 'vue'])
+
+    const kinds = new Set(SEEDS.map(seed => difficulty.generateExercise(DIFFICULTY_LEVELS.at(-1), seed).kind))
+    expect(kinds).toEqual(new Set(['filter', 'pipeline', 'express', 'vue']))
+
+    const handler = generateSnippet({ seed: 1, kind: 'express', metrics: DIFFICULTY_LEVELS.at(-1).metrics, vocabulary: ['fetch'] })
+    expect(handler.code).toMatch(/^app\.(get|post|put|delete)\('\/api\//)
+    expect(handler.code).toContain('} catch (error) {')
+
+    const setup = generateSnippet({ seed: 1, kind: 'vue', metrics: DIFFICULTY_LEVELS[4].metrics, vocabulary: ['fetch'] })
+    expect(setup.code).toContain('defineProps(')
+    expect(setup.code).toContain('onMounted(async () => {')
+  })
+
+  it('draws identifiers from the level vocabulary', () => {
+    const beginner = SEEDS.map(seed => difficulty.generateExercise(DIFFICULTY_LEVELS[0], seed).code).join('\n')
+    expect(beginner).toMatch(/^const (filter|find|some|every)\w+ = \w+\.(filter|find|some|every)\(/m)
+
+    const { code } = generateSnippet({ seed: 3, kind: 'pipeline', metrics: DIFFICULTY_LEVELS[3].metrics, vocabulary: ['serialization'] })
+    expect(code).toMatch(/^const serialization[A-Z]\w+ = /)
+  })
+
+  it('grows with text complexity and gets denser in symbols with keyboard density', () => {
+    const metrics = { textComplexity: 2, keyboardDensity: 1, conceptualLoad: 4, timeConstraint: 1 }
+    const total = (/** @type {Object} */ overrides, /** @type {(code: string) => number} */ measure) => SEEDS
+      .map(seed => measure(generateSnippet({ seed, kind: 'pipeline', vocabulary: ['fetch'], metrics: { ...metrics, ...overrides } }).code))
+      .reduce((sum, value) => sum + value, 0)
+
+    expect(total({ textComplexity: 10 }, code => code.length)).toBeGreaterThan(2 * total({}, code => code.length))
+    expect(total({ textComplexity: 8, keyboardDensity: 10 }, symbolRatio)).toBeGreaterThan(total({ textComplexity: 8 }, symbolRatio))
+  })
+})
@@ -0,0 +1,68 @@
+/**
+ * @fileoverview Unit tests for cookbook snippet lookup
+ * Verifies code blocks can be found again from the id in a "Practice typing" link
+ */
+
+import { describe, it, expect } from 'vitest'
+import { snippetId, findCodeBlocks, findSnippet, nextSnippet, monacoLanguage, toTypingText } from '../../app/utils/codeSnippet.js'
+
+const body = {
+  type: 'minimark',
+  value: [
+    ['h2', { id: 'drill' }, 'Drill'],
+    ['pre', { language: 'js', code: 'const a = 1\n' }, ['code', {}, 'const a = 1']],
+    ['div', {}, ['pre', { language: 'sql', code: 'SELECT 1;', filename: 'query.sql' }, ['code', {}, 'SELECT 1;']]]
+  ]
+}
+
+describe('snippetId', () => {
+  it('is stable and distinguishes different code', () => {
+    expect(snippetId('const a = 1\n')).toBe(snippetId('const a = 1\n'))
+    expect(snippetId('const a = 1\n')).not.toBe(snippetId('const a = 2\n'))
+    expect(snippetId('')).toMatch(/^[0-9a-f]{8}$/)
+  })
+})
+
+describe('findCodeBlocks', () => {
+  it('collects nested code blocks in document order', () => {
+    expect(findCodeBlocks(body).map(block => [block.language, block.filename])).toEqual([
+      ['js', undefined],
+      ['sql', 'query.sql']
+    ])
+  })
+
+  it('finds a snippet by id', () => {
+    expect(findSnippet(body, snippetId('SELECT 1;')).code).toBe('SELECT 1;')
+    expect(findSnippet(body, 'deadbeef')).toBeNull()
+  })
+
+  it('streams the following snippets in the same language for sprints', () => {
+    const page = {
+      type: 'minimark',
+      value: [
+        ['pre', { language: 'js', code: 'a()' }],
+        ['pre', { language: 'sql', code: 'SELECT 1;' }],
+        ['pre', { language: 'javascript', code: 'b()' }],
+        ['pre', { language: 'js', code: '  \n' }]
+      ]
+    }
+
+    expect(nextSnippet(page, snippetId('a()')).code).toBe('b()')
+    expect(nextSnippet(page, snippetId('b()')).code).toBe('a()')
+    expect(nextSnippet(page, snippetId('SELECT 1;')).code).toBe('SELECT 1;')
+    expect(nextSnippet(page, 'deadbeef')).toBeNull()
+  })
+})
+
+describe('typing text', () => {
+  it('maps fence languages onto Monaco languages', () => {
+    expect(monacoLanguage('js')).toBe('javascript')
+    expect(monacoLanguage('bash')).toBe('shell')
+    expect(monacoLanguage('')).toBe('plaintext')
+    expect(monacoLanguage('sql')).toBe('sql')
+  })
+
+  it('drops trailing whitespace that cannot be seen', () => {
+    expect(toTypingText('\nfoo({ \n  a: 1 \n})\n\n')).toBe('foo({\n  a: 1\n})')
+  })
+})
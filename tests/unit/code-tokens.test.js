@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Unit tests for language-aware tokenization
+ * Covers token classes per language, Vue SFC sections and token-level accuracy
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  normalizeTokenLanguage,
+  tokenize,
+  classifyText,
+  calculateTokenAccuracy,
+  describeWeakSpot
+} from '../../app/utils/codeTokens.js'
+
+/**
+ * @param {string} code
+ * @param {string} language
+ * @returns {string[]} `type:text` for every non-whitespace token
+ */
+function summarize(code, language) {
+  return tokenize(code, language)
+    .filter(token => token.type !== 'whitespace')
+    .map(token => `${token.type}:${token.text}`)
+}
+
+/**
+ * Type `code` with a wrong character at each listed offset
+ * @param {string} code
+ * @param {string} language
+ * @param {number[]} wrong - Offsets typed incorrectly
+ */
+function typeWithErrors(code, language, wrong) {
+  const classes = classifyText(code, language)
+  return code.split('').map((char, i) => ({
+    key: wrong.includes(i) ? '#' : char,
+    isCorrect: !wrong.includes(i),
+    token: classes[i]
+  }))
+}
+
+describe('normalizeTokenLanguage', () => {
+  it('resolves drill and Monaco aliases', () => {
+    expect(normalizeTokenLanguage('ts')).toBe('typescript')
+    expect(normalizeTokenLanguage('shell')).toBe('bash')
+    expect(normalizeTokenLanguage('html')).toBe('vue')
+    expect(normalizeTokenLanguage('SQL')).toBe('sql')
+    expect(normalizeTokenLanguage('gherkin')).toBe('text')
+    expect(normalizeTokenLanguage(undefined)).toBe('text')
+  })
+})
+
+describe('tokenize', () => {
+  it('separates keywords, identifiers, punctuation and literals in JavaScript', () => {
+    expect(summarize('const n = fn(\'a\', 2); // done', 'javascript')).toEqual([
+      'keyword:const', 'identifier:n', 'punctuation:=', 'identifier:fn', 'punctuation:(',
+      'string:\'a\'', 'punctuation:,', 'number:2', 'punctuation:)', 'punctuation:;', 'comment:// done'
+    ])
+  })
+
+  it('matches SQL keywords in any case', () => {
+    expect(summarize('select id From t -- all', 'sql')).toEqual([
+      'keyword:select', 'identifier:id', 'keyword:From', 'identifier:t', 'comment:-- all'
+    ])
+  })
+
+  it('knows TypeScript, Python, Bash and JSON keywords', () => {
+    expect(summarize('type Id = number', 'ts')[0]).toBe('keyword:type')
+    expect(summarize('def f(): pass  # x', 'python')).toEqual([
+      'keyword:def', 'identifier:f', 'punctuation:(', 'punctuation:)', 'punctuation::', 'keyword:pass', 'comment:# x'
+    ])
+    expect(summarize('if [ -f a ]; then echo "$a"; fi', 'bash').filter(t => t.startsWith('keyword'))).toEqual([
+      'keyword:if', 'keyword:then', 'keyword:echo', 'keyword:fi'
+    ])
+    expect(summarize('{"a": true}', 'json')).toEqual([
+      'punctuation:{', 'string:"a"', 'punctuation::', 'keyword:true', 'punctuation:}'
+    ])
+  })
+
+  it('records the keywords earlier on the line as context', () => {
+    const dot = tokenize('SELECT *\nFROM a JOIN b ON b.id = a.id', 'sql').find(token => token.text === '.')
+    expect(dot.context).toBe('JOIN ... ON')
+  })
+
+  it('splits a Vue SFC into template and script sections', () => {
+    const code = '<template>\n  <p>{{ msg }}</p>\n</template>\n\n<script setup lang="ts">\nconst msg: string = \'hi\'\n</script>'
+    const tokens = tokenize(code, 'vue')
+
+    expect(tokens.find(token => token.text === 'p')).toMatchObject({ type: 'keyword', section: 'template' })
+    expect(tokens.find(token => token.text === 'msg')).toMatchObject({ type: 'identifier', section: 'template' })
+    expect(tokens.find(token => token.text === 'string')).toMatchObject({ type: 'keyword', section: 'script' })
+    expect(tokens.find(token => token.text === '\n\n').section).toBeNull()
+  })
+})
+
+describe('classifyText', () => {
+  it('returns one token class per character', () => {
+    const classes = classifyText('let x', 'javascript')
+    expect(classes).toHaveLength(5)
+    expect(classes[0]).toEqual({ type: 'keyword' })
+    expect(classes[3]).toEqual({ type: 'whitespace' })
+    expect(classes[4]).toEqual({ type: 'identifier', context: 'let' })
+  })
+})
+
+describe('calculateTokenAccuracy', () => {
+  it('reports accuracy by token type and the weakest spots in context', () => {
+    const code = 'SELECT a FROM t JOIN u ON u.id = t.id'
+    const dots = [...code.matchAll(/\./g)].map(match => match.index)
+    const accuracy = calculateTokenAccuracy(typeWithErrors(code, 'sql', dots))
+
+    expect(accuracy.byType.keyword.accuracy).toBe(100)
+    expect(accuracy.byType.punctuation).toMatchObject({ correct: 1, total: 3 })
+    expect(accuracy.bySection).toEqual({})
+    expect(accuracy.weakSpots[0]).toMatchObject({ type: 'punctuation', context: 'JOIN ... ON', errors: 2, total: 3 })
+    expect(describeWeakSpot(accuracy.weakSpots[0])).toBe('You miss `JOIN ... ON` punctuation (2 of 3 wrong)')
+  })
+
+  it('reports template vs script accuracy for a Vue SFC', () => {
+    const code = '<template>\n  <b>{{ n }}</b>\n</template>\n<script setup>\nconst n = 1\n</script>'
+    const scriptStart = code.indexOf('const')
+    const accuracy = calculateTokenAccuracy(typeWithErrors(code, 'vue', [scriptStart, scriptStart + 1]))
+
+    expect(accuracy.bySection.template.accuracy).toBe(100)
+    expect(accuracy.bySection.script.accuracy).toBeLessThan(100)
+  })
+
+  it('ignores backspaces and keystrokes without a token class', () => {
+    const accuracy = calculateTokenAccuracy([
+      { key: 'Backspace', isCorrect: false, token: { type: 'keyword' } },
+      { key: 'a', isCorrect: false }
+    ])
+    expect(accuracy).toEqual({ byType: {}, bySection: {}, weakSpots: [] })
+  })
+})
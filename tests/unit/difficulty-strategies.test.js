@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Unit tests for swappable progression strategies
+ * Covers the strategy hooks of AdaptiveDifficulty and the Elo skill estimator
+ */
+
+import { describe, it, expect, vi } from 'vitest'
+import { AdaptiveDifficulty, DIFFICULTY_LEVELS } from '../../app/utils/adaptiveDifficulty.js'
+import {
+  EloStrategy,
+  DIFFICULTY_STRATEGIES,
+  levelRating,
+  successProbability,
+  sessionOutcome
+} from '../../app/utils/difficultyStrategies.js'
+import { snippetId } from '../../app/utils/codeSnippet.js'
+import { useAdaptiveDifficulty } from '../../app/composables/useAdaptiveDifficulty.js'
+import { makeSession, accuracyOf } from '../utils/session-fixtures.js'
+
+describe('AdaptiveDifficulty strategies', () => {
+  it('uses the threshold rules by default', () => {
+    const difficulty = new AdaptiveDifficulty()
+    expect(difficulty.getStrategyId()).toBe('threshold')
+    expect(difficulty.pickExercise([{ code: 'a' }])).toBeNull()
+  })
+
+  it('delegates level choice, session observation and resets to the strategy', () => {
+    const strategy = {
+      id: 'fixed',
+      nextLevel: vi.fn(() => DIFFICULTY_LEVELS[5]),
+      observe: vi.fn(),
+      reset: vi.fn()
+    }
+    const difficulty = AdaptiveDifficulty.fromJSON({ history: [makeSession({ finalWPM: 40, accuracy: accuracyOf(98) })] }, { strategy })
+
+    expect(strategy.reset).toHaveBeenCalledOnce()
+    expect(strategy.observe).toHaveBeenCalledOnce()
+    expect(difficulty.updateCurrentLevel().id).toBe('advanced-2')
+    expect(strategy.nextLevel).toHaveBeenCalledWith(difficulty)
+  })
+
+  it('replays the history into a strategy switched in later', () => {
+    const difficulty = AdaptiveDifficulty.fromJSON({
+      history: [makeSession({ finalWPM: 40, accuracy: accuracyOf(98) }), makeSession({ finalWPM: 45, accuracy: accuracyOf(98) })]
+    })
+    const strategy = { id: 'fixed', nextLevel: vi.fn(() => DIFFICULTY_LEVELS[5]), observe: vi.fn() }
+    difficulty.setStrategy(strategy)
+
+    expect(difficulty.getStrategyId()).toBe('fixed')
+    expect(strategy.observe).toHaveBeenCalledTimes(2)
+    expect(difficulty.updateCurrentLevel().id).toBe('advanced-2')
+  })
+
+  it('creates strategies by id in the composable', () => {
+    expect(useAdaptiveDifficulty().difficulty.getStrategyId()).toBe('threshold')
+    expect(useAdaptiveDifficulty({ strategy: 'elo' }).difficulty.getStrategyId()).toBe('elo')
+    expect(Object.keys(DIFFICULTY_STRATEGIES)).toEqual(['threshold', 'elo'])
+  })
+})
+
+describe('Elo skill estimation', () => {
+  it('rates levels from their metrics and scores sessions against level targets', () => {
+    expect(levelRating(DIFFICULTY_LEVELS[0])).toBe(800)
+    expect(levelRating(DIFFICULTY_LEVELS.at(-1))).toBe(1600)
+    expect(successProbability(1000, 1000)).toBe(0.5)
+    expect(sessionOutcome(makeSession({ finalWPM: 35, accuracy: accuracyOf(97) }), DIFFICULTY_LEVELS[0])).toBe(1)
+    expect(sessionOutcome(makeSession({ finalWPM: 17.5, accuracy: accuracyOf(92) }), DIFFICULTY_LEVELS[0])).toBe(0.5)
+    expect(sessionOutcome(makeSession({ finalWPM: 0, accuracy: accuracyOf(80) }), DIFFICULTY_LEVELS[0])).toBe(0)
+  })
+
+  it('starts a typist at the target success probability for their first level', () => {
+    const strategy = new EloStrategy({ targetSuccess: 0.7 })
+    expect(successProbability(strategy.skillFor(800), 800)).toBeCloseTo(0.7)
+  })
+
+  it('raises skill and lowers the exercise rating after a session beats expectations', () => {
+    const strategy = new EloStrategy()
+    strategy.observe(makeSession({ finalWPM: 40, accuracy: accuracyOf(99), exerciseId: 'abc' }))
+
+    expect(strategy.skill).toBeGreaterThan(strategy.skillFor(800))
+    expect(strategy.exerciseRating('abc', DIFFICULTY_LEVELS[0])).toBeLessThan(800)
+  })
+
+  it('moves one level at a time towards the target success probability', () => {
+    const difficulty = new AdaptiveDifficulty('beginner-1', { strategy: new EloStrategy() })
+    expect(difficulty.calculateNextDifficulty().id).toBe('beginner-1')
+
+    for (let i = 0; i < 20; i++) difficulty.addSession(makeSession({ finalWPM: 60, accuracy: accuracyOf(100) }))
+    expect(difficulty.updateCurrentLevel().id).toBe('beginner-2')
+    expect(difficulty.updateCurrentLevel().id).toBe('beginner-2')
+
+    // Rated at advanced-1 from the start, but still climbs a level per update
+    const fast = new AdaptiveDifficulty('beginner-1', { strategy: new EloStrategy() })
+    fast.addSession(makeSession({ finalWPM: 60, accuracy: accuracyOf(93), levelId: 'advanced-1' }))
+    expect(fast.updateCurrentLevel().id).toBe('beginner-2')
+
+    const struggling = new AdaptiveDifficulty('intermediate-1', { strategy: new EloStrategy() })
+    for (let i = 0; i < 10; i++) struggling.addSession(makeSession({ finalWPM: 10, accuracy: accuracyOf(80), levelId: 'intermediate-1' }))
+    expect(struggling.updateCurrentLevel().id).toBe('beginner-2')
+  })
+
+  it('picks the exercise closest to the target success probability', () => {
+    const strategy = new EloStrategy({ targetSuccess: 0.7 })
+    strategy.skill = strategy.skillFor(800)
+    strategy.exerciseRatings.set(snippetId('easy()'), 600)
+    strategy.exerciseRatings.set(snippetId('hard()'), 1000)
+    const difficulty = new AdaptiveDifficulty('beginner-1', { strategy })
+
+    const exercises = [{ code: 'easy()' }, { code: 'hard()' }, { code: 'matched()', levelId: 'beginner-1' }]
+    expect(difficulty.pickExercise(exercises)).toBe(exercises[2])
+    expect(difficulty.pickExercise(exercises.slice(0, 2))).toBe(exercises[0])
+  })
+
+  it('rebuilds the same ratings when history is restored', () => {
+    const history = [
+      makeSession({ finalWPM: 30, accuracy: accuracyOf(96) }),
+      makeSession({ finalWPM: 38, accuracy: accuracyOf(99) }),
+      makeSession({ finalWPM: 20, accuracy: accuracyOf(90) })
+    ]
+    const first = AdaptiveDifficulty.fromJSON({ history }, { strategy: new EloStrategy() })
+    const strategy = new EloStrategy()
+    const second = new AdaptiveDifficulty('beginner-1', { strategy })
+    second.addSession(makeSession({ finalWPM: 60, accuracy: accuracyOf(100) }))
+    second.restore({ history })
+
+    expect(strategy.skill).toBe(first.strategy.skill)
+  })
+})
@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Unit tests for cookbook drill extraction
+ * Verifies tagged code blocks become typeable exercises and untagged blocks are ignored
+ */
+
+import { describe, it, expect, vi } from 'vitest'
+import { readFileSync } from 'fs'
+import { resolve } from 'path'
+import { extractDrills, parseDrillAttributes, categoryFromSource, pageRoute } from '../../app/utils/drillExtractor.js'
+import { sortDrills } from '../../app/composables/useDrills.js'
+import { DIFFICULTY_LEVELS } from '../../app/utils/adaptiveDifficulty.js'
+
+const page = [
+  '## Drill 1: Warm Up (3 minutes)',
+  '',
+  '```javascript drill level=intermediate-2 title="Status Filter"',
+  'const open = items.filter(x => x.status === \'open\');   ',
+  '```',
+  '',
+  '```javascript',
+  'console.log(\'not a drill\')',
+  '```',
+  '',
+  '## Drill 2: Names',
+  '',
+  '``` drill',
+  'parseQuery',
+  '```',
+  '',
+  '```text drill level=advanced-1 category=api',
+  'first',
+  '```',
+  '',
+  '```text drill level=advanced-1 category=api',
+  'second',
+  '```'
+].join('\n')
+
+describe('extractDrills', () => {
+  const drills = extractDrills(page, { source: '/cookbook/2_backend/3_typing-drills' })
+
+  it('extracts only drill-tagged blocks in page order', () => {
+    expect(drills.map(d => d.code)).toEqual([
+      'const open = items.filter(x => x.status === \'open\');',
+      'parseQuery',
+      'first',
+      'second'
+    ])
+  })
+
+  it('reads attributes and derives difficulty from the level', () => {
+    expect(drills[0]).toEqual({
+      title: 'Status Filter',
+      difficulty: 'medium',
+      language: 'javascript',
+      category: 'backend',
+      levelId: 'intermediate-2',
+      code: 'const open = items.filter(x => x.status === \'open\');',
+      source: '/cookbook/2_backend/3_typing-drills'
+    })
+  })
+
+  it('falls back to the section heading, text language and the level analyzed from the code', () => {
+    expect(drills[1]).toMatchObject({ title: 'Names', language: 'text', levelId: 'beginner-1', difficulty: 'easy' })
+  })
+
+  it('numbers repeated titles within a page', () => {
+    expect(drills.slice(2).map(d => [d.title, d.category])).toEqual([['Names (2)', 'api'], ['Names (3)', 'api']])
+  })
+
+  it('falls back from a mistyped level or difficulty and warns about it', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const [drill] = extractDrills(['```text drill level=beginer-1 difficulty=eazy', 'parseQuery', '```'].join('\n'), { source: '/cookbook/2_backend/3_typing-drills' })
+
+    expect(drill).toMatchObject({ levelId: 'beginner-1', difficulty: 'easy' })
+    expect(warn).toHaveBeenCalledTimes(2)
+    expect(warn.mock.calls[0][0]).toContain('beginer-1')
+    warn.mockRestore()
+  })
+})
+
+describe('drill attributes', () => {
+  it('parses bare and quoted values', () => {
+    expect(parseDrillAttributes('level=expert-1 title="Cache Integration"')).toEqual({
+      level: 'expert-1',
+      title: 'Cache Integration'
+    })
+  })
+
+  it('derives the category from the cookbook section', () => {
+    expect(categoryFromSource('/cookbook/3_frontend/3_typing-drills')).toBe('frontend')
+  })
+
+  it('routes pages the way Nuxt Content does', () => {
+    expect(pageRoute('cookbook/2_backend/3_typing-drills.md')).toBe('/cookbook/2_backend/3_typing-drills')
+    expect(pageRoute('cookbook/5_architecture/1.cloud/index')).toBe('/cookbook/5_architecture/cloud')
+    expect(pageRoute('cookbook/Release Notes/1.2.0')).toBe('/cookbook/release-notes/1.2.0')
+  })
+})
+
+describe('cookbook typing drill pages', () => {
+  const levelIds = DIFFICULTY_LEVELS.map(level => level.id)
+
+  it.each(['2_backend', '3_frontend'])('%s drills are tagged with valid levels', (section) => {
+    const markdown = readFileSync(resolve(process.cwd(), `content/cookbook/${section}/3_typing-drills.md`), 'utf8')
+    const drills = extractDrills(markdown, { source: `/cookbook/${section}/3_typing-drills` })
+
+    expect(drills.length).toBeGreaterThanOrEqual(5)
+    drills.forEach((drill) => {
+      expect(levelIds).toContain(drill.levelId)
+      expect(drill.code.trim()).not.toBe('')
+    })
+  })
+
+  it('sorts drills from easiest level to hardest', () => {
+    const sorted = sortDrills([
+      { id: 'b', levelId: 'expert-1' },
+      { id: 'a', levelId: 'beginner-2' },
+      { id: 'c', levelId: 'beginner-2' }
+    ])
+
+    expect(sorted.map(d => d.id)).toEqual(['a', 'c', 'b'])
+  })
+})
@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Unit tests for the ghost racer
+ * Covers picking the personal best, the ghost timeline, the ahead/behind delta and the race composable
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import {
+  buildGhostTimeline,
+  pickGhostSession,
+  ghostLengthAt,
+  raceDelta,
+  formatRaceDelta
+} from '../../app/utils/ghostRace.js'
+import { useGhostRace } from '../../app/composables/useGhostRace.js'
+import { snippetId } from '../../app/utils/codeSnippet.js'
+import { makeSession, makeKeystrokes } from '../utils/session-fixtures.js'
+
+const target = 'abc'
+
+describe('ghost timeline', () => {
+  it('tracks the typed length after every keystroke, backspaces included', () => {
+    const timeline = buildGhostTimeline(makeSession({ id: 's', keystrokes: makeKeystrokes(['a', 'x', 'Backspace', 'b']) }))
+
+    expect(timeline).toEqual([
+      { offset: 100, length: 1 },
+      { offset: 200, length: 2 },
+      { offset: 300, length: 1 },
+      { offset: 400, length: 2 }
+    ])
+    expect(ghostLengthAt(timeline, 50)).toBe(0)
+    expect(ghostLengthAt(timeline, 250)).toBe(2)
+    expect(ghostLengthAt(timeline, 9999)).toBe(2)
+  })
+})
+
+describe('pickGhostSession', () => {
+  it('picks the fastest session that finished the exercise', () => {
+    const slow = makeSession({ id: 'slow', keystrokes: makeKeystrokes('abc', { interval: 300 }) })
+    const fast = makeSession({ id: 'fast', keystrokes: makeKeystrokes('abc') })
+    const unfinished = makeSession({ id: 'unfinished', keystrokes: makeKeystrokes('a', { interval: 10 }) })
+    const sprint = makeSession({ id: 'sprint', keystrokes: makeKeystrokes('abcde', { interval: 10 }) })
+
+    expect(pickGhostSession([slow, unfinished, fast, sprint], target).id).toBe('fast')
+    expect(pickGhostSession([unfinished, { id: 'empty', keystrokes: [] }], target)).toBeNull()
+  })
+})
+
+describe('raceDelta', () => {
+  const timeline = buildGhostTimeline(makeSession({ id: 'best', keystrokes: makeKeystrokes('abc', { interval: 200 }) }))
+
+  it('is positive when the user reached their position before the ghost did', () => {
+    // Ghost reaches length 2 at 400ms
+    expect(raceDelta(timeline, 2, 300)).toBe(100)
+    expect(formatRaceDelta(raceDelta(timeline, 2, 300))).toBe('+0.1s')
+  })
+
+  it('is negative when the ghost got there first', () => {
+    expect(raceDelta(timeline, 1, 700)).toBe(-500)
+    expect(formatRaceDelta(-500)).toBe('-0.5s')
+  })
+
+  it('only falls behind before the first keystroke once the ghost has typed', () => {
+    expect(raceDelta(timeline, 0, 100)).toBe(0)
+    expect(raceDelta(timeline, 0, 500)).toBe(-300)
+    expect(raceDelta([], 2, 500)).toBe(0)
+  })
+})
+
+describe('useGhostRace', () => {
+  let typed = 0
+
+  beforeEach(() => {
+    typed = 0
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'Date'] })
+    vi.stubGlobal('$fetch', vi.fn(async () => [
+      makeSession({ id: 'slow', keystrokes: makeKeystrokes('abc', { interval: 400 }) }),
+      makeSession({ id: 'best', keystrokes: makeKeystrokes('abc', { interval: 200 }) })
+    ]))
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+    vi.unstubAllGlobals()
+  })
+
+  it('loads the personal best for the exercise and races it', async () => {
+    const race = useGhostRace({ typedLength: () => typed })
+    await race.load(target)
+
+    expect($fetch).toHaveBeenCalledWith('/api/sessions', { query: { exerciseId: snippetId(target), limit: 50 } })
+    expect(race.ghostSession.value.id).toBe('best')
+
+    race.start()
+    typed = 1
+    vi.advanceTimersByTime(100)
+    expect(race.ghostLength.value).toBe(0)
+    expect(race.delta.value).toBe(100)
+
+    vi.advanceTimersByTime(400)
+    expect(race.ghostLength.value).toBe(2)
+    expect(race.delta.value).toBe(-300)
+
+    race.stop()
+    vi.advanceTimersByTime(1000)
+    expect(race.isRacing.value).toBe(false)
+    expect(race.ghostLength.value).toBe(2)
+  })
+
+  it('does not start without a previous session', async () => {
+    $fetch.mockResolvedValueOnce([])
+    const race = useGhostRace({ typedLength: () => typed })
+    await race.load(target)
+
+    race.start()
+    expect(race.isRacing.value).toBe(false)
+  })
+
+  it('keeps the faster of the current ghost and a newly finished session', async () => {
+    const race = useGhostRace({ typedLength: () => typed })
+    await race.load(target)
+
+    race.offer(makeSession({ id: 'slower', keystrokes: makeKeystrokes('abc', { interval: 300 }) }))
+    expect(race.ghostSession.value.id).toBe('best')
+
+    race.offer(makeSession({ id: 'new-best', keystrokes: makeKeystrokes('abc', { interval: 50 }) }))
+    expect(race.ghostSession.value.id).toBe('new-best')
+  })
+})
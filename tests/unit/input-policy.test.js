@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Unit tests for typing input policies
+ * Covers strict, forgiving and stop-on-word-error limits plus indentation skipping
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  INPUT_POLICIES,
+  firstErrorIndex,
+  inputLimit,
+  pendingIndent,
+  applyInputPolicy
+} from '../../app/utils/inputPolicy.js'
+
+const target = 'const value = 1;\nif (value) {\n  return value;\n}'
+
+describe('input policies', () => {
+  it('lists every policy', () => {
+    expect(INPUT_POLICIES.map(p => p.value)).toEqual(['forgiving', 'strict', 'word'])
+  })
+
+  it('finds the first error', () => {
+    expect(firstErrorIndex(target, 'const')).toBe(-1)
+    expect(firstErrorIndex(target, 'cobst')).toBe(2)
+  })
+
+  it('never accepts input beyond the target', () => {
+    INPUT_POLICIES.forEach(({ value: policy }) => {
+      expect(applyInputPolicy('abc', 'abc', 'abcd', { policy }).value).toBe('abc')
+    })
+  })
+
+  it('keeps typing past errors when forgiving', () => {
+    expect(applyInputPolicy(target, 'cox', 'coxs', { policy: 'forgiving' }).value).toBe('coxs')
+  })
+
+  it('blocks the next character after an error when strict', () => {
+    expect(inputLimit(target, 'cox', 'strict')).toBe(3)
+    expect(applyInputPolicy(target, 'cox', 'coxs', { policy: 'strict' }).value).toBe('cox')
+    expect(applyInputPolicy(target, 'cox', 'co', { policy: 'strict' }).value).toBe('co')
+  })
+
+  it('stops at the end of a word with an error', () => {
+    expect(applyInputPolicy(target, 'coxs', 'coxst', { policy: 'word' }).value).toBe('coxst')
+    expect(applyInputPolicy(target, 'coxst', 'coxst ', { policy: 'word' }).value).toBe('coxst')
+
+    // A wrong character where whitespace was expected ends the word
+    expect(inputLimit(target, 'constx', 'word')).toBe(6)
+  })
+
+  it('fills in indentation after a correct newline', () => {
+    const typed = 'const value = 1;\nif (value) {\n'
+    expect(pendingIndent(target, typed)).toBe('  ')
+    expect(applyInputPolicy(target, typed.slice(0, -1), typed, { skipIndent: true })).toEqual({ value: `${typed}  `, skipped: 2 })
+    expect(applyInputPolicy(target, typed.slice(0, -1), typed).skipped).toBe(0)
+  })
+
+  it('lets indentation be deleted back to the newline', () => {
+    const typed = 'const value = 1;\nif (value) {\n'
+    expect(applyInputPolicy(target, `${typed} `, typed, { skipIndent: true })).toEqual({ value: typed, skipped: 0 })
+  })
+})
@@ -0,0 +1,151 @@
+/**
+ * @fileoverview Unit tests for keystroke replay timelines and playback
+ * Covers frame reconstruction, multi-exercise sessions, seeking, speed and pause-on-error
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { nextTick } from 'vue'
+import {
+  buildReplayFrames,
+  replayStateAt,
+  frameCountAt,
+  findErrorFrame
+} from '../../app/utils/keystrokeReplay.js'
+import { useKeystrokeReplay } from '../../app/composables/useKeystrokeReplay.js'
+import { useTypingMetrics } from '../../app/composables/useTypingMetrics.js'
+
+/**
+ * @param {number} timestamp
+ * @param {string} key
+ * @param {string} expected
+ * @returns {Object}
+ */
+function stroke(timestamp, key, expected) {
+  return { timestamp, key, expected, isCorrect: key === expected, timeDelta: 100, position: { line: 1, column: 1 } }
+}
+
+// Types "ab", mistypes "x" for "c", corrects it, then types "c"
+const keystrokes = [
+  stroke(1000, 'a', 'a'),
+  stroke(1100, 'b', 'b'),
+  stroke(1300, 'x', 'c'),
+  stroke(1600, 'Backspace', ''),
+  stroke(1800, 'c', 'c')
+]
+
+const session = { id: 's1', startTime: 1000, keystrokes }
+
+describe('replay frames', () => {
+  it('classifies keystrokes and offsets them from the session start', () => {
+    const frames = buildReplayFrames(keystrokes, 1000)
+
+    expect(frames.map(f => f.kind)).toEqual(['correct', 'correct', 'error', 'backspace', 'correct'])
+    expect(frames.map(f => f.offset)).toEqual([0, 100, 300, 600, 800])
+  })
+
+  it('reconstructs text and correctness at any frame', () => {
+    const frames = buildReplayFrames(keystrokes, 1000)
+
+    expect(replayStateAt(frames, 3)).toEqual({ text: 'abx', correct: [true, true, false] })
+    expect(replayStateAt(frames, 4).text).toBe('ab')
+    expect(replayStateAt(frames, 5).text).toBe('abc')
+  })
+
+  it('finds frame counts by offset and the next error frame', () => {
+    const frames = buildReplayFrames(keystrokes, 1000)
+
+    expect(frameCountAt(frames, 0)).toBe(1)
+    expect(frameCountAt(frames, 299)).toBe(2)
+    expect(frameCountAt(frames, 10000)).toBe(5)
+    expect(findErrorFrame(frames, 0, 5)).toBe(2)
+    expect(findErrorFrame(frames, 3, 5)).toBe(-1)
+  })
+})
+
+describe('replaying a sprint session', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'Date'] })
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('shows filled-in indentation and starts each exercise from an empty text', () => {
+    const typing = useTypingMetrics()
+    /** @param {string} text */
+    const type = text => [...text].forEach((char) => {
+      vi.advanceTimersByTime(100)
+      typing.recordKeystroke(char, char, { line: 1, column: 1 })
+    })
+
+    typing.startSession('javascript', 60, 'beginner-1')
+    type('{\n')
+    typing.recordInserted('  ')
+    type('a}')
+    typing.startNextExercise()
+    type('b;')
+    const sprint = typing.endSession()
+
+    const frames = buildReplayFrames(sprint.keystrokes, sprint.startTime)
+    expect(sprint.keystrokes.map(k => k.key).join('')).toBe('{\na}b;')
+    expect(replayStateAt(frames, 2)).toEqual({ text: '{\n  ', correct: [true, true, true, true] })
+    expect(replayStateAt(frames, 4).text).toBe('{\n  a}')
+    expect(replayStateAt(frames, 5).text).toBe('b')
+    expect(replayStateAt(frames, 6).text).toBe('b;')
+  })
+})
+
+describe('useKeystrokeReplay', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'Date'] })
+    vi.setSystemTime(0)
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('seeks to a position and exposes the replayed text', () => {
+    const replay = useKeystrokeReplay(session)
+
+    replay.seek(350)
+    expect(replay.text.value).toBe('abx')
+    expect(replay.correct.value).toEqual([true, true, false])
+
+    replay.seek(99999)
+    expect(replay.position.value).toBe(800)
+    expect(replay.text.value).toBe('abc')
+  })
+
+  it('plays back faster at higher speeds and stops at the end', async () => {
+    const replay = useKeystrokeReplay(session)
+    replay.setSpeed(4)
+    replay.play()
+
+    // Seven 16ms ticks at 4x cover 448ms of the recording
+    vi.advanceTimersByTime(112)
+    await nextTick()
+    expect(replay.position.value).toBe(448)
+    expect(replay.text.value).toBe('abx')
+
+    vi.advanceTimersByTime(200)
+    expect(replay.isPlaying.value).toBe(false)
+    expect(replay.text.value).toBe('abc')
+  })
+
+  it('pauses on the first error when pause-on-error is enabled', () => {
+    const replay = useKeystrokeReplay(session)
+    replay.pauseOnError.value = true
+    replay.play()
+
+    vi.advanceTimersByTime(1000)
+    expect(replay.isPlaying.value).toBe(false)
+    expect(replay.position.value).toBe(300)
+    expect(replay.text.value).toBe('abx')
+
+    replay.play()
+    vi.advanceTimersByTime(1000)
+    expect(replay.text.value).toBe('abc')
+  })
+})
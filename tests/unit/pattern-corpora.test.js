@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Unit tests for the advanced and expert pattern corpora
+ * Verifies every higher level has real code patterns and that synthesized exercises vary
+ */
+
+import { existsSync } from 'node:fs'
+import { describe, it, expect } from 'vitest'
+import { AdaptiveDifficulty, DIFFICULTY_LEVELS, PATTERN_CORPORA } from '../../app/utils/adaptiveDifficulty.js'
+
+/**
+ * Deterministic stand-in for Math.random
+ * @param {number} seed
+ * @returns {() => number}
+ */
+function sequence(seed) {
+  let state = seed
+  return () => {
+    state = (state * 16807) % 2147483647
+    return state / 2147483647
+  }
+}
+
+const HIGHER_LEVELS = ['advanced-1', 'advanced-2', 'expert-1', 'expert-2']
+
+describe('pattern corpora', () => {
+  it('has a corpus for each advanced and expert level, drawn from cookbook recipes', () => {
+    for (const levelId of HIGHER_LEVELS) {
+      const corpus = PATTERN_CORPORA[levelId]
+      expect(corpus.name).toBe(DIFFICULTY_LEVELS.find(level => level.id === levelId).name)
+      expect(corpus.patterns.length).toBeGreaterThanOrEqual(10)
+      for (const source of corpus.sources) {
+        expect(existsSync(`content${source}.md`)).toBe(true)
+      }
+    }
+  })
+
+  it('returns corpus patterns instead of a placeholder for higher levels', () => {
+    const difficulty = new AdaptiveDifficulty()
+    for (const levelId of HIGHER_LEVELS) {
+      const level = DIFFICULTY_LEVELS.find(l => l.id === levelId)
+      const text = difficulty.generateAdaptiveText(level, undefined, sequence(7))
+      expect(text).not.toContain('// Advanced patterns')
+      expect(PATTERN_CORPORA[levelId].patterns.some(pattern => text.includes(pattern))).toBe(true)
+    }
+  })
+})
+
+describe('synthesized exercises', () => {
+  const level = DIFFICULTY_LEVELS.find(l => l.id === 'advanced-1')
+
+  it('varies the patterns picked but repeats for the same random sequence', () => {
+    const difficulty = new AdaptiveDifficulty()
+    const texts = new Set([1, 2, 3, 4, 5].map(seed => difficulty.generateAdaptiveText(level, undefined, sequence(seed))))
+
+    expect(texts.size).toBeGreaterThan(1)
+    expect(difficulty.generateAdaptiveText(level, undefined, sequence(3)))
+      .toBe(difficulty.generateAdaptiveText(level, undefined, sequence(3)))
+  })
+
+  it('keeps code blocks within three lines per point of text complexity', () => {
+    const difficulty = new AdaptiveDifficulty()
+    const text = difficulty.generateAdaptiveText(level, undefined, sequence(11))
+    const [code] = text.split('\n\nmiddleware')
+    const blocks = PATTERN_CORPORA['advanced-1'].patterns.filter(pattern => code.includes(pattern))
+
+    expect(blocks.length).toBeGreaterThan(1)
+    expect(blocks.reduce((lines, block) => lines + block.split('\n').length, 0))
+      .toBeLessThanOrEqual(level.metrics.textComplexity * 3)
+  })
+
+  it('still draws beginner exercises from the built-in word lists', () => {
+    const difficulty = new AdaptiveDifficulty()
+    const [first] = difficulty.generateAdaptiveText(DIFFICULTY_LEVELS[1], undefined, sequence(5)).split('\n')
+    expect(['const', 'let', 'var', 'function', 'return', 'if', 'else', 'for', 'while', 'true', 'false', 'null', 'undefined'])
+      .toContain(first)
+  })
+})
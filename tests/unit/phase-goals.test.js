@@ -0,0 +1,156 @@
+/**
+ * @fileoverview Unit tests for phase goal tracking
+ * Covers duration parsing, practice streaks, rolling goal evaluation, the goals header and the
+ * history it shares with the review queue
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { mount } from '@vue/test-utils'
+import {
+  parseDuration,
+  practiceStreak,
+  evaluatePhaseGoals,
+  evaluateGoals,
+  ROLLING_WINDOW
+} from '../../app/utils/phaseGoals.js'
+import { PROGRESSION_PHASES } from '../../app/utils/adaptiveDifficulty.js'
+import PhaseGoalsHeader from '../../app/components/PhaseGoalsHeader.vue'
+import { useRecentSessions } from '../../app/composables/useRecentSessions.js'
+import { usePhaseGoals } from '../../app/composables/usePhaseGoals.js'
+import { useReviewQueue } from '../../app/composables/useReviewQueue.js'
+import { makeSession, sessionSpan } from '../utils/session-fixtures.js'
+
+const at = (/** @type {string} */ local) => new Date(local).getTime()
+
+describe('phase durations', () => {
+  it('parses week and day ranges', () => {
+    expect(parseDuration('1-2 weeks')).toEqual({ minDays: 7, maxDays: 14 })
+    expect(parseDuration('3 weeks')).toEqual({ minDays: 21, maxDays: 21 })
+    expect(parseDuration('5-10 days')).toEqual({ minDays: 5, maxDays: 10 })
+    expect(parseDuration('soon')).toEqual({ minDays: 7, maxDays: 14 })
+  })
+})
+
+describe('practice streaks', () => {
+  it('counts consecutive local days up to today', () => {
+    const sessions = ['2025-03-01T09:00', '2025-03-02T23:30', '2025-03-03T08:00', '2025-03-03T20:00']
+      .map(start => makeSession(sessionSpan(start)))
+
+    expect(practiceStreak(sessions, at('2025-03-03T21:00'))).toEqual({ current: 3, longest: 3, practicedToday: true })
+  })
+
+  it('keeps the streak until a full day is missed', () => {
+    const sessions = ['2025-02-20T09:00', '2025-02-21T09:00', '2025-02-22T09:00', '2025-03-01T09:00', '2025-03-02T09:00']
+      .map(start => makeSession(sessionSpan(start)))
+
+    expect(practiceStreak(sessions, at('2025-03-03T07:00'))).toEqual({ current: 2, longest: 3, practicedToday: false })
+    expect(practiceStreak(sessions, at('2025-03-04T07:00')).current).toBe(0)
+    expect(practiceStreak([], at('2025-03-04T07:00'))).toEqual({ current: 0, longest: 0, practicedToday: false })
+  })
+})
+
+describe('phase goals', () => {
+  const foundation = PROGRESSION_PHASES[0]
+
+  it('needs enough sessions before a phase completes', () => {
+    const sessions = [makeSession(sessionSpan('2025-03-01T09:00')), makeSession(sessionSpan('2025-03-01T10:00'))]
+    const progress = evaluatePhaseGoals(sessions, foundation, at('2025-03-01T12:00'))
+
+    expect(progress.met).toEqual({ wpm: true, accuracy: true })
+    expect(progress.complete).toBe(false)
+  })
+
+  it('completes on the first rolling window that meets both goals and stays complete', () => {
+    const sessions = [
+      makeSession({ ...sessionSpan('2025-03-01T09:00'), finalWPM: 30 }),
+      makeSession({ ...sessionSpan('2025-03-02T09:00'), finalWPM: 50 }),
+      makeSession({ ...sessionSpan('2025-03-03T09:00'), finalWPM: 50 }),
+      makeSession({ ...sessionSpan('2025-03-04T09:00'), finalWPM: 60 }),
+      ...Array.from({ length: ROLLING_WINDOW }, (_, i) => makeSession({ ...sessionSpan(`2025-03-05T1${i % 10}:00`), finalWPM: 20 }))
+    ]
+    const progress = evaluatePhaseGoals(sessions, foundation, at('2025-03-05T20:00'))
+
+    expect(progress.completedAt).toBe(at('2025-03-04T09:00'))
+    expect(progress.complete).toBe(true)
+    expect(progress.wpm).toBe(20)
+    expect(progress.met.wpm).toBe(false)
+  })
+
+  it('tracks days against the expected duration from the first session in the phase', () => {
+    const sessions = [
+      makeSession({ ...sessionSpan('2025-03-01T09:00'), levelId: 'intermediate-1' }),
+      makeSession(sessionSpan('2025-02-01T09:00')),
+      makeSession({ ...sessionSpan('2025-03-10T09:00'), levelId: 'intermediate-2' })
+    ]
+    const progress = evaluatePhaseGoals(sessions, PROGRESSION_PHASES[1], at('2025-03-10T12:00'))
+
+    expect(progress.sessions).toBe(2)
+    expect(progress.startedAt).toBe(at('2025-03-01T09:00'))
+    expect(progress.daysElapsed).toBe(10)
+    expect(progress.daysRemaining).toBe(progress.expectedDays.maxDays - 10)
+  })
+
+  it('summarises the current level\'s phase, every phase and the streak', () => {
+    const summary = evaluateGoals([makeSession(sessionSpan('2025-03-01T09:00'))], 'advanced-2', at('2025-03-01T12:00'))
+
+    expect(summary.current.phase).toBe(PROGRESSION_PHASES[2])
+    expect(summary.current.sessions).toBe(0)
+    expect(summary.current.daysRemaining).toBeNull()
+    expect(summary.phases).toHaveLength(PROGRESSION_PHASES.length)
+    expect(summary.streak.current).toBe(1)
+  })
+})
+
+describe('goals header', () => {
+  it('shows the phase schedule, goals and streak', () => {
+    const sessions = ['2025-03-01T09:00', '2025-03-02T09:00', '2025-03-03T09:00'].map(start => makeSession(sessionSpan(start)))
+    const wrapper = mount(PhaseGoalsHeader, {
+      props: { goals: evaluateGoals(sessions, 'beginner-2', at('2025-03-03T12:00')) }
+    })
+
+    const text = wrapper.text()
+    expect(text).toContain(`Phase 1: ${PROGRESSION_PHASES[0].name}`)
+    expect(text).toContain('✓ Complete')
+    expect(text).toContain('Day 3 of 7-14 · 11 days left')
+    expect(text).toContain('3-day streak')
+  })
+})
+
+describe('shared recent history', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('loads once for both the goals and the review queue', async () => {
+    const fetchMock = vi.fn(async () => [makeSession({ ...sessionSpan('2025-03-01T09:00'), errorPatterns: { 'a->s': 2 } })])
+    vi.stubGlobal('$fetch', fetchMock)
+
+    const history = useRecentSessions()
+    const { goals } = usePhaseGoals({ currentLevel: { id: 'beginner-1' }, history })
+    const { duePatterns } = useReviewQueue({ drills: [], history })
+    await history.load()
+
+    expect(fetchMock).toHaveBeenCalledTimes(1)
+    expect(fetchMock).toHaveBeenCalledWith('/api/sessions', { query: { limit: 500, keystrokes: false } })
+    expect(goals.value.streak.longest).toBe(1)
+    expect(duePatterns.value.map(card => card.key)).toEqual(['a->s'])
+  })
+
+  it('keeps a session recorded while the history is still loading', async () => {
+    /** @type {(sessions: Object[]) => void} */
+    let resolveSessions
+    vi.stubGlobal('$fetch', vi.fn(() => new Promise((resolve) => {
+      resolveSessions = resolve
+    })))
+
+    const history = useRecentSessions()
+    const loading = history.load()
+    const recording = history.record(makeSession({ id: 'early' }))
+
+    resolveSessions([makeSession({ id: 'stored' })])
+    await loading
+    await recording
+
+    expect(history.sessions.value.map(s => s.id)).toEqual(['stored', 'early'])
+  })
+})
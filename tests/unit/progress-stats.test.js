@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Unit tests for the progress dashboard
+ * Covers daily aggregates, time per phase, level transitions, chart geometry and the line chart component
+ */
+
+import { describe, it, expect } from 'vitest'
+import { mount } from '@vue/test-utils'
+import { dayKey, dailyStats, timePerPhase, levelTransitions } from '../../app/utils/progressStats.js'
+import { niceScale, chartPoints, linePath } from '../../app/utils/svgChart.js'
+import { AdaptiveDifficulty, progressionPhaseForLevel } from '../../app/utils/adaptiveDifficulty.js'
+import SvgLineChart from '../../app/components/SvgLineChart.vue'
+import { makeSession, sessionSpan } from '../utils/session-fixtures.js'
+
+describe('progress stats', () => {
+  it('averages sessions per local day, oldest first', () => {
+    const days = dailyStats([
+      makeSession({ ...sessionSpan('2025-03-02T10:00', 4), finalWPM: 50, accuracy: { raw: 99, adjusted: 98 } }),
+      makeSession({ ...sessionSpan('2025-03-01T09:00', 3), finalWPM: 40, accuracy: { raw: 95, adjusted: 90 } }),
+      makeSession({ ...sessionSpan('2025-03-01T21:00', 5), finalWPM: 30, accuracy: { raw: 95, adjusted: 90 }, consistency: 60 })
+    ])
+
+    expect(days.map(day => day.date)).toEqual(['2025-03-01', '2025-03-02'])
+    expect(days[0]).toMatchObject({ sessions: 2, wpm: 35, accuracy: 90, consistency: 70, minutes: 8 })
+    expect(days[1]).toMatchObject({ wpm: 50, accuracy: 98 })
+    expect(dayKey(new Date('2025-12-31T23:59').getTime())).toBe('2025-12-31')
+  })
+
+  it('sums practice time per progression phase and skips sessions without a level', () => {
+    const phases = timePerPhase([
+      makeSession(sessionSpan('2025-03-01T09:00', 3)),
+      makeSession({ ...sessionSpan('2025-03-01T10:00', 4), levelId: 'intermediate-2' }),
+      makeSession({ ...sessionSpan('2025-03-01T11:00', 6), levelId: 'expert-2' }),
+      makeSession({ ...sessionSpan('2025-03-01T12:00', 9), levelId: null, drillType: 'race' })
+    ])
+
+    expect(phases.map(p => [p.phase.phase, p.minutes])).toEqual([[1, 3], [2, 4], [3, 0], [4, 6]])
+  })
+
+  it('lists level changes in time order', () => {
+    const transitions = levelTransitions([
+      makeSession({ ...sessionSpan('2025-03-03T09:00', 3), levelId: 'beginner-1' }),
+      makeSession({ ...sessionSpan('2025-03-01T09:00', 3), levelId: 'beginner-1' }),
+      makeSession({ ...sessionSpan('2025-03-02T09:00', 3), levelId: 'beginner-2' }),
+      makeSession({ ...sessionSpan('2025-03-02T10:00', 3), levelId: null })
+    ])
+
+    expect(transitions.map(t => [t.from, t.to, t.direction])).toEqual([
+      ['beginner-1', 'beginner-2', 'up'],
+      ['beginner-2', 'beginner-1', 'down']
+    ])
+  })
+})
+
+describe('progression helpers', () => {
+  it('maps every two levels onto a phase', () => {
+    expect(progressionPhaseForLevel('beginner-2').phase).toBe(1)
+    expect(progressionPhaseForLevel('advanced-1').phase).toBe(3)
+    expect(progressionPhaseForLevel('expert-1').phase).toBe(4)
+    expect(progressionPhaseForLevel('cookbook')).toBeNull()
+    expect(new AdaptiveDifficulty('intermediate-1').getProgressionPhase().phase).toBe(2)
+  })
+
+  it('reports the WPM trend at the current level', () => {
+    const difficulty = new AdaptiveDifficulty()
+    ;[30, 30, 30, 40, 40, 40].forEach(wpm => difficulty.addSession(makeSession({ ...sessionSpan('2025-03-01T09:00', 3), finalWPM: wpm })))
+
+    expect(difficulty.getTrend()).toBe('improving')
+    expect(new AdaptiveDifficulty().getTrend()).toBe('stable')
+  })
+})
+
+describe('svg chart geometry', () => {
+  it('rounds the axis to readable ticks', () => {
+    expect(niceScale([12, 47])).toEqual({ min: 0, max: 60, ticks: [0, 20, 40, 60] })
+    expect(niceScale([91, 97], { max: 100 }).ticks.at(-1)).toBe(100)
+    expect(niceScale([]).max).toBeGreaterThan(0)
+  })
+
+  it('spreads points across the plot and builds a path', () => {
+    const scale = { min: 0, max: 100, ticks: [] }
+    const points = chartPoints([0, 50, 100], { width: 200, height: 100, scale })
+
+    expect(points).toEqual([{ x: 0, y: 100 }, { x: 100, y: 50 }, { x: 200, y: 0 }])
+    expect(linePath(points)).toBe('M0.0 100.0 L100.0 50.0 L200.0 0.0')
+    expect(chartPoints([20], { width: 200, height: 100, scale })[0].x).toBe(100)
+  })
+
+  it('renders one point per value with a text alternative', () => {
+    const wrapper = mount(SvgLineChart, {
+      props: {
+        title: 'WPM per day',
+        labels: ['2025-03-01', '2025-03-02'],
+        series: [{ label: 'WPM', values: [35, 50], color: '#2563eb' }],
+        target: 45
+      }
+    })
+
+    // Query the DOM directly: test-utils selectors do not match SVG elements here
+    const svg = wrapper.element.querySelector('svg')
+    expect(svg.querySelectorAll('circle')).toHaveLength(2)
+    expect(svg.querySelector('line.target')).not.toBeNull()
+    expect(svg.getAttribute('aria-label')).toBe('WPM per day: 2 days, latest WPM 50')
+  })
+})
@@ -0,0 +1,245 @@
+/**
+ * @fileoverview Unit tests for multiplayer typing races
+ * Covers the server room registry, the client room composable and the race helpers
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { createRaceRooms, parseRaceMessage, MAX_PARTICIPANTS } from '../../server/utils/raceRooms.js'
+import { useRaceRoom } from '../../app/composables/useRaceRoom.js'
+import { raceProgress, formatRaceTime } from '../../app/utils/race.js'
+
+/**
+ * Peer that records every message it is sent
+ * @param {string} id
+ */
+function makePeer(id) {
+  const messages = []
+  return {
+    id,
+    messages,
+    send: data => messages.push(JSON.parse(data)),
+    /** @returns {Object | undefined} Most recent room snapshot */
+    lastRoom: () => messages.filter(m => m.type === 'room').at(-1)?.room,
+    lastError: () => messages.filter(m => m.type === 'error').at(-1)?.message
+  }
+}
+
+const exercise = { title: 'Arrow', text: 'const f = () => 1', language: 'javascript' }
+
+describe('race rooms', () => {
+  let clock
+  let rooms
+  let alice
+  let bob
+
+  /**
+   * @param {Object} peer
+   * @param {Object} message
+   */
+  const send = (peer, message) => rooms.handle(peer, JSON.stringify(message))
+
+  beforeEach(() => {
+    clock = 10000
+    rooms = createRaceRooms({ countdown: 3000, now: () => clock, random: () => 0 })
+    alice = makePeer('alice')
+    bob = makePeer('bob')
+    send(alice, { type: 'join', name: 'Alice' })
+    send(bob, { type: 'join', code: alice.messages[0].code.toLowerCase(), name: 'Bob' })
+  })
+
+  it('creates a room with a code and lets others join it', () => {
+    expect(alice.messages[0]).toEqual({ type: 'joined', id: 'alice', code: 'AAAA' })
+    const room = alice.lastRoom()
+    expect(room).toMatchObject({ code: 'AAAA', state: 'lobby', hostId: 'alice' })
+    expect(room.participants.map(p => p.name)).toEqual(['Alice', 'Bob'])
+  })
+
+  it('rejects unknown codes, full rooms and malformed messages', () => {
+    const carol = makePeer('carol')
+    send(carol, { type: 'join', code: 'ZZZZ', name: 'Carol' })
+    expect(carol.lastError()).toBe('No race room with code ZZZZ')
+
+    for (let i = 2; i < MAX_PARTICIPANTS; i++) {
+      send(makePeer(`p${i}`), { type: 'join', code: 'AAAA', name: `P${i}` })
+    }
+    send(carol, { type: 'join', code: 'AAAA', name: 'Carol' })
+    expect(carol.lastError()).toBe('That race room is full')
+
+    rooms.handle(carol, 'not json')
+    expect(carol.lastError()).toBe('Unknown message')
+    expect(parseRaceMessage('{"type":"join"}')).toEqual({ type: 'join' })
+    expect(parseRaceMessage('[1]')).toBeNull()
+  })
+
+  it('runs a synchronized countdown that only the host can start', () => {
+    send(bob, { type: 'start', exercise })
+    expect(bob.lastError()).toBe('Only the host can start the race')
+
+    send(alice, { type: 'start', exercise })
+    const room = bob.lastRoom()
+    expect(room).toMatchObject({ state: 'countdown', startsAt: 13000, serverTime: 10000, exercise })
+
+    // Progress before the start signal is ignored
+    send(bob, { type: 'progress', progress: 50, wpm: 40, accuracy: 100 })
+    expect(rooms.getRoom('AAAA').participants[1].progress).toBe(0)
+
+    clock = 13000
+    expect(rooms.getRoom('AAAA').state).toBe('racing')
+    send(alice, { type: 'join', code: 'AAAA', name: 'Late' })
+    expect(alice.lastError()).toBe('That race has already started')
+  })
+
+  it('shortens long exercise titles and replaces ones that are not text', () => {
+    send(alice, { type: 'start', exercise: { ...exercise, title: `  ${'x'.repeat(200)}` } })
+    expect(bob.lastRoom().exercise.title).toBe('x'.repeat(80))
+
+    // Codes come from `random`, so a second room needs a registry of its own
+    rooms = createRaceRooms({ now: () => clock })
+    const carol = makePeer('carol')
+    send(carol, { type: 'join', name: 'Carol' })
+    send(carol, { type: 'start', exercise: { ...exercise, title: ['x'.repeat(200)] } })
+    expect(carol.lastRoom().exercise.title).toBe('Race')
+  })
+
+  it('shares live progress and ranks finishers when everyone is done', () => {
+    send(alice, { type: 'start', exercise })
+    clock = 13000
+
+    send(bob, { type: 'progress', progress: 140, wpm: 55, accuracy: 97 })
+    expect(alice.lastRoom().participants[1]).toMatchObject({ name: 'Bob', progress: 100, wpm: 55 })
+
+    clock = 20000
+    send(bob, { type: 'progress', progress: 100, wpm: 60, accuracy: 98, finished: true })
+    expect(alice.lastRoom().state).toBe('racing')
+
+    clock = 25000
+    send(alice, { type: 'progress', progress: 100, wpm: 45, accuracy: 99, finished: true })
+    const room = alice.lastRoom()
+    expect(room.state).toBe('finished')
+    expect(room.participants.map(p => [p.name, p.place, p.finishedAt])).toEqual([['Bob', 1, 7000], ['Alice', 2, 12000]])
+  })
+
+  it('lets the host end the race, ranking unfinished typists by progress', () => {
+    const carol = makePeer('carol')
+    send(carol, { type: 'join', code: 'AAAA', name: 'Carol' })
+    send(alice, { type: 'start', exercise })
+    clock = 13000
+    send(bob, { type: 'progress', progress: 30, wpm: 20, accuracy: 90 })
+    send(carol, { type: 'progress', progress: 60, wpm: 30, accuracy: 90 })
+
+    send(alice, { type: 'end' })
+    expect(carol.lastRoom().participants.map(p => p.name)).toEqual(['Carol', 'Bob', 'Alice'])
+  })
+
+  it('hands the room to the next participant when the host leaves', () => {
+    rooms.leave(alice)
+    expect(bob.lastRoom()).toMatchObject({ hostId: 'bob' })
+
+    rooms.leave(bob)
+    expect(rooms.getRoom('AAAA')).toBeNull()
+  })
+})
+
+describe('useRaceRoom', () => {
+  let sockets
+
+  /**
+   * Minimal WebSocket stand-in
+   * @param {string} url
+   */
+  function createSocket(url) {
+    const listeners = {}
+    const socket = {
+      url,
+      readyState: 0,
+      sent: [],
+      send: data => socket.sent.push(JSON.parse(data)),
+      close: vi.fn(),
+      addEventListener: (type, listener) => {
+        listeners[type] = listener
+      },
+      open() {
+        socket.readyState = 1
+        listeners.open()
+      },
+      receive: message => listeners.message({ data: JSON.stringify(message) })
+    }
+    sockets.push(socket)
+    return socket
+  }
+
+  beforeEach(() => {
+    sockets = []
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'Date'] })
+    vi.setSystemTime(1000)
+    vi.stubGlobal('window', { location: { protocol: 'http:', host: 'localhost:3000' } })
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+    vi.unstubAllGlobals()
+  })
+
+  it('connects to the local race socket and sends queued messages once open', () => {
+    const race = useRaceRoom({ createSocket })
+    race.create('Alice')
+
+    expect(sockets[0].url).toBe('ws://localhost:3000/_ws/race')
+    expect(sockets[0].sent).toEqual([])
+    sockets[0].open()
+    expect(sockets[0].sent).toEqual([{ type: 'join', name: 'Alice' }])
+  })
+
+  it('counts down against the server clock and flips to racing', () => {
+    const race = useRaceRoom({ createSocket })
+    race.join('AAAA', 'Bob')
+    sockets[0].open()
+    sockets[0].receive({ type: 'joined', id: 'bob', code: 'AAAA' })
+    // The server clock runs 500ms ahead of this client
+    sockets[0].receive({
+      type: 'room',
+      room: { code: 'AAAA', state: 'countdown', hostId: 'alice', exercise, startsAt: 4500, serverTime: 1500, participants: [] }
+    })
+
+    expect(race.isHost.value).toBe(false)
+    expect(race.phase.value).toBe('countdown')
+    expect(race.countdown.value).toBe(3)
+
+    vi.advanceTimersByTime(2000)
+    expect(race.countdown.value).toBe(1)
+
+    vi.advanceTimersByTime(1000)
+    expect(race.phase.value).toBe('racing')
+  })
+
+  it('throttles progress updates but sends the finish immediately', () => {
+    const race = useRaceRoom({ createSocket })
+    race.create('Alice')
+    sockets[0].open()
+    sockets[0].sent = []
+
+    race.reportProgress({ progress: 10, wpm: 30, accuracy: 100 })
+    race.reportProgress({ progress: 20, wpm: 31, accuracy: 100 })
+    race.reportProgress({ progress: 30, wpm: 32, accuracy: 100 })
+    expect(sockets[0].sent.map(m => m.progress)).toEqual([10])
+
+    vi.advanceTimersByTime(150)
+    expect(sockets[0].sent.map(m => m.progress)).toEqual([10, 30])
+
+    race.reportProgress({ progress: 100, wpm: 40, accuracy: 99, finished: true })
+    expect(sockets[0].sent.at(-1)).toMatchObject({ type: 'progress', progress: 100, finished: true })
+  })
+})
+
+describe('race helpers', () => {
+  it('counts only the correct prefix as progress', () => {
+    expect(raceProgress('abcd', 'ab')).toBe(50)
+    expect(raceProgress('abcd', 'axcd')).toBe(25)
+    expect(raceProgress('', 'a')).toBe(0)
+  })
+
+  it('formats finishing times', () => {
+    expect(formatRaceTime(42300)).toBe('42.3s')
+    expect(formatRaceTime(65200)).toBe('1:05.2')
+  })
+})
@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Unit tests for the remediation drill generator
+ * Covers mining weak symbols and bigrams from history and assembling drills from corpus lines
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  isSymbol,
+  mineWeaknesses,
+  weaknessesFromErrorPatterns,
+  buildRemediationDrill
+} from '../../app/utils/remediationDrill.js'
+import { AdaptiveDifficulty, DIFFICULTY_LEVELS } from '../../app/utils/adaptiveDifficulty.js'
+import { makeSession, makeKeystrokes } from '../utils/session-fixtures.js'
+
+const corpus = [
+  { code: 'const total = items.reduce((sum, x) => sum + x, 0);\nreturn total;', language: 'javascript' },
+  { code: 'SELECT name FROM users;\nconst fn = (a) => (b) => a + b;', language: 'javascript' },
+  { code: 'print("hello world")', language: 'python' }
+]
+
+describe('isSymbol', () => {
+  it('accepts punctuation and rejects letters, digits and whitespace', () => {
+    expect(['=', '>', '(', ';', '$'].every(isSymbol)).toBe(true)
+    expect(['a', 'Z', '7', ' ', '\n', 'é'].some(isSymbol)).toBe(false)
+  })
+})
+
+describe('mineWeaknesses', () => {
+  it('ranks symbols and bigrams by how often and how reliably they are missed', () => {
+    // '>' in '=>' is missed twice out of three, ';' once out of three
+    const sessions = [
+      makeSession({ keystrokes: makeKeystrokes('a => b;', { mistakes: { 3: '.' } }) }),
+      makeSession({ keystrokes: makeKeystrokes('a => b;', { mistakes: { 3: '.', 6: ':' } }) }),
+      makeSession({ keystrokes: makeKeystrokes('a => b;') })
+    ]
+    const weaknesses = mineWeaknesses(sessions)
+    const symbols = weaknesses.filter(w => w.kind === 'symbol')
+    const bigrams = weaknesses.filter(w => w.kind === 'bigram')
+
+    expect(symbols.map(w => w.sequence)).toEqual(['>', ';'])
+    expect(symbols[0]).toMatchObject({ errors: 2, attempts: 3 })
+    expect(bigrams[0]).toMatchObject({ sequence: '=>', errors: 2, attempts: 3 })
+  })
+
+  it('does not blame the pair after a mistake or across a backspace', () => {
+    const session = makeSession({ keystrokes: makeKeystrokes('ab', { mistakes: { 0: 'x' } }) })
+    session.keystrokes.push({ key: 'Backspace', expected: '', isCorrect: false }, { key: 'c', expected: 'c', isCorrect: true })
+
+    expect(mineWeaknesses([session, session])).toEqual([])
+  })
+
+  it('skips sequences seen too rarely to trust', () => {
+    expect(mineWeaknesses([makeSession({ keystrokes: makeKeystrokes('x;', { mistakes: { 1: ':' } }) })])).toEqual([])
+  })
+})
+
+describe('weaknessesFromErrorPatterns', () => {
+  it('sums errors by expected character', () => {
+    const weaknesses = weaknessesFromErrorPatterns(new Map([['=->-', 2], ['=->+', 1], [';->:', 4], [' ->x', 9]]))
+    expect(weaknesses.map(w => [w.sequence, w.errors])).toEqual([[';', 4], ['=', 3]])
+  })
+})
+
+describe('buildRemediationDrill', () => {
+  const arrow = [{ sequence: '=>', kind: 'bigram', errors: 4, attempts: 5, errorRate: 0.8, score: 3.2 }]
+
+  it('picks the lines densest in the weak sequences first', () => {
+    const drill = buildRemediationDrill(corpus, arrow, { length: 30 })
+
+    expect(drill.text.split('\n')[0]).toBe('const fn = (a) => (b) => a + b;')
+    expect(drill.language).toBe('javascript')
+    expect(drill.targets).toBe(arrow)
+  })
+
+  it('reuses lines until the requested length is reached', () => {
+    const drill = buildRemediationDrill(corpus, arrow, { length: 200 })
+    const lines = drill.text.split('\n')
+
+    expect(drill.text.length).toBeGreaterThanOrEqual(200 - lines.at(-1).length)
+    expect(lines.every(line => line.includes('=>'))).toBe(true)
+    lines.slice(1).forEach((line, i) => expect(line).not.toBe(lines[i]))
+  })
+
+  it('returns an empty drill when no line contains a target', () => {
+    const drill = buildRemediationDrill(corpus, [{ sequence: '~', kind: 'symbol', errors: 1, attempts: 2, errorRate: 0.5, score: 0.5 }])
+    expect(drill).toMatchObject({ text: '', language: 'text' })
+  })
+})
+
+describe('AdaptiveDifficulty remediation', () => {
+  it('builds a remediation drill from its session history', () => {
+    const difficulty = new AdaptiveDifficulty()
+    difficulty.addSession(makeSession({ keystrokes: makeKeystrokes('x => y', { mistakes: { 3: '.' } }) }))
+    difficulty.addSession(makeSession({ keystrokes: makeKeystrokes('x => y', { mistakes: { 3: '.' } }) }))
+
+    const drill = difficulty.generateRemediationDrill(corpus, { length: 40 })
+    expect(drill.targets[0].sequence).toBe('>')
+    expect(drill.text).toContain('=>')
+  })
+
+  it('uses corpus lines for weak patterns instead of repeated characters', () => {
+    const difficulty = new AdaptiveDifficulty()
+    const text = difficulty.generateAdaptiveText(DIFFICULTY_LEVELS[0], new Map([['=->-', 3]]))
+
+    expect(text).not.toContain('// Practice')
+    expect(text.split('\n')[0]).toContain('=')
+  })
+})
@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Unit tests for session integrity
+ * Covers assist classification, assisted sessions and their exclusion from progression and bests
+ */
+
+import { describe, it, expect } from 'vitest'
+import { classifyInsertion, assistFromInputType, describeAssists } from '../../app/utils/sessionIntegrity.js'
+import { useTypingMetrics } from '../../app/composables/useTypingMetrics.js'
+import { AdaptiveDifficulty } from '../../app/utils/adaptiveDifficulty.js'
+import { pickGhostSession } from '../../app/utils/ghostRace.js'
+
+describe('assist classification', () => {
+  it('treats single typed characters and whitespace keys as typing', () => {
+    expect(classifyInsertion('a', 'a')).toBeNull()
+    expect(classifyInsertion(')', ')')).toBeNull()
+    expect(classifyInsertion('    ', 'Tab')).toBeNull()
+    expect(classifyInsertion('\n  ', 'Enter')).toBeNull()
+  })
+
+  it('recognises auto-closed brackets and quotes', () => {
+    expect(classifyInsertion('()', '(')).toBe('autoClose')
+    expect(classifyInsertion('""', '"')).toBe('autoClose')
+    expect(classifyInsertion(')', 'a')).toBe('autoClose')
+  })
+
+  it('treats other multi-character insertions as autocomplete or snippets', () => {
+    expect(classifyInsertion('console', 'c')).toBe('suggestion')
+    expect(classifyInsertion('()', null)).toBe('suggestion')
+    expect(classifyInsertion('for (const item of items) {\n\t\n}', 'Enter')).toBe('snippet')
+  })
+
+  it('maps textarea input types', () => {
+    expect(assistFromInputType('insertFromPaste')).toBe('paste')
+    expect(assistFromInputType('insertFromDrop')).toBe('paste')
+    expect(assistFromInputType('insertReplacementText')).toBe('suggestion')
+    expect(assistFromInputType('insertText')).toBeNull()
+  })
+
+  it('summarises assists', () => {
+    expect(describeAssists({ paste: 2, autoClose: 1, snippet: 0 })).toBe('Paste ×2, Auto-close ×1')
+  })
+})
+
+describe('assisted sessions', () => {
+  it('are marked with a count per kind', () => {
+    const typing = useTypingMetrics({ idleTimeout: 0 })
+    typing.recordAssist('paste')
+    typing.startSession('javascript')
+    typing.recordAssist('paste')
+    typing.recordAssist('autoClose')
+    typing.recordAssist('paste')
+
+    const session = typing.endSession()
+    expect(session.assisted).toBe(true)
+    expect(session.assists).toEqual({ paste: 2, autoClose: 1 })
+  })
+
+  it('are left out of progression and personal bests', () => {
+    const difficulty = new AdaptiveDifficulty()
+    const typed = { id: 'typed', assisted: false, finalWPM: 40, keystrokes: [{ key: 'a', timestamp: 2000, isCorrect: true }], startTime: 1000 }
+    const pasted = { id: 'pasted', assisted: true, finalWPM: 200, keystrokes: [{ key: 'a', timestamp: 1001, isCorrect: true }], startTime: 1000 }
+
+    difficulty.addSession(typed)
+    difficulty.addSession(pasted)
+
+    expect(difficulty.history.map(s => s.id)).toEqual(['typed'])
+    expect(pickGhostSession([typed, pasted], 'a').id).toBe('typed')
+  })
+})
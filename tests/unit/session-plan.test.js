@@ -0,0 +1,202 @@
+/**
+ * @fileoverview Unit tests for session plans
+ * Covers segment drill selection, composite scoring, the segment runner and finished runs in the history
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { flushPromises } from '@vue/test-utils'
+import { useSessionPlan } from '../../app/composables/useSessionPlan.js'
+import { usePlanRuns } from '../../app/composables/usePlanRuns.js'
+import { useRecentSessions } from '../../app/composables/useRecentSessions.js'
+import {
+  SESSION_PLANS,
+  getSessionPlan,
+  planDuration,
+  drillsForSegment,
+  segmentLevel,
+  buildCompositeSession,
+  rebuildCompositeSession
+} from '../../app/utils/sessionPlans.js'
+import { DIFFICULTY_LEVELS } from '../../app/utils/adaptiveDifficulty.js'
+import { makeSession, scoredKeystrokes, accuracyOf } from '../utils/session-fixtures.js'
+
+const drills = [
+  { id: 'b1', category: 'backend', levelId: 'beginner-1', code: 'getUser' },
+  { id: 'b2', category: 'backend', levelId: 'intermediate-1', code: 'WHERE id = ?' },
+  { id: 'f1', category: 'frontend', levelId: 'beginner-2', code: 'ref(0)' }
+]
+
+describe('session plans', () => {
+  it('ships ten-minute backend and frontend plans', () => {
+    expect(getSessionPlan('backend')).toBeDefined()
+    expect(getSessionPlan('frontend')).toBeDefined()
+    SESSION_PLANS.forEach((plan) => {
+      expect(planDuration(plan)).toBe(10)
+    })
+  })
+
+  it('picks drills by category and level, falling back when none match', () => {
+    expect(drillsForSegment({ title: 'a', minutes: 1, category: 'backend', levelId: 'intermediate-1' }, drills).map(d => d.id)).toEqual(['b2'])
+    expect(drillsForSegment({ title: 'b', minutes: 1, category: 'backend', levelId: 'expert-2' }, drills).map(d => d.id)).toEqual(['b1', 'b2'])
+    expect(drillsForSegment({ title: 'c', minutes: 1, category: 'devops' }, drills)).toHaveLength(3)
+  })
+
+  it('scores category-only segments against the fallback level', () => {
+    const fallback = DIFFICULTY_LEVELS[3]
+    expect(segmentLevel({ title: 'a', minutes: 1, levelId: 'beginner-2' }, fallback).id).toBe('beginner-2')
+    expect(segmentLevel({ title: 'b', minutes: 1, category: 'backend' }, fallback)).toBe(fallback)
+  })
+
+  it('combines segment sessions into one net WPM and accuracy', () => {
+    const backspace = { key: 'Backspace', expected: '', isCorrect: false }
+    const sessions = [
+      makeSession({ id: 's1', startTime: 0, endTime: 180000, keystrokes: [...scoredKeystrokes(300, 0, { minutes: 3 }), backspace] }),
+      makeSession({ id: 's2', startTime: 200000, endTime: 260000, keystrokes: [...scoredKeystrokes(100, 100, { start: 200000 }), backspace] })
+    ]
+    const composite = buildCompositeSession(SESSION_PLANS[0], sessions, [])
+
+    expect(composite.planId).toBe('backend')
+    expect(composite.startTime).toBe(0)
+    expect(composite.endTime).toBe(260000)
+    expect(composite.wpm).toBe(20) // 400 correct / 5 / 4 minutes
+    expect(composite.accuracy).toBe(80)
+  })
+
+  it('leaves paused time out of the composite WPM, as in the segment scores', () => {
+    const plan = SESSION_PLANS[0]
+    const sessions = [
+      makeSession({ id: 's1', startTime: 0, endTime: 60000, plan: { id: plan.id, runId: 'run', segment: 0 }, keystrokes: scoredKeystrokes(100, 0) }),
+      makeSession({
+        id: 's2',
+        startTime: 60000,
+        endTime: 180000,
+        idleTime: 60000,
+        plan: { id: plan.id, runId: 'run', segment: 1 },
+        keystrokes: scoredKeystrokes(100, 0, { start: 60000 })
+      })
+    ]
+    const composite = rebuildCompositeSession(plan, sessions)
+
+    expect(composite.segments.map(segment => segment.wpm)).toEqual([20, 20])
+    expect(composite.wpm).toBe(20) // 200 correct / 5 / 2 active minutes
+  })
+})
+
+describe('useSessionPlan', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'Date'] })
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('runs segments back to back with a transition and reports a composite', () => {
+    const plan = {
+      id: 'test',
+      title: 'Test Plan',
+      segments: [
+        { title: 'One', minutes: 1, category: 'backend', levelId: 'beginner-1' },
+        { title: 'Two', minutes: 2, category: 'frontend' }
+      ]
+    }
+    const onSegmentStart = vi.fn()
+    const onComplete = vi.fn()
+    let sessionCount = 0
+    const onSegmentEnd = vi.fn(() => makeSession({
+      id: `s${++sessionCount}`,
+      startTime: Date.now() - 60000,
+      endTime: Date.now(),
+      accuracy: accuracyOf(100),
+      keystrokes: scoredKeystrokes(250, 0, { start: Date.now() - 60000 })
+    }))
+    const runner = useSessionPlan({
+      drills,
+      fallbackLevel: DIFFICULTY_LEVELS[0],
+      transitionSeconds: 5,
+      onSegmentStart,
+      onSegmentEnd,
+      onComplete
+    })
+
+    runner.start(plan)
+    expect(runner.phase.value).toBe('segment')
+    expect(runner.isRunning.value).toBe(true)
+    expect(onSegmentStart).toHaveBeenLastCalledWith(plan.segments[0], [drills[0]], DIFFICULTY_LEVELS[0])
+
+    runner.completeExercise()
+    vi.advanceTimersByTime(60000)
+    expect(runner.phase.value).toBe('transition')
+    expect(runner.nextSegment.value.title).toBe('Two')
+    expect(runner.results.value).toHaveLength(1)
+    expect(runner.results.value[0]).toMatchObject({ title: 'One', wpm: 50, exercisesCompleted: 1, score: 100 })
+
+    vi.advanceTimersByTime(5000)
+    expect(runner.phase.value).toBe('segment')
+    expect(runner.segmentIndex.value).toBe(1)
+    expect(onSegmentStart).toHaveBeenLastCalledWith(plan.segments[1], [drills[2]], DIFFICULTY_LEVELS[0])
+
+    vi.advanceTimersByTime(120000)
+    expect(runner.phase.value).toBe('complete')
+    expect(runner.isRunning.value).toBe(false)
+    expect(onComplete).toHaveBeenCalledTimes(1)
+
+    // Both segments are stored as part of the same run of the plan
+    const [[first], [second]] = onSegmentEnd.mock.calls
+    expect(first).toEqual({ id: 'test', runId: expect.stringMatching(/^plan_/), segment: 0, exercisesCompleted: 1 })
+    expect(second).toEqual({ ...first, segment: 1, exercisesCompleted: 0 })
+
+    const [composite, sessions] = onComplete.mock.calls[0]
+    expect(sessions.map(s => s.id)).toEqual(['s1', 's2'])
+    expect(composite.segments.map(s => s.title)).toEqual(['One', 'Two'])
+    expect(composite.wpm).toBe(50)
+  })
+
+  it('stops without recording the current segment', () => {
+    const onSegmentEnd = vi.fn()
+    const runner = useSessionPlan({
+      drills,
+      fallbackLevel: DIFFICULTY_LEVELS[0],
+      onSegmentStart: vi.fn(),
+      onSegmentEnd
+    })
+
+    runner.start('backend')
+    runner.stop()
+    vi.advanceTimersByTime(600000)
+
+    expect(runner.phase.value).toBe('idle')
+    expect(onSegmentEnd).not.toHaveBeenCalled()
+  })
+})
+
+describe('usePlanRuns', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('rebuilds the runs whose last segment is in the history', async () => {
+    const plan = SESSION_PLANS[0]
+    const segments = plan.segments.map((segment, i) => makeSession({
+      id: `s${i}`,
+      levelId: segment.levelId,
+      startTime: i * 300000,
+      endTime: i * 300000 + 60000,
+      keystrokes: scoredKeystrokes(250, 0, { start: i * 300000 }),
+      plan: { id: plan.id, runId: 'plan_1', segment: i, exercisesCompleted: 2 }
+    }))
+    const unfinished = makeSession({ id: 'u0', plan: { id: plan.id, runId: 'plan_2', segment: 0 } })
+    const fetchMock = vi.fn(async (url, { query }) => (query.planRunId === 'plan_1' ? segments : [...segments, unfinished]))
+    vi.stubGlobal('$fetch', fetchMock)
+
+    const history = useRecentSessions()
+    const { runs } = usePlanRuns({ history })
+    await history.load()
+    await flushPromises()
+
+    expect(fetchMock).toHaveBeenLastCalledWith('/api/sessions', { query: { planRunId: 'plan_1', limit: 3 } })
+    expect(runs.value).toHaveLength(1)
+    expect(runs.value[0]).toMatchObject({ planId: 'backend', runId: 'plan_1', wpm: 50 })
+    expect(runs.value[0].segments.map(s => s.exercisesCompleted)).toEqual([2, 2, 2])
+  })
+})
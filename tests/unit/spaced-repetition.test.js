@@ -0,0 +1,151 @@
+/**
+ * @fileoverview Unit tests for SM-2 spaced repetition
+ * Covers card scheduling, replaying history into exercise and pattern cards, and the daily queue
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  INITIAL_EASE,
+  MIN_EASE,
+  PATTERN_REVIEW_DRILL,
+  buildDeck,
+  createCard,
+  dueQueue,
+  patternQuality,
+  practicedPatterns,
+  reviewCard,
+  sessionQuality
+} from '../../app/utils/spacedRepetition.js'
+import { useReviewQueue } from '../../app/composables/useReviewQueue.js'
+import { useRecentSessions } from '../../app/composables/useRecentSessions.js'
+import { snippetId } from '../../app/utils/codeSnippet.js'
+import { makeSession } from '../utils/session-fixtures.js'
+
+const DAY = 24 * 60 * 60 * 1000
+const START = new Date(2025, 0, 6, 9).getTime()
+
+/**
+ * Session of exercise `abc`, typed at 9:00 on a day after START
+ * @param {number} day - Days after START
+ * @param {Object} [fields] - Overrides
+ * @returns {Object}
+ */
+const onDay = (day, fields = {}) => makeSession({
+  id: `s${day}`,
+  exerciseId: 'abc',
+  startTime: START + day * DAY,
+  endTime: START + day * DAY + 60000,
+  ...fields
+})
+
+describe('SM-2 scheduling', () => {
+  it('grows the interval 1, 6, then by the ease factor', () => {
+    let card = createCard('exercise', 'abc', START)
+    const intervals = []
+    for (let i = 0; i < 4; i++) {
+      card = reviewCard(card, 5, card.due)
+      intervals.push(card.interval)
+    }
+
+    expect(intervals).toEqual([1, 6, 16, 45])
+    expect(card.ease).toBeCloseTo(INITIAL_EASE + 0.4)
+    expect(card.due).toBe(card.lastReview + 45 * DAY)
+  })
+
+  it('restarts a failed card at one day and lowers its ease to the floor at most', () => {
+    let card = reviewCard(reviewCard(createCard('pattern', ';->:', START), 5, START), 5, START + DAY)
+    card = reviewCard(card, 2, START + 7 * DAY)
+
+    expect(card).toMatchObject({ repetitions: 0, interval: 1, due: START + 8 * DAY })
+    for (let i = 0; i < 10; i++) card = reviewCard(card, 0, START)
+    expect(card.ease).toBe(MIN_EASE)
+  })
+
+  it('grades sessions against the level targets and patterns by repeats', () => {
+    expect(sessionQuality(onDay(0, { finalWPM: 40 }))).toBe(5)
+    expect(sessionQuality(onDay(0, { finalWPM: 10 }))).toBe(4)
+    expect(sessionQuality(onDay(0, { accuracy: { raw: 88 } }))).toBe(2)
+    expect([0, 1, 2, 5].map(patternQuality)).toEqual([4, 2, 1, 0])
+  })
+})
+
+describe('review deck', () => {
+  it('schedules an exercise from its sessions and ignores practice before it is due', () => {
+    const deck = buildDeck([onDay(3), onDay(1), onDay(0)])
+    const card = deck.get('exercise:abc')
+
+    // Day 0 creates the card, day 1 is the first review, day 3 is early practice
+    expect(card).toMatchObject({ repetitions: 2, interval: 6, due: START + 7 * DAY + 60000 })
+  })
+
+  it('fails an exercise card on a poor session whether or not it was due', () => {
+    const deck = buildDeck([onDay(0), onDay(1), onDay(2, { accuracy: { raw: 80 } })])
+    expect(deck.get('exercise:abc')).toMatchObject({ repetitions: 0, interval: 1 })
+  })
+
+  it('reviews weak patterns through remediation drills and fails them when they recur', () => {
+    const remediation = { drillType: PATTERN_REVIEW_DRILL, exerciseId: 'drill' }
+    const deck = buildDeck([
+      onDay(0, { errorPatterns: { ';->:': 2, '{->[': 1 } }),
+      onDay(1, { ...remediation, errorPatterns: { '{->[': 1 }, reviewedPatterns: [';->:', '{->['] }),
+      onDay(2, { assisted: true, errorPatterns: { ';->:': 4 } })
+    ])
+
+    expect(deck.get('pattern:;->:')).toMatchObject({ repetitions: 1, interval: 1 })
+    expect(deck.get('pattern:{->[')).toMatchObject({ repetitions: 0, interval: 1 })
+    expect(deck.has('exercise:drill')).toBe(false)
+  })
+
+  it('leaves patterns a remediation drill did not practice on their schedule', () => {
+    const deck = buildDeck([
+      onDay(0, { errorPatterns: { ';->:': 1, 'x->z': 1 } }),
+      onDay(1, { drillType: PATTERN_REVIEW_DRILL, exerciseId: 'drill', reviewedPatterns: [';->:'] })
+    ])
+
+    expect(deck.get('pattern:;->:')).toMatchObject({ repetitions: 1, interval: 1 })
+    expect(deck.get('pattern:x->z')).toMatchObject({ repetitions: 0, lastReview: START + 60000 })
+  })
+
+  it('lists the patterns whose expected characters a drill contains', () => {
+    const deck = buildDeck([onDay(0, { errorPatterns: { ';->:': 1, '{->[': 1, '-->_': 1 } })])
+
+    expect(practicedPatterns('a = b - c;', deck.values())).toEqual([';->:', '-->_'])
+  })
+
+  it('leaves exercises that cannot be reopened out of the deck', () => {
+    const deck = buildDeck([
+      onDay(0, { drillType: 'generated', exerciseId: 'generated', errorPatterns: { ';->:': 1 } }),
+      onDay(0)
+    ], { exerciseIds: new Set(['abc']) })
+
+    expect([...deck.keys()].sort()).toEqual(['exercise:abc', 'pattern:;->:'])
+  })
+
+  it('queues the cards due by the end of today, most overdue first', () => {
+    const deck = buildDeck([
+      onDay(0, { exerciseId: 'old' }),
+      onDay(5, { exerciseId: 'new', errorPatterns: { 'x->z': 1 } })
+    ])
+    const queue = dueQueue(deck.values(), START + 6 * DAY - 8 * 60 * 60 * 1000)
+
+    expect(queue.exercises.map(card => card.key)).toEqual(['old', 'new'])
+    expect(queue.patterns.map(card => card.key)).toEqual(['x->z'])
+    expect(dueQueue(deck.values(), START + 5 * DAY).exercises.map(card => card.key)).toEqual(['old'])
+    expect(dueQueue(deck.values(), START + 6 * DAY, 1).patterns).toEqual([])
+  })
+})
+
+describe('useReviewQueue', () => {
+  it('reviews only exercises in the drill library and drops them once reviewed', async () => {
+    const drills = [{ code: 'a();' }, { code: 'b();' }]
+    const history = useRecentSessions()
+    const reviews = useReviewQueue({ drills, history })
+    await history.record(onDay(-3, { exerciseId: snippetId('b();') }))
+    await history.record(onDay(-3, { exerciseId: 'removed' }))
+
+    expect(reviews.dueExercises.value).toEqual([drills[1]])
+    expect(reviews.deck.value.has('exercise:removed')).toBe(false)
+    await history.record(onDay(0, { exerciseId: snippetId('b();'), startTime: Date.now(), endTime: Date.now() }))
+    expect(reviews.dueExercises.value).toEqual([])
+  })
+})
@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Unit tests for timed sprint mode
+ * Covers the countdown composable and fixed-duration scoring against level targets
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { useSprint } from '../../app/composables/useSprint.js'
+import { scoreAgainstLevel, DIFFICULTY_LEVELS } from '../../app/utils/adaptiveDifficulty.js'
+import { makeSession, scoredKeystrokes, accuracyOf } from '../utils/session-fixtures.js'
+
+describe('useSprint', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'Date'] })
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('counts down and calls onExpire once', () => {
+    const onExpire = vi.fn()
+    const sprint = useSprint({ onExpire })
+
+    sprint.start(1)
+    expect(sprint.countdown.value).toBe('1:00')
+
+    vi.advanceTimersByTime(30000)
+    expect(sprint.countdown.value).toBe('0:30')
+    expect(onExpire).not.toHaveBeenCalled()
+
+    vi.advanceTimersByTime(30000)
+    expect(onExpire).toHaveBeenCalledTimes(1)
+    expect(sprint.isRunning.value).toBe(false)
+
+    vi.advanceTimersByTime(60000)
+    expect(onExpire).toHaveBeenCalledTimes(1)
+  })
+
+  it('stops without expiring and resets the exercise count on start', () => {
+    const onExpire = vi.fn()
+    const sprint = useSprint({ onExpire })
+
+    sprint.start(1)
+    sprint.completeExercise()
+    sprint.stop()
+    vi.advanceTimersByTime(120000)
+
+    expect(onExpire).not.toHaveBeenCalled()
+    expect(sprint.exercisesCompleted.value).toBe(1)
+
+    sprint.start(1)
+    expect(sprint.exercisesCompleted.value).toBe(0)
+  })
+})
+
+describe('scoreAgainstLevel', () => {
+  const level = DIFFICULTY_LEVELS.find(l => l.id === 'beginner-1')
+
+  it('measures WPM over the whole duration', () => {
+    // 3 minutes at 50 WPM = 750 correct characters
+    const score = scoreAgainstLevel(makeSession({
+      startTime: 0,
+      endTime: 3 * 60000,
+      accuracy: accuracyOf(100),
+      keystrokes: scoredKeystrokes(750, 0, { minutes: 3 })
+    }), level)
+
+    expect(score.wpm).toBe(50)
+    expect(score.metWPM).toBe(true)
+    expect(score.metAccuracy).toBe(true)
+    expect(score.score).toBe(100)
+  })
+
+  it('gives partial credit below target', () => {
+    const score = scoreAgainstLevel(makeSession({
+      startTime: 0,
+      endTime: 3 * 60000,
+      accuracy: accuracyOf(75),
+      keystrokes: scoredKeystrokes(375, 125, { minutes: 3 })
+    }), level)
+
+    expect(score.wpm).toBe(25)
+    expect(score.metWPM).toBe(false)
+    expect(score.metAccuracy).toBe(false)
+    expect(score.score).toBe(Math.round((25 / level.targetWPM + 75 / level.targetAccuracy) * 50))
+  })
+
+  it('leaves time the clock was paused out of the duration', () => {
+    // 4 minutes on the clock, 1 of them idle: 750 characters in 3 active minutes
+    const score = scoreAgainstLevel(makeSession({
+      startTime: 0,
+      endTime: 4 * 60000,
+      idleTime: 60000,
+      accuracy: accuracyOf(100),
+      keystrokes: scoredKeystrokes(750, 0, { minutes: 3 })
+    }), level)
+
+    expect(score.wpm).toBe(50)
+  })
+})
@@ -0,0 +1,175 @@
+/**
+ * @fileoverview Unit tests for exercise text analysis
+ * Covers the typing measurements, finger travel per layout, level assignment, and checks the
+ * hand-tuned cookbook drill levels against the "Difficulty progression validation" scenario
+ */
+
+import { describe, it, expect } from 'vitest'
+import { readFileSync } from 'fs'
+import { resolve } from 'path'
+import { analyzeText, assignLevel } from '../../app/utils/textAnalysis.js'
+import { COLEMAK, DVORAK, QWERTY, keyPosition, travelFromHome } from '../../app/utils/keyboardLayout.js'
+import { extractDrills } from '../../app/utils/drillExtractor.js'
+import { sortDrills } from '../../app/composables/useDrills.js'
+import { DIFFICULTY_LEVELS } from '../../app/utils/adaptiveDifficulty.js'
+
+const SNIPPET = [
+  'const a = 1;',
+  '',
+  '  if (b) {',
+  '    c();',
+  '  }'
+].join('\n')
+
+/** Measurement each scenario step expects to grow with the drill level */
+const PROGRESSION_STEPS = {
+  'the character count should generally increase': 'characters',
+  'the code complexity should increase': 'textComplexity',
+  'special characters usage should increase': 'symbolRatio',
+  'indentation complexity should increase': 'nestingDepth'
+}
+
+/** Minimum rank correlation between drill level and a measurement to count as increasing */
+const MIN_CORRELATION = 0.25
+
+/**
+ * @param {number[]} values
+ * @returns {number[]} Rank of each value, ties sharing their mean rank
+ */
+function ranks(values) {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value)
+  const result = []
+  for (let start = 0; start < order.length;) {
+    let end = start
+    while (end + 1 < order.length && order[end + 1].value === order[start].value) end++
+    for (let i = start; i <= end; i++) result[order[i].index] = (start + end) / 2
+    start = end + 1
+  }
+  return result
+}
+
+/**
+ * Spearman rank correlation
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number} -1 to 1
+ */
+function rankCorrelation(a, b) {
+  const [x, y] = [ranks(a), ranks(b)]
+  const mean = (/** @type {number[]} */ values) => values.reduce((sum, value) => sum + value, 0) / values.length
+  const [mx, my] = [mean(x), mean(y)]
+  let covariance = 0
+  let vx = 0
+  let vy = 0
+  x.forEach((value, i) => {
+    covariance += (value - mx) * (y[i] - my)
+    vx += (value - mx) ** 2
+    vy += (y[i] - my) ** 2
+  })
+  return covariance / Math.sqrt(vx * vy)
+}
+
+/**
+ * @returns {string[]} Then/And steps of the scenario, without their keyword
+ */
+function scenarioOutcomes() {
+  const feature = readFileSync(resolve(process.cwd(), 'tests/features/typing-progression.feature'), 'utf8')
+  const scenario = feature.split(/^\s*Scenario:/m).find(block => block.startsWith(' Difficulty progression validation'))
+  const steps = scenario.split('\n').map(line => line.trim()).filter(line => /^(Given|When|Then|And) /.test(line))
+  return steps.slice(steps.findIndex(step => step.startsWith('Then '))).map(step => step.replace(/^\w+ /, ''))
+}
+
+describe('analyzeText', () => {
+  it('measures symbols, shift, line length and nesting on the typed text', () => {
+    const analysis = analyzeText(SNIPPET)
+
+    expect(analysis).toMatchObject({ characters: 28, lines: 4, lineLength: 6.25, nestingDepth: 2 })
+    // consta=1;if(b){c();} has 9 symbols, 6 of them shifted
+    expect(analysis.symbolRatio).toBeCloseTo(9 / 20)
+    expect(analysis.shiftFrequency).toBeCloseTo(6 / 20)
+  })
+
+  it('takes the deeper of bracket and indentation nesting', () => {
+    expect(analyzeText('f(g([1]))').nestingDepth).toBe(3)
+    expect(analyzeText('a:\n  b:\n    c:\n      d').nestingDepth).toBe(3)
+    expect(analyzeText('\ta\n\t\tb').nestingDepth).toBe(2)
+  })
+
+  it('scores keyboard density and text complexity on the 1-10 scale', () => {
+    const empty = analyzeText('')
+    expect(empty).toMatchObject({ characters: 0, symbolRatio: 0, fingerTravel: 0, keyboardDensity: 1, textComplexity: 1 })
+
+    const plain = analyzeText('the quick brown fox jumps over the lazy dog')
+    const dense = analyzeText('const { a, b } = await Promise.all([f(x?.y ?? {}), g(`${z}`)]);')
+    expect(dense.keyboardDensity).toBeGreaterThan(plain.keyboardDensity + 3)
+    expect(dense.keyboardDensity).toBeLessThanOrEqual(10)
+    expect(analyzeText(`${SNIPPET}\n`.repeat(10)).textComplexity).toBeGreaterThan(analyzeText(SNIPPET).textComplexity)
+  })
+})
+
+describe('finger travel', () => {
+  it('places home row keys at no travel and reaches further for number and symbol keys', () => {
+    expect(travelFromHome(keyPosition('f'))).toBe(0)
+    expect(travelFromHome(keyPosition('a', DVORAK))).toBe(0)
+    expect(keyPosition('f').finger).toBe('left-index')
+    expect(travelFromHome(keyPosition('1'))).toBeGreaterThan(travelFromHome(keyPosition('q')))
+    expect(keyPosition('~')).toBeNull()
+  })
+
+  it('depends on the layout the text is typed on', () => {
+    const dvorakHome = 'aoeuhtns'
+    const qwerty = analyzeText(dvorakHome, { layout: QWERTY })
+    const dvorak = analyzeText(dvorakHome, { layout: DVORAK })
+
+    expect(dvorak.fingerTravel).toBe(0)
+    expect(qwerty.fingerTravel).toBeGreaterThan(0)
+    expect(analyzeText('arstneio', { layout: COLEMAK }).fingerTravel).toBe(0)
+    expect(qwerty.symbolRatio).toBe(dvorak.symbolRatio)
+  })
+})
+
+describe('assignLevel', () => {
+  it('places texts on the level with the nearest metrics', () => {
+    expect(assignLevel('parseQuery').id).toBe('beginner-1')
+    expect(assignLevel(analyzeText('parseQuery'))).toBe(DIFFICULTY_LEVELS[0])
+
+    const handler = [
+      'app.get(\'/api/items/:id\', async (req, res) => {',
+      '  try {',
+      '    const item = await db.items.findOne({ where: { id: Number(req.params.id) } });',
+      '    if (!item) return res.status(404).json({ error: \'Not found\' });',
+      '    res.json({ data: item, meta: { cached: false } });',
+      '  } catch (error) {',
+      '    res.status(500).json({ error: error.message });',
+      '  }',
+      '});'
+    ].join('\n')
+    expect(DIFFICULTY_LEVELS.indexOf(assignLevel(handler))).toBeGreaterThanOrEqual(4)
+  })
+
+  it('levels untagged cookbook drills from their code', () => {
+    const page = ['```text drill', 'parseQuery', '```', '', '```js drill', 'const { data } = await useFetch(`/api/${id}`, { query: { page: page.value } });', '```'].join('\n')
+    const [simple, dense] = extractDrills(page, { source: '/cookbook/2_backend/3_typing-drills' })
+
+    expect(simple.levelId).toBe('beginner-1')
+    expect(DIFFICULTY_LEVELS.findIndex(level => level.id === dense.levelId)).toBeGreaterThan(0)
+  })
+})
+
+describe('Difficulty progression validation', () => {
+  const drills = sortDrills(['2_backend', '3_frontend'].flatMap((section) => {
+    const markdown = readFileSync(resolve(process.cwd(), `content/cookbook/${section}/3_typing-drills.md`), 'utf8')
+    return extractDrills(markdown, { source: `/cookbook/${section}/3_typing-drills` })
+  }))
+  const levels = drills.map(drill => DIFFICULTY_LEVELS.findIndex(level => level.id === drill.levelId))
+  const analyses = drills.map(drill => analyzeText(drill.code))
+
+  it('maps every expected outcome of the scenario to a measurement', () => {
+    expect(scenarioOutcomes()).toEqual(Object.keys(PROGRESSION_STEPS))
+  })
+
+  it.each(Object.entries(PROGRESSION_STEPS))('%s across the hand-tuned drill levels', (_, measurement) => {
+    const values = analyses.map(analysis => analysis[measurement])
+    expect(rankCorrelation(levels, values)).toBeGreaterThan(MIN_CORRELATION)
+  })
+})
@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Unit tests for per-character typing feedback
+ * Covers character states, palette contrast, non-colour markers, spoken mistakes and shortcuts
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  FEEDBACK_PALETTES,
+  MIN_CONTRAST,
+  charFeedback,
+  charClasses,
+  displayChar,
+  contrastRatio,
+  paletteContrast,
+  describeMistake,
+  crossedMilestone,
+  shortcutAction
+} from '../../app/utils/typingFeedback.js'
+
+describe('character feedback', () => {
+  it('marks typed characters correct or incorrect and the next one as current', () => {
+    expect(charFeedback('a<b', 'ax').map(feedback => feedback.state)).toEqual(['correct', 'incorrect', 'current'])
+    expect(charFeedback('ab', '')[1]).toEqual({ char: 'b', typed: null, state: 'pending' })
+  })
+
+  it('makes mistyped whitespace visible only in accessible mode', () => {
+    const [space, newline] = charFeedback(' \n', 'xx')
+    expect(displayChar(space, false)).toBe(' ')
+    expect(displayChar(space, true)).toBe('·')
+    expect(displayChar(newline, true)).toBe('⏎\n')
+    expect(displayChar(charFeedback(' ', ' ')[0], true)).toBe(' ')
+  })
+
+  it('adds underline and outline markers in accessible mode', () => {
+    expect(charClasses('incorrect', false)).toBe('text-red-400')
+    expect(charClasses('incorrect', true)).toContain('underline')
+    expect(charClasses('current', true)).toContain('outline')
+    expect(charClasses('correct', true)).toBe('text-green-300')
+  })
+})
+
+describe('Color accessibility', () => {
+  it('uses green for correct, red for incorrect and blue for the cursor', () => {
+    for (const palette of Object.values(FEEDBACK_PALETTES)) {
+      expect(palette.classes.correct).toMatch(/green/)
+      expect(palette.classes.incorrect).toMatch(/red/)
+      expect(palette.classes.current).toMatch(/blue/)
+    }
+  })
+
+  it('computes WCAG contrast ratios', () => {
+    expect(contrastRatio('#000000', '#ffffff')).toBeCloseTo(21)
+    expect(contrastRatio('#ffffff', '#ffffff')).toBe(1)
+  })
+
+  it('meets AA contrast by default and AAA in high contrast', () => {
+    for (const ratio of Object.values(paletteContrast('standard'))) {
+      expect(ratio).toBeGreaterThanOrEqual(MIN_CONTRAST.standard)
+    }
+    for (const ratio of Object.values(paletteContrast('highContrast'))) {
+      expect(ratio).toBeGreaterThanOrEqual(MIN_CONTRAST.highContrast)
+    }
+  })
+})
+
+describe('announcements', () => {
+  it('names symbols when describing a mistake', () => {
+    expect(describeMistake(';', ':', { line: 1, column: 30 })).toBe('Expected semicolon, typed colon, line 1 column 30')
+    expect(describeMistake(' ', 'N', { line: 2, column: 1 })).toBe('Expected space, typed capital N, line 2 column 1')
+  })
+
+  it('reports the highest progress milestone passed', () => {
+    expect(crossedMilestone(20, 30)).toBe(25)
+    expect(crossedMilestone(20, 80)).toBe(75)
+    expect(crossedMilestone(30, 40)).toBeNull()
+    expect(crossedMilestone(80, 10)).toBeNull()
+  })
+
+  it('matches Alt+Shift shortcuts by physical key', () => {
+    expect(shortcutAction({ altKey: true, shiftKey: true, code: 'KeyR' })).toBe('reset')
+    expect(shortcutAction({ altKey: true, shiftKey: false, code: 'KeyR' })).toBeNull()
+    expect(shortcutAction({ altKey: true, shiftKey: true, ctrlKey: true, code: 'KeyN' })).toBeNull()
+  })
+})
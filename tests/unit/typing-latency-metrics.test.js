@@ -0,0 +1,194 @@
+/**
+ * @fileoverview Unit tests for latency-derived typing metrics
+ * Covers the per-key heatmap, slowest sequences, pauses, rhythm and momentum
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { useTypingMetrics } from '../../app/composables/useTypingMetrics.js'
+import { aggregateHeatByKey, baseKeyFor } from '../../app/utils/keyboardLayout.js'
+
+/**
+ * Type a string with a fixed delay before each character
+ * @param {ReturnType<typeof useTypingMetrics>} typing
+ * @param {string} text - Characters typed (and expected)
+ * @param {number|((char: string, index: number) => number)} delay - Milliseconds before each keystroke
+ */
+function typeText(typing, text, delay) {
+  text.split('').forEach((char, index) => {
+    vi.advanceTimersByTime(typeof delay === 'function' ? delay(char, index) : delay)
+    typing.recordKeystroke(char, char, { line: 1, column: index + 1 })
+  })
+}
+
+describe('latency metrics', () => {
+  /** @type {ReturnType<typeof useTypingMetrics>} */
+  let typing
+
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'Date'] })
+    typing = useTypingMetrics()
+    typing.startSession('javascript')
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('reports per-key latency and error rate', () => {
+    typeText(typing, 'ab', 100)
+    vi.advanceTimersByTime(300)
+    typing.recordKeystroke('x', 'a', { line: 1, column: 3 })
+    vi.advanceTimersByTime(150)
+
+    const a = typing.metrics.heatmap.find(heat => heat.key === 'a')
+    expect(a.frequency).toBe(2)
+    expect(a.averageTime).toBe(200)
+    expect(a.errorRate).toBe(50)
+  })
+
+  it('ranks the slowest repeated sequences', () => {
+    // `=>` is typed slowly every time, `ab` quickly
+    typeText(typing, 'ab=>ab=>', char => char === '>' ? 400 : 80)
+    vi.advanceTimersByTime(150)
+
+    const [slowest] = typing.metrics.slowestSequences.bigrams
+    expect(slowest.sequence).toBe('=>')
+    expect(slowest.averageTime).toBe(400)
+    expect(slowest.count).toBe(2)
+    expect(typing.metrics.slowestSequences.trigrams[0].sequence).toBe('b=>')
+  })
+
+  it('records pauses with their position and excludes them from latency', () => {
+    typeText(typing, 'abc', 100)
+    vi.advanceTimersByTime(3000)
+    typing.recordKeystroke('d', 'd', { line: 2, column: 1 })
+    vi.advanceTimersByTime(150)
+
+    expect(typing.metrics.pausePattern).toHaveLength(1)
+    expect(typing.metrics.pausePattern[0]).toMatchObject({ position: { line: 2, column: 1 }, duration: 3000 })
+    expect(typing.metrics.keystrokeLatency.every(delta => delta < 2000)).toBe(true)
+    expect(typing.metrics.heatmap.find(heat => heat.key === 'd').averageTime).toBe(0)
+  })
+
+  it('scores steady rhythm higher than erratic rhythm', () => {
+    typeText(typing, 'abcdefghij', 120)
+    vi.advanceTimersByTime(150)
+    const steady = typing.metrics.rythmScore
+
+    typing.resetSession()
+    typing.startSession('javascript')
+    typeText(typing, 'abcdefghij', (_, index) => index % 2 === 0 ? 60 : 400)
+    vi.advanceTimersByTime(150)
+
+    expect(steady).toBe(100)
+    expect(typing.metrics.rythmScore).toBeLessThan(steady)
+  })
+
+  it('reports positive momentum when the typist speeds up', () => {
+    typeText(typing, 'abcdefghijkl', (_, index) => index < 6 ? 300 : 150)
+    vi.advanceTimersByTime(150)
+
+    expect(typing.metrics.momentum).toBeGreaterThan(0)
+  })
+
+  it('clears latency metrics on reset', () => {
+    typeText(typing, 'abcdef', 100)
+    vi.advanceTimersByTime(150)
+    typing.resetSession()
+
+    expect(typing.metrics.heatmap).toEqual([])
+    expect(typing.metrics.slowestSequences.bigrams).toEqual([])
+    expect(typing.metrics.pausePattern).toEqual([])
+  })
+})
+
+describe('idle auto-pause', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'Date'] })
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  /**
+   * Type `abcde`, stall for 2.5s, then type `fghij`
+   * @param {number} idleTimeout
+   */
+  function typeWithStall(idleTimeout) {
+    const typing = useTypingMetrics({ idleTimeout })
+    typing.startSession('javascript')
+    typeText(typing, 'abcde', 100)
+    vi.advanceTimersByTime(2500)
+    const idleDuringStall = typing.isIdle.value
+    typeText(typing, 'fghij', 100)
+    vi.advanceTimersByTime(150)
+    return { typing, idleDuringStall }
+  }
+
+  it('pauses the clock after the idle timeout and leaves the idle time out of WPM', () => {
+    const { typing, idleDuringStall } = typeWithStall(1000)
+    const stalled = typing.currentSession.value.keystrokes[5]
+
+    expect(idleDuringStall).toBe(true)
+    expect(typing.isIdle.value).toBe(false)
+    // Idle from 1s after `e` until `f`; the first second of the stall still counts
+    expect(stalled.idleTime).toBe(1600)
+    expect(typing.metrics.wpm).toBe(67)
+    expect(typeWithStall(0).typing.metrics.wpm).toBe(35)
+  })
+
+  it('keeps pauses and idle time on the completed session', () => {
+    const { typing } = typeWithStall(1000)
+    vi.advanceTimersByTime(2000)
+    const session = typing.endSession()
+
+    expect(session.pausePattern).toEqual([{ position: { line: 1, column: 1 }, duration: 2600, timestamp: session.keystrokes[5].timestamp }])
+    // 1.6s mid-session plus 2.15s - 1s at the end
+    expect(session.idleTime).toBe(2750)
+  })
+
+  it('stores the whole-session WPM rather than the last few seconds', () => {
+    expect(typeWithStall(1000).typing.endSession().finalWPM).toBe(67)
+
+    const typing = useTypingMetrics()
+    typing.startSession('javascript')
+    typeText(typing, 'abcdefghijklmnopqrst', 100)
+    typeText(typing, 'uvwxyz0123', 1000)
+    const session = typing.endSession()
+
+    // 30 characters over 11.9s; the last 5s alone are typed at 14 WPM
+    expect(session.finalWPM).toBe(30)
+    expect(typing.metrics.wpm).toBe(14)
+  })
+
+  it('counts manual pauses as paused time', () => {
+    const typing = useTypingMetrics({ idleTimeout: 0 })
+    typing.startSession('javascript')
+    typeText(typing, 'ab', 100)
+    typing.pauseSession()
+    vi.advanceTimersByTime(3000)
+    typing.resumeSession()
+    typeText(typing, 'c', 100)
+
+    expect(typing.currentSession.value.idleTime).toBe(3000)
+    expect(typing.currentSession.value.keystrokes[2].idleTime).toBe(3000)
+  })
+})
+
+describe('keyboard layout', () => {
+  it('maps shifted symbols onto their physical key', () => {
+    expect(baseKeyFor('(')).toBe('9')
+    expect(baseKeyFor('A')).toBe('a')
+    expect(baseKeyFor('\n')).toBe('enter')
+  })
+
+  it('folds character heat into key heat weighted by frequency', () => {
+    const keys = aggregateHeatByKey([
+      { key: '9', averageTime: 100, frequency: 1, errorRate: 0 },
+      { key: '(', averageTime: 400, frequency: 3, errorRate: 100 }
+    ])
+
+    expect(keys.get('9')).toEqual({ key: '9', averageTime: 325, frequency: 4, errorRate: 75 })
+  })
+})
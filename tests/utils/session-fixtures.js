@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Shared builders for typing session fixtures
+ * Complete PerformanceSession records with overridable defaults, and the keystroke traces inside them
+ */
+
+/**
+ * @typedef {import('../../app/composables/useTypingMetrics').PerformanceSession} PerformanceSession
+ * @typedef {import('../../app/composables/useTypingMetrics').KeystrokeEvent} KeystrokeEvent
+ * @typedef {import('../../app/composables/useTypingMetrics').AccuracyMetrics} AccuracyMetrics
+ */
+
+/**
+ * Accuracy metrics of a session without corrections
+ * @param {number} raw - Percentage of correct keystrokes
+ * @returns {AccuracyMetrics}
+ */
+export function accuracyOf(raw) {
+  return { raw, adjusted: raw, errorRate: 100 - raw, correctionRatio: 0 }
+}
+
+/**
+ * @param {string} start - Local date-time, e.g. `2025-03-01T09:00`
+ * @param {number} [minutes=1]
+ * @returns {{startTime: number, endTime: number}}
+ */
+export function sessionSpan(start, minutes = 1) {
+  const startTime = new Date(start).getTime()
+  return { startTime, endTime: startTime + minutes * 60000 }
+}
+
+/**
+ * Keystrokes typing `expected` one every `interval` ms, starting `interval` ms after `start`
+ * @param {string | string[]} expected - Expected characters; an array may include keys like 'Backspace'
+ * @param {Object} [options]
+ * @param {Record<number, string>} [options.mistakes] - Key typed instead, by keystroke index
+ * @param {number} [options.start=1000]
+ * @param {number} [options.interval=100]
+ * @returns {KeystrokeEvent[]}
+ */
+export function makeKeystrokes(expected, { mistakes = {}, start = 1000, interval = 100 } = {}) {
+  return Array.from(expected, (char, i) => ({
+    timestamp: start + (i + 1) * interval,
+    key: mistakes[i] ?? char,
+    expected: char,
+    isCorrect: mistakes[i] === undefined,
+    timeDelta: interval,
+    position: { line: 1, column: i + 1 }
+  }))
+}
+
+/**
+ * `correct` right keystrokes followed by `errors` wrong ones, spread evenly over the session
+ * @param {number} correct
+ * @param {number} errors
+ * @param {Object} [options]
+ * @param {number} [options.start=0] - Session start time
+ * @param {number} [options.minutes=1] - Session length
+ * @returns {KeystrokeEvent[]}
+ */
+export function scoredKeystrokes(correct, errors, { start = 0, minutes = 1 } = {}) {
+  const mistakes = Object.fromEntries(Array.from({ length: errors }, (_, i) => [correct + i, 'x']))
+  const interval = (minutes * 60000) / Math.max(correct + errors, 1)
+  return makeKeystrokes('a'.repeat(correct + errors), { mistakes, start, interval })
+}
+
+/**
+ * Completed session; every field can be overridden
+ * @param {Partial<PerformanceSession>} [overrides]
+ * @returns {PerformanceSession}
+ */
+export function makeSession(overrides = {}) {
+  return {
+    id: 'session_1',
+    drillType: 'javascript',
+    levelId: 'beginner-1',
+    exerciseId: null,
+    language: null,
+    startTime: 1000,
+    endTime: 61000,
+    targetWPM: 60,
+    finalWPM: 50,
+    accuracy: accuracyOf(98),
+    consistency: 80,
+    errorPatterns: {},
+    reviewedPatterns: [],
+    idleTime: 0,
+    pausePattern: [],
+    assisted: false,
+    assists: {},
+    keystrokes: [],
+    ...overrides
+  }
+}
+
+/**
+ * Session with every stored field filled in, including characters that need quoting in CSV,
+ * so storage and archive round trips cover each column
+ * @param {Partial<PerformanceSession>} [overrides]
+ * @returns {PerformanceSession}
+ */
+export function makeStoredSession(overrides = {}) {
+  return makeSession({
+    exerciseId: '1a2b3c4d',
+    language: 'javascript',
+    finalWPM: 42.5,
+    accuracy: { raw: 96, adjusted: 94, errorRate: 4, correctionRatio: 0.5 },
+    consistency: 81,
+    errorPatterns: { 'a->s': 1, '",->;': 2 },
+    reviewedPatterns: ['",->;'],
+    idleTime: 1500,
+    pausePattern: [{ position: { line: 1, column: 2 }, duration: 2500, timestamp: 1200 }],
+    assisted: true,
+    assists: { paste: 1, autoClose: 2 },
+    keystrokes: makeKeystrokes('"\n', { mistakes: { 0: ',' } }),
+    ...overrides
+  })
+}